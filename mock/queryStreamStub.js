@@ -0,0 +1,60 @@
+// Dev-only stand-in for POST /query/stream. Emits a canned answer a few words
+// at a time as Server-Sent Events so the streaming UI can be exercised
+// without the backend. Enable with VITE_QUERY_STREAM_URL=/stub/query/stream.
+
+const sampleAnswer = (query, board) =>
+  `Here is a ${board} explanation for "${query}".\n\n` +
+  'Start from what is given and write down the known quantities. ' +
+  'Next, pick the law or formula that links them, for example v = u + at for uniform acceleration. ' +
+  'Substitute the values step by step, keeping track of units at every line. ' +
+  'Finally, check that the result is reasonable: the sign, the magnitude and the unit should all make sense.';
+
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(raw || '{}'));
+      } catch {
+        resolve({});
+      }
+    });
+  });
+
+export default function queryStreamStub({ delay = 80 } = {}) {
+  return {
+    name: 'query-stream-stub',
+    apply: 'serve',
+    configureServer(server) {
+      server.middlewares.use('/stub/query/stream', async (req, res) => {
+        if (req.method !== 'POST') {
+          res.statusCode = 405;
+          res.end();
+          return;
+        }
+        const { query = '', board = 'CBSE' } = await readBody(req);
+        const words = sampleAnswer(query, board).split(/(?<= )/);
+
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          Connection: 'keep-alive',
+        });
+
+        let index = 0;
+        const timer = setInterval(() => {
+          if (index < words.length) {
+            res.write(`data: ${JSON.stringify({ delta: words[index++] })}\n\n`);
+            return;
+          }
+          clearInterval(timer);
+          res.write(`event: done\ndata: ${JSON.stringify({ _id: `stub-${Date.now()}` })}\n\n`);
+          res.end();
+        }, delay);
+
+        res.on('close', () => clearInterval(timer));
+      });
+    },
+  };
+}
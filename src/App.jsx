@@ -1,51 +1,81 @@
-import { Routes, Route, BrowserRouter, Navigate } from 'react-router-dom';
+import { Routes, Route, BrowserRouter } from 'react-router-dom';
 import Home from './pages/Home';
 import AskQuestion from './pages/AskQuestion';
 import ExploreTopics from './pages/ExploreTopics';
+import ChapterDetail from './pages/ChapterDetail';
+import Quiz from './pages/Quiz';
+import Flashcards from './pages/Flashcards';
+import MockExams from './pages/MockExams';
+import MockExamSession from './pages/MockExamSession';
 import LearningHistory from './pages/LearningHistory';
+import TeacherDashboard from './pages/TeacherDashboard';
+import ParentDashboard from './pages/ParentDashboard';
+import ChildActivity from './pages/ChildActivity';
+import Classrooms from './pages/Classrooms';
+import ClassroomDetail from './pages/ClassroomDetail';
+import AssignmentComposer from './pages/AssignmentComposer';
+import AssignmentSubmissions from './pages/AssignmentSubmissions';
 import Login from './components/Auth/Login';
 import Signup from './components/Auth/Signup';
+import ForgotPassword from './components/Auth/ForgotPassword';
+import ResetPassword from './components/Auth/ResetPassword';
+import VerifyEmail from './components/Auth/VerifyEmail';
 import Dashboard from './components/Dashboard';
 import Header from './components/Header';
 import Footer from './components/Footer';
+import ProtectedRoute from './components/ProtectedRoute';
+import UsageGate from './components/UsageGate';
+import { AuthProvider } from './contexts/AuthContext';
 import { BoardProvider } from './contexts/BoardContext';
+import { ROLES } from './config/roles';
 
 function App() {
-  const isAuthenticated = !!localStorage.getItem('token');
-
   return (
-    <BoardProvider>
-      <BrowserRouter>
-        <div className="flex flex-col min-h-screen">
-          <Header />
-          <main className="flex-grow">
-            <Routes>
-              <Route path="/login" element={<Login />} />
-              <Route path="/signup" element={<Signup />} />
-              <Route path="/" element={<Home />} />
-              <Route
-                path="/dashboard"
-                element={isAuthenticated ? <Dashboard /> : <Navigate to="/login" />}
-              />
-              <Route
-                path="/ask"
-                element={isAuthenticated ? <AskQuestion /> : <Navigate to="/login" />}
-              />
-              <Route
-                path="/explore"
-                element={isAuthenticated ? <ExploreTopics /> : <Navigate to="/login" />}
-              />
-              <Route
-                path="/history"
-                element={isAuthenticated ? <LearningHistory /> : <Navigate to="/login" />}
-              />
-            </Routes>
-          </main>
-          <Footer />
-        </div>
-      </BrowserRouter>
-    </BoardProvider>
+    <AuthProvider>
+      <BoardProvider>
+        <BrowserRouter>
+          <div className="flex flex-col min-h-screen">
+            <Header />
+            <main className="flex-grow">
+              <Routes>
+                <Route path="/login" element={<Login />} />
+                <Route path="/signup" element={<Signup />} />
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/verify-email" element={<VerifyEmail />} />
+                <Route path="/" element={<Home />} />
+                <Route element={<ProtectedRoute />}>
+                  <Route element={<UsageGate />}>
+                    <Route path="/dashboard" element={<Dashboard />} />
+                    <Route path="/ask" element={<AskQuestion />} />
+                    <Route path="/explore" element={<ExploreTopics />} />
+                    <Route path="/explore/:board/:subject/:chapter" element={<ChapterDetail />} />
+                    <Route path="/quiz/:board/:subject/:chapter?" element={<Quiz />} />
+                    <Route path="/history" element={<LearningHistory />} />
+                    <Route path="/flashcards" element={<Flashcards />} />
+                    <Route path="/exams" element={<MockExams />} />
+                    <Route path="/exams/:id" element={<MockExamSession />} />
+                  </Route>
+                </Route>
+                <Route element={<ProtectedRoute roles={[ROLES.TEACHER]} />}>
+                  <Route path="/teacher" element={<TeacherDashboard />} />
+                  <Route path="/teacher/classes" element={<Classrooms />} />
+                  <Route path="/teacher/classes/:id" element={<ClassroomDetail />} />
+                  <Route path="/teacher/classes/:id/assignments/new" element={<AssignmentComposer />} />
+                  <Route path="/teacher/assignments/:id" element={<AssignmentSubmissions />} />
+                </Route>
+                <Route element={<ProtectedRoute roles={[ROLES.PARENT]} />}>
+                  <Route path="/parent" element={<ParentDashboard />} />
+                  <Route path="/parent/children/:id" element={<ChildActivity />} />
+                </Route>
+              </Routes>
+            </main>
+            <Footer />
+          </div>
+        </BrowserRouter>
+      </BoardProvider>
+    </AuthProvider>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
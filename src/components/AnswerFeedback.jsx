@@ -0,0 +1,135 @@
+import { useState } from 'react';
+import { FaFlag, FaRedo, FaThumbsDown, FaThumbsUp } from 'react-icons/fa';
+import { answerIds, FEEDBACK_CATEGORIES, rateAnswer, reportMistake } from '../utils/feedback';
+
+// Thumbs up/down, a mistake report and (on the latest answer) regenerate.
+// What the student already gave is kept on the turn as `feedback` so it
+// survives reopening the conversation.
+function AnswerFeedback({ turn, threadId, onChange, onRegenerate }) {
+  const feedback = turn.feedback || {};
+  const [reporting, setReporting] = useState(false);
+  const [category, setCategory] = useState(FEEDBACK_CATEGORIES[0].id);
+  const [comment, setComment] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+
+  const rate = async (rating) => {
+    const next = feedback.rating === rating ? null : rating;
+    onChange({ ...feedback, rating: next });
+    // A thumbs down usually means something is wrong; offer the report form
+    if (next === 'down' && !feedback.reported) setReporting(true);
+    try {
+      await rateAnswer(turn, threadId, next);
+    } catch (err) {
+      console.error('Failed to rate answer:', err);
+    }
+  };
+
+  const submitReport = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    setError('');
+    try {
+      await reportMistake(turn, threadId, { category, comment });
+      onChange({ ...feedback, reported: category });
+      setReporting(false);
+      setComment('');
+    } catch (err) {
+      console.error('Failed to report mistake:', err);
+      setError('Could not send your report. Please try again.');
+    }
+    setSending(false);
+  };
+
+  const iconButton = (active) =>
+    `p-2 rounded-md border text-sm ${
+      active ? 'bg-blue-500 text-white border-blue-500' : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-100'
+    }`;
+
+  return (
+    <div className="pt-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => rate('up')}
+          className={iconButton(feedback.rating === 'up')}
+          aria-label="Helpful answer"
+          aria-pressed={feedback.rating === 'up'}
+        >
+          <FaThumbsUp />
+        </button>
+        <button
+          onClick={() => rate('down')}
+          className={iconButton(feedback.rating === 'down')}
+          aria-label="Unhelpful answer"
+          aria-pressed={feedback.rating === 'down'}
+        >
+          <FaThumbsDown />
+        </button>
+        {feedback.reported ? (
+          <span className="text-sm text-gray-500">Thanks, your report was sent.</span>
+        ) : (
+          <button
+            onClick={() => setReporting((open) => !open)}
+            className="px-3 py-1 rounded-md text-sm text-gray-600 bg-white border border-gray-300 hover:bg-gray-100"
+          >
+            <FaFlag className="inline mr-1" /> Report a mistake
+          </button>
+        )}
+        {onRegenerate && (
+          <button
+            onClick={onRegenerate}
+            className="px-3 py-1 rounded-md text-sm text-gray-600 bg-white border border-gray-300 hover:bg-gray-100"
+          >
+            <FaRedo className="inline mr-1" /> Regenerate answer
+          </button>
+        )}
+      </div>
+
+      {reporting && !feedback.reported && (
+        <form onSubmit={submitReport} className="mt-3 p-3 bg-white rounded-md border border-gray-200 space-y-2">
+          <fieldset className="flex flex-wrap gap-4">
+            <legend className="text-sm font-medium text-gray-700 mb-1">What is wrong with this answer?</legend>
+            {FEEDBACK_CATEGORIES.map((option) => (
+              <label key={option.id} className="flex items-center gap-2 text-sm text-gray-800">
+                <input
+                  type="radio"
+                  name={`report-${answerIds(turn).responseId || 'answer'}`}
+                  checked={category === option.id}
+                  onChange={() => setCategory(option.id)}
+                />
+                {option.label}
+              </label>
+            ))}
+          </fieldset>
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="Tell us more (optional)"
+            rows={3}
+            className="w-full p-2 border border-gray-300 rounded-md text-sm"
+            aria-label="Describe the mistake"
+          />
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={sending}
+              className="px-3 py-1 rounded-md text-sm font-semibold text-white bg-red-500 hover:bg-red-600 disabled:opacity-50"
+            >
+              {sending ? 'Sending...' : 'Send Report'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setReporting(false)}
+              className="px-3 py-1 rounded-md text-sm text-gray-600 bg-gray-100 border border-gray-300 hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default AnswerFeedback;
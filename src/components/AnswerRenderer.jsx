@@ -0,0 +1,182 @@
+import { createContext, useContext } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { oneLight } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import 'katex/dist/katex.min.css';
+import 'katex/contrib/mhchem';
+import MermaidDiagram from './MermaidDiagram';
+import FunctionPlotter from './FunctionPlotter';
+import ModelViewer from './ModelViewer';
+import MoleculeViewer from './MoleculeViewer';
+
+const MATH_SEGMENT = /(\$\$[\s\S]+?\$\$|\$[^$\n]+?\$)/;
+
+const FENCE = /^[ \t]*(`{3,}|~{3,})/;
+const INLINE_CODE = /(``[^\n]*?``|`[^`\n]+`)/;
+
+// Models often answer with \( \) and \[ \] delimiters; remark-math only knows $ and $$.
+// Bare \ce{...} chemistry outside math is wrapped so the mhchem extension renders it.
+const normalizeProse = (text) =>
+  text
+    .split(INLINE_CODE)
+    .map((segment, codeIndex) =>
+      codeIndex % 2
+        ? segment
+        : segment
+            .replace(/\\\[([\s\S]+?)\\\]/g, (_, math) => `\n$$\n${math.trim()}\n$$\n`)
+            .replace(/\\\(([\s\S]+?)\\\)/g, (_, math) => `$${math.trim()}$`)
+            .split(MATH_SEGMENT)
+            .map((part, index) => (index % 2 ? part : part.replace(/\\ce\{[^}]*\}/g, (ce) => `$${ce}$`)))
+            .join('')
+    )
+    .join('');
+
+// Code is left exactly as written: fenced blocks (up to their closing fence,
+// or the end while still streaming) and inline code spans
+const normalizeMath = (text) => {
+  const pieces = [];
+  let prose = [];
+  let fence = null;
+  const flushProse = () => {
+    if (prose.length > 0) pieces.push(normalizeProse(prose.join('\n')));
+    prose = [];
+  };
+  text.split('\n').forEach((line) => {
+    const marker = FENCE.exec(line)?.[1];
+    if (fence) {
+      pieces.push(line);
+      const closes = marker && marker[0] === fence[0] && marker.length >= fence.length && !line.trim().slice(marker.length);
+      if (closes) fence = null;
+    } else if (marker) {
+      flushProse();
+      fence = marker;
+      pieces.push(line);
+    } else {
+      prose.push(line);
+    }
+  });
+  flushProse();
+  return pieces.join('\n');
+};
+
+// Fenced JSON may still be arriving while the answer streams
+const isJSON = (source) => {
+  try {
+    JSON.parse(source);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// The markdown being rendered and whether more of it is still streaming in.
+// Diagrams wait for their closing fence, since a half-written one only fails
+// to draw; until then the block shows as plain source.
+const DraftContext = createContext({ markdown: '', streaming: false });
+
+const CLOSING_FENCE = /\n[ \t]*(`{3,}|~{3,})[ \t]*$/;
+
+const isUnfinishedFence = (node, { markdown, streaming }) =>
+  streaming &&
+  !!node?.position &&
+  !CLOSING_FENCE.test(markdown.slice(node.position.start.offset, node.position.end.offset));
+
+// Fenced block languages that hold a molecule, and the format each one uses
+const MOLECULE_FORMATS = { smiles: 'smiles', xyz: 'xyz', molecule: 'json' };
+
+// react-markdown hands every renderer its hast `node`; keep it off the DOM
+const styled = (Tag, className) => {
+  const Styled = (props) => {
+    const rest = { ...props };
+    delete rest.node;
+    const external = Tag === 'a' && { target: '_blank', rel: 'noopener noreferrer' };
+    return <Tag className={className} {...external} {...rest} />;
+  };
+  return Styled;
+};
+
+const Table = (props) => {
+  const rest = { ...props };
+  delete rest.node;
+  return (
+    <div className="overflow-x-auto mb-3">
+      <table className="min-w-full border border-gray-300 text-sm" {...rest} />
+    </div>
+  );
+};
+
+function CodeBlock({ node, className, children }) {
+  const language = /language-(\w+)/.exec(className || '')?.[1];
+  const source = String(children).replace(/\n$/, '');
+  const unfinished = isUnfinishedFence(node, useContext(DraftContext));
+  if (language === 'mermaid' && !unfinished) {
+    return <MermaidDiagram chart={source} />;
+  }
+  if (language === 'plot') {
+    return <FunctionPlotter spec={source} />;
+  }
+  if (language === 'model3d' && isJSON(source)) {
+    return <ModelViewer model={source} />;
+  }
+  if (MOLECULE_FORMATS[language] && !unfinished && (language !== 'molecule' || isJSON(source))) {
+    return <MoleculeViewer molecule={{ format: MOLECULE_FORMATS[language], data: source }} />;
+  }
+  if (!language && !source.includes('\n')) {
+    return (
+      <code className="px-1 py-0.5 rounded bg-gray-200 text-sm font-mono">
+        {children}
+      </code>
+    );
+  }
+  return (
+    <SyntaxHighlighter
+      language={language || 'text'}
+      style={oneLight}
+      customStyle={{ borderRadius: '0.375rem', fontSize: '0.875rem' }}
+      PreTag="div"
+    >
+      {source}
+    </SyntaxHighlighter>
+  );
+}
+
+const components = {
+  h1: styled('h1', 'text-2xl font-bold text-gray-800 mt-4 mb-2'),
+  h2: styled('h2', 'text-xl font-bold text-gray-800 mt-4 mb-2'),
+  h3: styled('h3', 'text-lg font-semibold text-gray-800 mt-3 mb-2'),
+  p: styled('p', 'mb-3 leading-relaxed'),
+  ul: styled('ul', 'list-disc pl-6 mb-3 space-y-1'),
+  ol: styled('ol', 'list-decimal pl-6 mb-3 space-y-1'),
+  a: styled('a', 'text-blue-600 underline'),
+  blockquote: styled('blockquote', 'border-l-4 border-blue-300 pl-4 italic text-gray-600 mb-3'),
+  table: Table,
+  th: styled('th', 'border border-gray-300 bg-gray-100 px-3 py-2 text-left'),
+  td: styled('td', 'border border-gray-300 px-3 py-2'),
+  code: CodeBlock,
+  pre: ({ children }) => <div className="mb-3">{children}</div>,
+};
+
+// `streaming` is set while the text is still arriving
+function AnswerRenderer({ text, className = '', streaming = false }) {
+  if (!text) return null;
+  const markdown = normalizeMath(text);
+
+  return (
+    <div className={`text-gray-700 break-words ${className}`}>
+      <DraftContext.Provider value={{ markdown, streaming }}>
+        <ReactMarkdown
+          remarkPlugins={[remarkGfm, remarkMath]}
+          rehypePlugins={[[rehypeKatex, { throwOnError: false, strict: false }]]}
+          components={components}
+        >
+          {markdown}
+        </ReactMarkdown>
+      </DraftContext.Provider>
+    </div>
+  );
+}
+
+export default AnswerRenderer;
@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { FaLightbulb } from 'react-icons/fa';
+import { isOverdue, submitAssignment } from '../utils/assignments';
+
+// Homework being answered inside AskQuestion. "Get a hint" hands the question to
+// the chat, where the AI runs in hint-only mode; the answers themselves are the
+// student's own and go to the teacher with the hint conversation attached.
+function AssignmentPanel({ assignment, threadId, onHint }) {
+  const [answers, setAnswers] = useState(() => assignment.questions.map(() => ''));
+  const [submitting, setSubmitting] = useState(false);
+  const [submitted, setSubmitted] = useState(assignment.status === 'submitted' || assignment.status === 'graded');
+  const [error, setError] = useState('');
+  const overdue = isOverdue(assignment);
+
+  const handleSubmit = async () => {
+    if (answers.some((answer) => !answer.trim())) {
+      setError('Answer every question before submitting.');
+      return;
+    }
+    setSubmitting(true);
+    setError('');
+    try {
+      await submitAssignment(assignment.id, {
+        answers: answers.map((answer) => ({ answer: answer.trim() })),
+        threadId,
+      });
+      setSubmitted(true);
+    } catch (err) {
+      console.error('Failed to submit assignment:', err);
+      setError(err.response?.data?.msg || 'Could not submit your answers. Please try again.');
+    }
+    setSubmitting(false);
+  };
+
+  return (
+    <div className="p-4 bg-indigo-50 rounded-lg border border-indigo-200">
+      <div className="flex flex-wrap justify-between gap-2 mb-3">
+        <h2 className="text-lg font-semibold text-indigo-700">{assignment.title}</h2>
+        <p className={`text-sm ${overdue ? 'text-red-600' : 'text-gray-600'}`}>
+          {overdue ? 'Was due' : 'Due'} {new Date(assignment.dueAt).toLocaleString()}
+        </p>
+      </div>
+      <p className="text-sm text-gray-600 mb-3">
+        The AI will give hints, not answers. Write your own answer for each question.
+      </p>
+
+      {submitted ? (
+        <p className="text-green-700 font-medium">Submitted. Your teacher will review your answers.</p>
+      ) : (
+        <>
+          <ol className="space-y-4">
+            {assignment.questions.map((question, index) => (
+              <li key={index}>
+                <div className="flex items-start justify-between gap-2">
+                  <p className="font-medium text-gray-800">
+                    {index + 1}. {question.text}
+                  </p>
+                  <button
+                    onClick={() => onHint(question.text)}
+                    className="flex items-center gap-1 px-2 py-1 rounded-md text-sm text-indigo-700 bg-white border border-indigo-200 hover:bg-indigo-100 whitespace-nowrap"
+                  >
+                    <FaLightbulb /> Get a hint
+                  </button>
+                </div>
+                <textarea
+                  value={answers[index]}
+                  onChange={(e) => setAnswers((list) => list.map((a, i) => (i === index ? e.target.value : a)))}
+                  className="mt-2 w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-400 bg-white"
+                  rows={3}
+                  aria-label={`Answer to question ${index + 1}`}
+                />
+              </li>
+            ))}
+          </ol>
+          {error && <p className="text-red-600 text-sm mt-2">{error}</p>}
+          <motion.button
+            onClick={handleSubmit}
+            disabled={submitting || overdue}
+            className="mt-3 px-4 py-2 rounded-md bg-indigo-600 text-white font-semibold hover:bg-indigo-700 disabled:opacity-50"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            {submitting ? 'Submitting...' : overdue ? 'Past due date' : 'Submit Answers'}
+          </motion.button>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default AssignmentPanel;
@@ -0,0 +1,41 @@
+import { motion } from 'framer-motion';
+
+// The gradient page and card shared by the account recovery screens
+function AuthCard({ subtitle, error, notice, children }) {
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-r from-blue-600 via-purple-600 to-pink-500 py-16">
+      <motion.div
+        initial={{ opacity: 0, y: -50 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.6, ease: 'easeOut' }}
+        className="bg-white p-8 rounded-xl shadow-2xl w-full max-w-md border border-gray-200"
+      >
+        <div className="text-center mb-6">
+          <h1 className="text-3xl font-extrabold text-blue-600">EduAI</h1>
+          <p className="text-gray-500">{subtitle}</p>
+        </div>
+
+        {error && (
+          <motion.p
+            className="text-red-500 mb-4 text-center bg-red-100 p-2 rounded"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            transition={{ duration: 0.3 }}
+            role="alert"
+          >
+            {error}
+          </motion.p>
+        )}
+        {notice && (
+          <p className="text-green-700 mb-4 text-center bg-green-100 p-2 rounded" role="status">
+            {notice}
+          </p>
+        )}
+
+        {children}
+      </motion.div>
+    </div>
+  );
+}
+
+export default AuthCard;
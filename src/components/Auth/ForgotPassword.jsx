@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import api from '../../utils/api';
+import { errorMessage, retryAfterSeconds } from '../../utils/authErrors';
+import useCooldown from '../../hooks/useCooldown';
+import AuthCard from './AuthCard';
+import { inputClassName, submitClassName } from './authStyles';
+
+function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [cooldown, startCooldown] = useCooldown(`forgot-password:${email.trim().toLowerCase()}`);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      setError('Please enter a valid email address');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      await api.post('/auth/forgot-password', { email });
+      setSent(true);
+      startCooldown();
+    } catch (err) {
+      console.error('Forgot password error:', err);
+      const wait = retryAfterSeconds(err);
+      if (wait) {
+        startCooldown(wait);
+        setError(`Too many requests. Please try again in ${wait} seconds.`);
+      } else {
+        setError(errorMessage(err, 'Could not send the reset email. Please try again.'));
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const disabled = isLoading || cooldown > 0;
+  // The same message whether or not the address has an account, so the form cannot be used to probe for one
+  const notice = sent && 'If an account exists for that email, a reset link is on its way.';
+
+  return (
+    <AuthCard subtitle="Reset your password" error={error} notice={notice}>
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div>
+          <label htmlFor="email" className="block text-gray-700 font-medium mb-1">
+            Email
+          </label>
+          <input
+            id="email"
+            name="email"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className={inputClassName}
+            placeholder="Enter your account email"
+            required
+          />
+        </div>
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          type="submit"
+          className={submitClassName(disabled)}
+          disabled={disabled}
+        >
+          {isLoading
+            ? 'Sending...'
+            : cooldown > 0
+              ? `Resend in ${cooldown}s`
+              : sent
+                ? 'Resend Reset Link'
+                : 'Send Reset Link'}
+        </motion.button>
+      </form>
+      <p className="text-center text-gray-600 mt-6">
+        Remembered it?{' '}
+        <Link to="/login" className="text-blue-600 hover:underline font-medium">
+          Back to Login
+        </Link>
+      </p>
+    </AuthCard>
+  );
+}
+
+export default ForgotPassword;
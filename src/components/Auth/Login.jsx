@@ -1,7 +1,8 @@
-import { useState, useCallback, useEffect } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useState, useCallback, useEffect, useContext } from 'react';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import api from '../../utils/api';
+import { AuthContext } from '../../contexts/AuthContext';
+import { DEFAULT_ROLE, homePathFor } from '../../config/roles';
 
 function Login() {
   const [email, setEmail] = useState('');
@@ -10,6 +11,10 @@ function Login() {
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const navigate = useNavigate();
+  const location = useLocation();
+  const { login, sessionExpired } = useContext(AuthContext);
+  // ProtectedRoute passes the page the user was trying to reach
+  const from = location.state?.from;
 
   useEffect(() => {
     console.log('Login component rendered:', { email, password, isLoading });
@@ -34,12 +39,18 @@ function Login() {
     }
 
     try {
-      const res = await api.post('/auth/login', { email, password });
-      console.log('Login response:', res.data);
-      localStorage.setItem('token', res.data.token);
-      navigate('/');
+      const data = await login({ email, password });
+      // Without a page to return to, each role starts on its own dashboard
+      const redirectTo = from
+        ? `${from.pathname}${from.search || ''}${from.hash || ''}`
+        : homePathFor(data.user?.role || DEFAULT_ROLE);
+      navigate(redirectTo, { replace: true });
     } catch (err) {
       console.error('Login error:', err);
+      if (err.response?.data?.code === 'EMAIL_NOT_VERIFIED') {
+        navigate('/verify-email', { state: { email } });
+        return;
+      }
       setError(err.response?.data?.msg || 'Invalid credentials');
       setIsLoading(false);
     }
@@ -64,6 +75,15 @@ function Login() {
           <p className="text-gray-500">Login to your AI-powered learning platform</p>
         </motion.div>
 
+        {location.state?.notice && !error && (
+          <p className="text-green-700 mb-4 text-center bg-green-100 p-2 rounded">{location.state.notice}</p>
+        )}
+        {sessionExpired && !error && (
+          <p className="text-yellow-800 mb-4 text-center bg-yellow-100 p-2 rounded">
+            Your session has expired. Please log in again.
+          </p>
+        )}
+
         {/* Error Message */}
         {error && (
           <motion.p
@@ -115,6 +135,9 @@ function Login() {
             >
               {showPassword ? '🙈' : '👁️'}
             </button>
+            <Link to="/forgot-password" className="block text-right text-sm text-blue-600 hover:underline mt-1">
+              Forgot password?
+            </Link>
           </div>
           <motion.button
             whileHover={{ scale: 1.05, boxShadow: '0 0 10px rgba(0,0,0,0.2)' }}
@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import api from '../../utils/api';
+import { errorMessage, tokenError } from '../../utils/authErrors';
+import AuthCard from './AuthCard';
+import { inputClassName, submitClassName } from './authStyles';
+
+const TOKEN_MESSAGES = {
+  expired: 'This reset link has expired. Reset links only work for a limited time.',
+  invalid: 'This reset link is invalid or has already been used.',
+};
+
+// Reached from the emailed link: /reset-password?token=...
+function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const navigate = useNavigate();
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [error, setError] = useState('');
+  const [tokenState, setTokenState] = useState(token ? 'ok' : 'invalid'); // ok, expired, invalid
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (password.length < 6) {
+      setError('Password must be at least 6 characters long');
+      return;
+    }
+    if (password !== confirm) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      await api.post('/auth/reset-password', { token, password });
+      navigate('/login', { replace: true, state: { notice: 'Your password has been reset. Please log in.' } });
+    } catch (err) {
+      console.error('Reset password error:', err);
+      const kind = tokenError(err);
+      if (kind === 'error') setError(errorMessage(err, 'Could not reset your password. Please try again.'));
+      else setTokenState(kind);
+      setIsLoading(false);
+    }
+  };
+
+  if (tokenState !== 'ok') {
+    return (
+      <AuthCard subtitle="Reset your password" error={TOKEN_MESSAGES[tokenState]}>
+        <Link
+          to="/forgot-password"
+          className="block text-center w-full bg-blue-600 text-white p-3 rounded-lg font-semibold hover:bg-blue-700"
+        >
+          Request a New Link
+        </Link>
+      </AuthCard>
+    );
+  }
+
+  return (
+    <AuthCard subtitle="Choose a new password" error={error}>
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="relative">
+          <label htmlFor="password" className="block text-gray-700 font-medium mb-1">
+            New Password
+          </label>
+          <input
+            id="password"
+            name="password"
+            type={showPassword ? 'text' : 'password'}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className={inputClassName}
+            placeholder="At least 6 characters"
+            autoComplete="new-password"
+            required
+          />
+          <button
+            type="button"
+            onClick={() => setShowPassword(!showPassword)}
+            className="absolute right-3 top-10 text-gray-500 hover:text-gray-700"
+            aria-label={showPassword ? 'Hide password' : 'Show password'}
+          >
+            {showPassword ? '🙈' : '👁️'}
+          </button>
+        </div>
+        <div>
+          <label htmlFor="confirm" className="block text-gray-700 font-medium mb-1">
+            Confirm Password
+          </label>
+          <input
+            id="confirm"
+            name="confirm"
+            type={showPassword ? 'text' : 'password'}
+            value={confirm}
+            onChange={(e) => setConfirm(e.target.value)}
+            className={inputClassName}
+            placeholder="Type it again"
+            autoComplete="new-password"
+            required
+          />
+        </div>
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          type="submit"
+          className={submitClassName(isLoading)}
+          disabled={isLoading}
+        >
+          {isLoading ? 'Saving...' : 'Reset Password'}
+        </motion.button>
+      </form>
+    </AuthCard>
+  );
+}
+
+export default ResetPassword;
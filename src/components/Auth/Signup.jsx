@@ -2,11 +2,13 @@ import { useState, useCallback, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import api from '../../utils/api';
+import { DEFAULT_ROLE, ROLE_OPTIONS } from '../../config/roles';
 
 function Signup() {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [name, setName] = useState('');
+  const [role, setRole] = useState(DEFAULT_ROLE);
   const [error, setError] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
@@ -48,9 +50,9 @@ function Signup() {
     }
 
     try {
-      const res = await api.post('/auth/register', { name, email, password });
+      const res = await api.post('/auth/register', { name, email, password, role });
       console.log('Signup response:', res.data);
-      navigate('/login');
+      navigate('/verify-email', { state: { email } });
     } catch (err) {
       console.error('Signup error:', err);
       setError(err.response?.data?.msg || 'Registration failed');
@@ -91,6 +93,31 @@ function Signup() {
 
         {/* Form */}
         <form onSubmit={handleSubmit} className="space-y-6">
+          <fieldset>
+            <legend className="block text-gray-700 font-medium mb-1">I am a</legend>
+            <div className="grid grid-cols-3 gap-2">
+              {ROLE_OPTIONS.map((option) => (
+                <label
+                  key={option.value}
+                  className={`p-2 border rounded-lg text-center cursor-pointer ${
+                    role === option.value ? 'border-blue-500 bg-blue-50 ring-2 ring-blue-500' : 'bg-gray-50'
+                  }`}
+                  title={option.description}
+                >
+                  <input
+                    type="radio"
+                    name="role"
+                    value={option.value}
+                    checked={role === option.value}
+                    onChange={() => setRole(option.value)}
+                    className="sr-only"
+                  />
+                  <span className="block text-2xl">{option.icon}</span>
+                  <span className="block text-sm font-medium text-gray-800">{option.label}</span>
+                </label>
+              ))}
+            </div>
+          </fieldset>
           <div>
             <label htmlFor="name" className="block text-gray-700 font-medium mb-1">
               Name
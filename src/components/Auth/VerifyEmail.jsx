@@ -0,0 +1,136 @@
+import { useContext, useEffect, useRef, useState } from 'react';
+import { Link, useLocation, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import api from '../../utils/api';
+import { errorMessage, retryAfterSeconds, tokenError } from '../../utils/authErrors';
+import useCooldown from '../../hooks/useCooldown';
+import { AuthContext } from '../../contexts/AuthContext';
+import AuthCard from './AuthCard';
+import { inputClassName, submitClassName } from './authStyles';
+
+const STATUS_MESSAGES = {
+  expired: 'This verification link has expired. Send yourself a new one below.',
+  invalid: 'This verification link is invalid or has already been used.',
+  error: 'We could not verify your email right now. Please try the link again later.',
+};
+
+// Two entry points: /verify-email?token=... from the emailed link, and
+// /verify-email after signup (or a blocked login) to wait for and resend that email
+function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const location = useLocation();
+  const { user } = useContext(AuthContext);
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'pending'); // verifying, verified, pending, expired, invalid, error
+  const [email, setEmail] = useState(location.state?.email || searchParams.get('email') || user?.email || '');
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const [cooldown, startCooldown] = useCooldown(`verify-email:${email.trim().toLowerCase()}`);
+  // Tokens are single use, so StrictMode's second effect run must not submit it again
+  const submittedRef = useRef(null);
+
+  useEffect(() => {
+    if (!token || submittedRef.current === token) return;
+    submittedRef.current = token;
+    setStatus('verifying');
+    api
+      .post('/auth/verify-email', { token })
+      .then(() => setStatus('verified'))
+      .catch((err) => {
+        console.error('Email verification error:', err);
+        setStatus(tokenError(err));
+      });
+  }, [token]);
+
+  const resend = async (e) => {
+    e.preventDefault();
+    setError('');
+    setNotice('');
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      setError('Please enter a valid email address');
+      return;
+    }
+
+    setIsSending(true);
+    try {
+      await api.post('/auth/resend-verification', { email });
+      setNotice(`A new verification link has been sent to ${email}.`);
+      startCooldown();
+    } catch (err) {
+      console.error('Resend verification error:', err);
+      const wait = retryAfterSeconds(err);
+      if (wait) {
+        startCooldown(wait);
+        setError(`Too many requests. Please try again in ${wait} seconds.`);
+      } else {
+        setError(errorMessage(err, 'Could not send the verification email. Please try again.'));
+      }
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  if (status === 'verifying') {
+    return <AuthCard subtitle="Verifying your email..." />;
+  }
+
+  if (status === 'verified') {
+    return (
+      <AuthCard subtitle="Email verified" notice="Thanks! Your email address is confirmed.">
+        <Link
+          to={user ? '/dashboard' : '/login'}
+          className="block text-center w-full bg-blue-600 text-white p-3 rounded-lg font-semibold hover:bg-blue-700"
+        >
+          {user ? 'Go to Dashboard' : 'Continue to Login'}
+        </Link>
+      </AuthCard>
+    );
+  }
+
+  const disabled = isSending || cooldown > 0;
+
+  return (
+    <AuthCard subtitle="Verify your email" error={error || STATUS_MESSAGES[status]} notice={notice}>
+      {status === 'pending' && (
+        <p className="text-gray-700 mb-4 text-center">
+          We sent a verification link to {email || 'your email address'}. Open it to activate your account.
+        </p>
+      )}
+      <form onSubmit={resend} className="space-y-4">
+        <div>
+          <label htmlFor="email" className="block text-gray-700 font-medium mb-1">
+            Email
+          </label>
+          <input
+            id="email"
+            name="email"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className={inputClassName}
+            placeholder="Enter your account email"
+            required
+          />
+        </div>
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          type="submit"
+          className={submitClassName(disabled)}
+          disabled={disabled}
+        >
+          {isSending ? 'Sending...' : cooldown > 0 ? `Resend in ${cooldown}s` : 'Resend Verification Email'}
+        </motion.button>
+      </form>
+      <p className="text-center text-gray-600 mt-6">
+        <Link to="/login" className="text-blue-600 hover:underline font-medium">
+          Back to Login
+        </Link>
+      </p>
+    </AuthCard>
+  );
+}
+
+export default VerifyEmail;
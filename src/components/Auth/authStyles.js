@@ -0,0 +1,6 @@
+// Tailwind classes shared by the account recovery forms, matching Login and Signup
+export const inputClassName =
+  'w-full p-3 border rounded-lg bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+export const submitClassName = (disabled) =>
+  `w-full bg-blue-600 text-white p-3 rounded-lg font-semibold hover:bg-blue-700 ${disabled ? 'opacity-75 cursor-not-allowed' : ''}`;
@@ -0,0 +1,16 @@
+import { groupBoards } from '../utils/syllabus';
+
+// <option>s for a board <select>, grouped into National, State and International
+function BoardOptions({ boards }) {
+  return groupBoards(boards).map(({ group, boards: inGroup }) => (
+    <optgroup key={group} label={group}>
+      {inGroup.map((b) => (
+        <option key={b.id} value={b.id}>
+          {b.name}
+        </option>
+      ))}
+    </optgroup>
+  ));
+}
+
+export default BoardOptions;
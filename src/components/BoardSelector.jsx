@@ -1,27 +1,37 @@
 import { useContext } from 'react';
 import { motion } from 'framer-motion';
 import { BoardContext } from '../contexts/BoardContext';
+import LearnerProfileFields from './LearnerProfileFields';
+import useSyllabus from '../hooks/useSyllabus';
+import { groupBoards } from '../utils/syllabus';
 
 function BoardSelector() {
   const { board, setBoard } = useContext(BoardContext);
-
-  const boards = ['CBSE', 'ICSE', 'State Board'];
+  const { boards } = useSyllabus();
 
   return (
     <div className="mb-4">
       <label className="block text-gray-700 mb-2">Select Board</label>
-      <div className="flex gap-2">
-        {boards.map((b) => (
-          <motion.button
-            key={b}
-            whileHover={{ scale: 1.05 }}
-            whileTap={{ scale: 0.95 }}
-            onClick={() => setBoard(b)}
-            className={`p-2 rounded ${board === b ? 'bg-blue-600 text-white' : 'bg-gray-200'}`}
-          >
-            {b}
-          </motion.button>
-        ))}
+      {groupBoards(boards).map(({ group, boards: inGroup }) => (
+        <div key={group} className="mb-2">
+          <p className="text-xs uppercase tracking-wide text-gray-500 mb-1">{group}</p>
+          <div className="flex flex-wrap gap-2">
+            {inGroup.map((b) => (
+              <motion.button
+                key={b.id}
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setBoard(b.id)}
+                className={`p-2 rounded ${board === b.id ? 'bg-blue-600 text-white' : 'bg-gray-200'}`}
+              >
+                {b.name}
+              </motion.button>
+            ))}
+          </div>
+        </div>
+      ))}
+      <div className="mt-2">
+        <LearnerProfileFields />
       </div>
     </div>
   );
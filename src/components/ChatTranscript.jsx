@@ -0,0 +1,156 @@
+import { useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { FaCopy } from 'react-icons/fa';
+import AnswerRenderer from './AnswerRenderer';
+import AnswerFeedback from './AnswerFeedback';
+import FlashcardActions from './FlashcardActions';
+import HintSteps from './HintSteps';
+import DiagramViewer from './DiagramViewer';
+import ModelViewer from './ModelViewer';
+import MoleculeViewer from './MoleculeViewer';
+import { splitHints } from '../config/answerStyles';
+
+const ANSWER_HEADINGS = {
+  hints: 'Hints',
+  socratic: 'Guiding Questions',
+  check: 'Feedback on Your Attempt',
+};
+
+function ChatTranscript({ turns, streaming, onCopy, threadId, onFeedback, onRegenerate }) {
+  const bottomRef = useRef(null);
+  const lastText = turns[turns.length - 1]?.text;
+
+  // Keep the newest turn in view while answers stream in
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView?.({ behavior: 'smooth', block: 'nearest' });
+  }, [turns.length, lastText]);
+
+  if (turns.length === 0) return null;
+
+  return (
+    <div
+      className="space-y-4 max-h-[600px] overflow-y-auto pr-1"
+      role="log"
+      aria-label="Conversation transcript"
+    >
+      {turns.map((turn, index) => {
+        const isLast = index === turns.length - 1;
+
+        if (turn.role === 'user') {
+          return (
+            <motion.div
+              key={index}
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.3 }}
+              className="flex justify-end"
+            >
+              <div className="max-w-[80%] p-3 rounded-md bg-blue-500 text-white">
+                {turn.image && (
+                  <img src={turn.image} alt="Attached question" className="max-h-48 rounded-md mb-2" />
+                )}
+                <p className="whitespace-pre-wrap">{turn.text}</p>
+                {turn.attempt && (
+                  <p className="whitespace-pre-wrap mt-2 pt-2 border-t border-blue-300 text-sm">
+                    <span className="font-semibold">My attempt:</span> {turn.attempt}
+                  </p>
+                )}
+              </div>
+            </motion.div>
+          );
+        }
+
+        if (!turn.text && !turn.visual && !turn.video && !turn.model && !turn.molecule) return null;
+
+        // Hints stay hidden while they stream in, then open one at a time
+        const asHints = turn.answerStyle === 'hints';
+
+        return (
+          <motion.div
+            key={index}
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.4 }}
+            className="space-y-4"
+          >
+            {/* Text Response */}
+            {turn.text && (
+              <div className="p-4 bg-gray-50 rounded-md border border-gray-200">
+                <h3 className="font-semibold text-blue-600 mb-2 font-sans">
+                  {ANSWER_HEADINGS[turn.answerStyle] || 'Text Answer'}
+                </h3>
+                {asHints && streaming && isLast && <p className="text-gray-500">Preparing hints...</p>}
+                {asHints && !(streaming && isLast) && <HintSteps hints={turn.hints || splitHints(turn.text)} />}
+                {!asHints && <AnswerRenderer text={turn.text} streaming={streaming && isLast} />}
+                {!asHints && streaming && isLast && (
+                  <span className="inline-block w-2 h-4 bg-blue-500 animate-pulse align-middle" />
+                )}
+                {turn.stopped && (
+                  <p className="text-sm text-gray-500 mt-2">Answer stopped. Showing the partial response.</p>
+                )}
+                {!(streaming && isLast) && !asHints && (
+                  <motion.button
+                    onClick={() => onCopy(turn.text)}
+                    className="mt-3 px-4 py-2 rounded-md bg-blue-500 text-white font-medium hover:bg-blue-600"
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                  >
+                    <FaCopy className="inline mr-2" /> Copy Answer
+                  </motion.button>
+                )}
+                {!(streaming && isLast) && !asHints && (
+                  <FlashcardActions question={turns[index - 1]?.text || ''} answer={turn.text} threadId={threadId} />
+                )}
+              </div>
+            )}
+            {/* Image Response */}
+            {turn.visual && (
+              <div className="p-4 bg-gray-50 rounded-md border border-gray-200">
+                <h3 className="font-semibold text-blue-600 mb-2 font-sans">Diagram</h3>
+                <DiagramViewer src={turn.visual} alt={`Diagram for ${turns[index - 1]?.text || 'this answer'}`} />
+              </div>
+            )}
+            {/* 3D Model Response */}
+            {turn.model && (
+              <div className="p-4 bg-gray-50 rounded-md border border-gray-200">
+                <ModelViewer model={turn.model} />
+              </div>
+            )}
+            {/* Molecule Response */}
+            {turn.molecule && (
+              <div className="p-4 bg-gray-50 rounded-md border border-gray-200">
+                <MoleculeViewer molecule={turn.molecule} />
+              </div>
+            )}
+            {/* Video Response */}
+            {turn.video && (
+              <div className="p-4 bg-gray-50 rounded-md border border-gray-200">
+                <h3 className="font-semibold text-blue-600 mb-2 font-sans">Video Explanation</h3>
+                <video
+                  src={turn.video}
+                  controls
+                  className="w-full max-w-md rounded-md border border-gray-200"
+                  loading="lazy"
+                >
+                  Your browser does not support the video tag.
+                </video>
+              </div>
+            )}
+            {/* Rating, Reporting and Regenerate */}
+            {onFeedback && !(streaming && isLast) && (
+              <AnswerFeedback
+                turn={turn}
+                threadId={threadId}
+                onChange={(feedback) => onFeedback(index, feedback)}
+                onRegenerate={isLast ? onRegenerate : null}
+              />
+            )}
+          </motion.div>
+        );
+      })}
+      <div ref={bottomRef} />
+    </div>
+  );
+}
+
+export default ChatTranscript;
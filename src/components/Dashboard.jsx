@@ -1,19 +1,25 @@
-import { useState, useEffect, useCallback } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useState, useEffect, useCallback, useContext } from 'react';
+import { Navigate, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
+import { AuthContext } from '../contexts/AuthContext';
+import { ROLES, homePathFor } from '../config/roles';
+import JoinClassCard from './JoinClassCard';
+import HomeworkCard from './HomeworkCard';
+import FlashcardQueueCard from './FlashcardQueueCard';
+import ExamProgressCard from './ExamProgressCard';
+import ParentLinkCard from './ParentLinkCard';
 
 console.log('Dashboard.jsx imported');
 
 function Dashboard() {
   const navigate = useNavigate();
-  const [user, setUser] = useState({ username: 'Guest' }); // Mock user
+  const { user: sessionUser, role, logout } = useContext(AuthContext);
+  const user = sessionUser || { username: 'Guest' };
   const [loading, setLoading] = useState(false);
   const [recentQueries, setRecentQueries] = useState([]); // Mock recent queries
 
   useEffect(() => {
     console.log('Dashboard rendered:', { user, loading });
-    const storedUser = localStorage.getItem('user');
-    if (storedUser) setUser(JSON.parse(storedUser));
     const history = JSON.parse(localStorage.getItem('queryHistory')) || [];
     setRecentQueries(history.slice(0, 3));
   }, []);
@@ -29,13 +35,19 @@ function Dashboard() {
 
   const handleLogout = () => {
     console.log('Logging out');
-    localStorage.removeItem('user');
+    logout();
     navigate('/login');
   };
 
+  // This is the student dashboard; teachers and parents have their own
+  if (role && role !== ROLES.STUDENT) {
+    return <Navigate to={homePathFor(role)} replace />;
+  }
+
   const options = [
     { label: 'Ask a Question', path: '/ask' },
     { label: 'Explore Topics', path: '/explore' },
+    { label: 'Mock Exams', path: '/exams' },
     { label: 'View History', path: '/history' },
   ];
 
@@ -96,7 +108,7 @@ function Dashboard() {
           </motion.div>
 
           {/* Navigation Options */}
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
             {options.map((option, index) => (
               <motion.button
                 key={option.label}
@@ -124,6 +136,16 @@ function Dashboard() {
             ))}
           </div>
 
+          <HomeworkCard />
+
+          <FlashcardQueueCard />
+
+          <ExamProgressCard />
+
+          <JoinClassCard />
+
+          <ParentLinkCard />
+
           {/* Recent Queries */}
           {recentQueries.length > 0 && (
             <motion.div
@@ -0,0 +1,336 @@
+import { useEffect, useId, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import {
+  FaArrowRight,
+  FaCompress,
+  FaExpand,
+  FaFont,
+  FaHandPaper,
+  FaHighlighter,
+  FaSearchMinus,
+  FaSearchPlus,
+  FaUndo,
+} from 'react-icons/fa';
+import { downloadBlob, downloadUrl } from '../utils/download';
+
+const MIN_ZOOM = 0.5;
+const MAX_ZOOM = 8;
+const LAYERS = [
+  { type: 'label', name: 'Labels' },
+  { type: 'arrow', name: 'Arrows' },
+  { type: 'highlight', name: 'Highlights' },
+];
+
+const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+// Inline the diagram so exported files do not depend on the original URL
+const toDataUrl = async (src) => {
+  if (src.startsWith('data:')) return src;
+  const blob = await (await fetch(src)).blob();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = reject;
+    reader.readAsDataURL(blob);
+  });
+};
+
+function DiagramViewer({ src, alt = 'Diagram' }) {
+  const markerId = `arrow-${useId().replace(/:/g, '')}`;
+  const containerRef = useRef(null);
+  const svgRef = useRef(null);
+  const groupRef = useRef(null);
+  const dragRef = useRef(null);
+  const [size, setSize] = useState(null);
+  const [loadError, setLoadError] = useState(false);
+  const [view, setView] = useState({ zoom: 1, x: 0, y: 0 });
+  const [tool, setTool] = useState('pan'); // pan, label, arrow, highlight
+  const [annotations, setAnnotations] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [hidden, setHidden] = useState([]);
+  const [fullscreen, setFullscreen] = useState(false);
+
+  // Read the natural size of the diagram to set up the drawing surface
+  useEffect(() => {
+    let cancelled = false;
+    setSize(null);
+    setLoadError(false);
+    const img = new Image();
+    img.onload = () => !cancelled && setSize({ width: img.naturalWidth, height: img.naturalHeight });
+    img.onerror = () => !cancelled && setLoadError(true);
+    img.src = src;
+    setAnnotations([]);
+    setView({ zoom: 1, x: 0, y: 0 });
+    return () => {
+      cancelled = true;
+    };
+  }, [src]);
+
+  // Wheel zoom needs a non-passive listener so the page does not scroll as well
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const factor = e.deltaY < 0 ? 1.1 : 1 / 1.1;
+      setView((v) => ({ ...v, zoom: clampZoom(v.zoom * factor) }));
+    };
+    svg.addEventListener('wheel', onWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', onWheel);
+  }, [size]);
+
+  useEffect(() => {
+    const onChange = () => setFullscreen(document.fullscreenElement === containerRef.current);
+    document.addEventListener('fullscreenchange', onChange);
+    return () => document.removeEventListener('fullscreenchange', onChange);
+  }, []);
+
+  if (loadError) {
+    return <p className="text-gray-600">Failed to load diagram.</p>;
+  }
+  if (!size) {
+    return <p className="text-gray-500 text-sm">Loading diagram...</p>;
+  }
+
+  const unit = Math.max(size.width, size.height) / 200;
+
+  // Pointer position in diagram coordinates, whatever the current pan and zoom
+  const toDiagram = (e) => {
+    const point = svgRef.current.createSVGPoint();
+    point.x = e.clientX;
+    point.y = e.clientY;
+    return point.matrixTransform(groupRef.current.getScreenCTM().inverse());
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    if (tool === 'pan') {
+      dragRef.current = { x: e.clientX, y: e.clientY, view };
+      return;
+    }
+    const point = toDiagram(e);
+    if (tool === 'label') {
+      const text = window.prompt('Label text');
+      if (text) {
+        setAnnotations((list) => [...list, { type: 'label', x: point.x, y: point.y, text }]);
+      }
+      return;
+    }
+    setDraft({ type: tool, x: point.x, y: point.y, x2: point.x, y2: point.y });
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragRef.current) {
+      const { x, y, view: start } = dragRef.current;
+      const bounds = svgRef.current.getBoundingClientRect();
+      const scale = size.width / bounds.width;
+      setView({ ...start, x: start.x + (e.clientX - x) * scale, y: start.y + (e.clientY - y) * scale });
+      return;
+    }
+    if (draft) {
+      const point = toDiagram(e);
+      setDraft({ ...draft, x2: point.x, y2: point.y });
+    }
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+    if (draft && Math.hypot(draft.x2 - draft.x, draft.y2 - draft.y) > unit) {
+      setAnnotations((list) => [...list, draft]);
+    }
+    setDraft(null);
+  };
+
+  const toggleLayer = (type) => {
+    setHidden((list) => (list.includes(type) ? list.filter((t) => t !== type) : [...list, type]));
+  };
+
+  // Fullscreen can be refused (iframe, browser policy); the viewer then stays inline
+  const toggleFullscreen = () => {
+    const request = document.fullscreenElement
+      ? document.exitFullscreen()
+      : containerRef.current.requestFullscreen?.();
+    request?.catch((err) => console.error('Fullscreen toggle failed:', err));
+  };
+
+  // Serialise the visible layers at 1:1 with the diagram embedded
+  const buildSvg = async () => {
+    const clone = svgRef.current.cloneNode(true);
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('width', size.width);
+    clone.setAttribute('height', size.height);
+    clone.querySelector('g').removeAttribute('transform');
+    clone.querySelector('image').setAttribute('href', await toDataUrl(src));
+    return new XMLSerializer().serializeToString(clone);
+  };
+
+  const exportSvg = async () => {
+    try {
+      const markup = await buildSvg();
+      downloadBlob(new Blob([markup], { type: 'image/svg+xml' }), 'diagram.svg');
+    } catch (err) {
+      console.error('SVG export failed:', err);
+      alert('This diagram could not be exported.');
+    }
+  };
+
+  const exportPng = async () => {
+    try {
+      const markup = await buildSvg();
+      const img = new Image();
+      img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+      await img.decode();
+      const canvas = document.createElement('canvas');
+      canvas.width = size.width;
+      canvas.height = size.height;
+      canvas.getContext('2d').drawImage(img, 0, 0);
+      downloadUrl(canvas.toDataURL('image/png'), 'diagram.png');
+    } catch (err) {
+      console.error('PNG export failed:', err);
+      alert('This diagram could not be exported.');
+    }
+  };
+
+  const renderAnnotation = (a, key) => {
+    if (hidden.includes(a.type)) return null;
+    if (a.type === 'label') {
+      return (
+        <text
+          key={key}
+          x={a.x}
+          y={a.y}
+          fontSize={unit * 6}
+          fill="#dc2626"
+          stroke="#ffffff"
+          strokeWidth={unit * 0.8}
+          paintOrder="stroke"
+          fontFamily="sans-serif"
+        >
+          {a.text}
+        </text>
+      );
+    }
+    if (a.type === 'arrow') {
+      return (
+        <line
+          key={key}
+          x1={a.x}
+          y1={a.y}
+          x2={a.x2}
+          y2={a.y2}
+          stroke="#dc2626"
+          strokeWidth={unit}
+          markerEnd={`url(#${markerId})`}
+        />
+      );
+    }
+    return (
+      <rect
+        key={key}
+        x={Math.min(a.x, a.x2)}
+        y={Math.min(a.y, a.y2)}
+        width={Math.abs(a.x2 - a.x)}
+        height={Math.abs(a.y2 - a.y)}
+        fill="#facc15"
+        fillOpacity="0.35"
+      />
+    );
+  };
+
+  const toolButton = (active) =>
+    `p-2 rounded-md border ${active ? 'bg-blue-500 text-white border-blue-500' : 'bg-gray-100 text-gray-700 border-gray-300 hover:bg-gray-200'}`;
+
+  // Zoom around the centre of the diagram
+  const cx = size.width / 2;
+  const cy = size.height / 2;
+  const transform = `translate(${cx + view.x} ${cy + view.y}) scale(${view.zoom}) translate(${-cx} ${-cy})`;
+
+  return (
+    <div ref={containerRef} className={`bg-white ${fullscreen ? 'p-4 flex flex-col h-full' : ''}`}>
+      <div className="flex flex-wrap items-center gap-2 mb-2" role="toolbar" aria-label="Diagram tools">
+        <button onClick={() => setTool('pan')} className={toolButton(tool === 'pan')} aria-label="Pan">
+          <FaHandPaper />
+        </button>
+        <button onClick={() => setTool('label')} className={toolButton(tool === 'label')} aria-label="Add label">
+          <FaFont />
+        </button>
+        <button onClick={() => setTool('arrow')} className={toolButton(tool === 'arrow')} aria-label="Draw arrow">
+          <FaArrowRight />
+        </button>
+        <button onClick={() => setTool('highlight')} className={toolButton(tool === 'highlight')} aria-label="Highlight area">
+          <FaHighlighter />
+        </button>
+        <button onClick={() => setView((v) => ({ ...v, zoom: clampZoom(v.zoom * 1.25) }))} className={toolButton(false)} aria-label="Zoom in">
+          <FaSearchPlus />
+        </button>
+        <button onClick={() => setView((v) => ({ ...v, zoom: clampZoom(v.zoom / 1.25) }))} className={toolButton(false)} aria-label="Zoom out">
+          <FaSearchMinus />
+        </button>
+        <button
+          onClick={() => setAnnotations((list) => list.slice(0, -1))}
+          disabled={annotations.length === 0}
+          className={`${toolButton(false)} disabled:opacity-50`}
+          aria-label="Undo annotation"
+        >
+          <FaUndo />
+        </button>
+        <button onClick={toggleFullscreen} className={toolButton(false)} aria-label={fullscreen ? 'Exit fullscreen' : 'Fullscreen'}>
+          {fullscreen ? <FaCompress /> : <FaExpand />}
+        </button>
+        <span className="text-sm text-gray-500">{Math.round(view.zoom * 100)}%</span>
+      </div>
+      <div className="flex flex-wrap gap-3 mb-2 text-sm text-gray-700">
+        {LAYERS.map((layer) => (
+          <label key={layer.type} className="flex items-center gap-1">
+            <input type="checkbox" checked={!hidden.includes(layer.type)} onChange={() => toggleLayer(layer.type)} />
+            {layer.name}
+          </label>
+        ))}
+      </div>
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${size.width} ${size.height}`}
+        className={`w-full rounded-md border border-gray-200 bg-gray-50 touch-none ${
+          tool === 'pan' ? 'cursor-grab' : 'cursor-crosshair'
+        } ${fullscreen ? 'flex-1' : 'max-h-[500px]'}`}
+        role="img"
+        aria-label={alt}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        <defs>
+          <marker id={markerId} viewBox="0 0 10 10" refX="8" refY="5" markerWidth="4" markerHeight="4" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="#dc2626" />
+          </marker>
+        </defs>
+        <g ref={groupRef} transform={transform}>
+          <image href={src} width={size.width} height={size.height} />
+          {annotations.map(renderAnnotation)}
+          {draft && renderAnnotation(draft, 'draft')}
+        </g>
+      </svg>
+      <div className="flex gap-2 mt-2">
+        <motion.button
+          onClick={exportPng}
+          className="px-3 py-1 rounded-md text-sm font-medium text-gray-600 bg-gray-100 border border-gray-300 hover:bg-gray-200"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          Export PNG
+        </motion.button>
+        <motion.button
+          onClick={exportSvg}
+          className="px-3 py-1 rounded-md text-sm font-medium text-gray-600 bg-gray-100 border border-gray-300 hover:bg-gray-200"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          Export SVG
+        </motion.button>
+      </div>
+    </div>
+  );
+}
+
+export default DiagramViewer;
@@ -0,0 +1,54 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { fetchExamResults, subjectProgress } from '../utils/exams';
+
+// Mock exam scores per subject on the student dashboard, with the change
+// since the previous attempt
+function ExamProgressCard() {
+  const [progress, setProgress] = useState([]);
+
+  useEffect(() => {
+    fetchExamResults().then((results) => setProgress(subjectProgress(results)));
+  }, []);
+
+  if (progress.length === 0) return null;
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-lg font-semibold text-blue-600">Exam Progress</h3>
+        <Link to="/exams" className="text-sm text-blue-600 underline">
+          Take a mock exam
+        </Link>
+      </div>
+      <ul className="space-y-3">
+        {progress.map((entry) => {
+          const change = entry.previous === null ? null : entry.latest - entry.previous;
+          return (
+            <li key={entry.subject}>
+              <div className="flex justify-between text-sm">
+                <span className="text-gray-800">{entry.subject}</span>
+                <span className="text-gray-600">
+                  {entry.latest}%
+                  {change !== null && change !== 0 && (
+                    <span className={change > 0 ? 'text-green-600 ml-1' : 'text-red-600 ml-1'}>
+                      {change > 0 ? '▲' : '▼'} {Math.abs(change)}
+                    </span>
+                  )}
+                  <span className="text-gray-400 ml-2">
+                    best {entry.best}% · {entry.attempts} attempt{entry.attempts > 1 ? 's' : ''}
+                  </span>
+                </span>
+              </div>
+              <div className="h-2 bg-gray-200 rounded-full mt-1">
+                <div className="h-2 bg-blue-600 rounded-full" style={{ width: `${entry.latest}%` }} />
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default ExamProgressCard;
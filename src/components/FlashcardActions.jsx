@@ -0,0 +1,123 @@
+import { useContext, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { FaClone, FaHighlighter, FaMagic } from 'react-icons/fa';
+import { BoardContext } from '../contexts/BoardContext';
+import { addCards, generateCards, syncCards } from '../utils/flashcards';
+
+// Flashcard shortcuts under an answer: save the whole answer, save the text
+// highlighted in the answer box this sits in, or have the AI split it into
+// several cards
+function FlashcardActions({ question, answer, threadId }) {
+  const { board } = useContext(BoardContext);
+  const containerRef = useRef(null);
+  const [draft, setDraft] = useState(null); // { front, back } being edited
+  const [generating, setGenerating] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const source = { query: question, threadId: threadId || null };
+
+  const add = (drafts) => {
+    addCards(drafts);
+    syncCards();
+  };
+
+  const selectedText = () => {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed) return '';
+    const answerBox = containerRef.current?.parentElement;
+    if (answerBox && !answerBox.contains(selection.anchorNode)) return '';
+    return selection.toString().trim();
+  };
+
+  const fromSelection = () => {
+    const text = selectedText();
+    if (!text) {
+      setMessage('Highlight part of the answer first.');
+      return;
+    }
+    setMessage('');
+    setDraft({ front: question, back: text });
+  };
+
+  const saveDraft = (e) => {
+    e.preventDefault();
+    if (!draft.front.trim() || !draft.back.trim()) return;
+    add([{ ...draft, board, source }]);
+    setDraft(null);
+    setMessage('Card added to your deck.');
+  };
+
+  const autoGenerate = async () => {
+    setGenerating(true);
+    setMessage('');
+    try {
+      const cards = await generateCards({ query: question, answer, board });
+      if (cards.length === 0) {
+        setMessage('No cards could be made from this answer.');
+      } else {
+        add(cards.map((card) => ({ ...card, board, source })));
+        setMessage(`${cards.length} card${cards.length > 1 ? 's' : ''} added to your deck.`);
+      }
+    } catch (err) {
+      console.error('Failed to generate flashcards:', err);
+      setMessage('Could not generate cards. Please try again.');
+    }
+    setGenerating(false);
+  };
+
+  const button =
+    'px-3 py-1 rounded-md text-sm font-medium text-gray-700 bg-white border border-gray-300 hover:bg-gray-100 disabled:opacity-50';
+
+  return (
+    <div className="mt-3" ref={containerRef}>
+      <div className="flex flex-wrap gap-2">
+        <button onClick={() => setDraft({ front: question, back: answer })} className={button}>
+          <FaClone className="inline mr-1" /> Save as flashcard
+        </button>
+        {/* mousedown would otherwise clear the highlight before the click lands */}
+        <button onMouseDown={(e) => e.preventDefault()} onClick={fromSelection} className={button}>
+          <FaHighlighter className="inline mr-1" /> Card from highlight
+        </button>
+        <button onClick={autoGenerate} disabled={generating} className={button}>
+          <FaMagic className="inline mr-1" /> {generating ? 'Making cards...' : 'Auto-generate cards'}
+        </button>
+      </div>
+      {draft && (
+        <form onSubmit={saveDraft} className="mt-3 space-y-2">
+          <textarea
+            value={draft.front}
+            onChange={(e) => setDraft({ ...draft, front: e.target.value })}
+            rows={2}
+            className="w-full p-2 border border-gray-300 rounded-md text-sm"
+            aria-label="Card front"
+          />
+          <textarea
+            value={draft.back}
+            onChange={(e) => setDraft({ ...draft, back: e.target.value })}
+            rows={4}
+            className="w-full p-2 border border-gray-300 rounded-md text-sm"
+            aria-label="Card back"
+          />
+          <div className="flex gap-2">
+            <button type="submit" className="px-3 py-1 rounded-md text-sm font-semibold text-white bg-blue-600 hover:bg-blue-700">
+              Add card
+            </button>
+            <button type="button" onClick={() => setDraft(null)} className={button}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+      {message && (
+        <p className="text-sm text-gray-600 mt-2">
+          {message}{' '}
+          <Link to="/flashcards" className="text-blue-600 underline">
+            Open deck
+          </Link>
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default FlashcardActions;
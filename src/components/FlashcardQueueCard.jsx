@@ -0,0 +1,30 @@
+import { Link } from 'react-router-dom';
+import useFlashcards from '../hooks/useFlashcards';
+
+// Today's flashcard reviews on the student dashboard
+function FlashcardQueueCard() {
+  const { cards, due } = useFlashcards();
+
+  if (cards.length === 0) return null;
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200 flex flex-wrap items-center justify-between gap-2">
+      <div>
+        <h3 className="text-lg font-semibold text-blue-600">Flashcards</h3>
+        <p className="text-sm text-gray-600">
+          {due.length > 0
+            ? `${due.length} card${due.length > 1 ? 's' : ''} due for review today`
+            : 'All caught up for today'}
+        </p>
+      </div>
+      <Link
+        to="/flashcards"
+        className="px-3 py-1 rounded-md text-sm font-semibold text-white bg-blue-600 hover:bg-blue-700"
+      >
+        {due.length > 0 ? 'Review now' : 'Open deck'}
+      </Link>
+    </div>
+  );
+}
+
+export default FlashcardQueueCard;
@@ -86,7 +86,7 @@ function Footer() {
               EduAI
             </h3>
             <p className="text-gray-200 mb-4">
-              Empowering Minds, Shaping Futures with AI-powered learning for CBSE, ICSE, and State Boards.
+              Empowering Minds, Shaping Futures with AI-powered learning for CBSE, ICSE, state boards, IB and Cambridge.
             </p>
             <div className="flex space-x-4">
               {appLinks.map((app) => (
@@ -0,0 +1,351 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { FaCompressArrowsAlt, FaSearchMinus, FaSearchPlus } from 'react-icons/fa';
+import { parsePlotSpec } from '../utils/plot';
+
+const MIN_SPAN = 1e-3;
+const MAX_SPAN = 1e6;
+
+// 1, 2 or 5 times a power of ten, giving roughly `count` grid lines over `span`
+const niceStep = (span, count = 8) => {
+  const raw = span / count;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const scaled = raw / magnitude;
+  return (scaled < 1.5 ? 1 : scaled < 3.5 ? 2 : scaled < 7.5 ? 5 : 10) * magnitude;
+};
+
+const formatNumber = (value) => {
+  if (!Number.isFinite(value)) return 'undefined';
+  if (value !== 0 && (Math.abs(value) >= 1e5 || Math.abs(value) < 1e-3)) return value.toExponential(2);
+  return Number(value.toFixed(3)).toString();
+};
+
+const initialValues = (parameters) =>
+  Object.fromEntries(Object.entries(parameters).map(([name, { value }]) => [name, value]));
+
+// Fit y to the curves over the x range, ignoring the tails of asymptotes
+const autoYRange = (curves, [xMin, xMax], values) => {
+  const ys = [];
+  for (let i = 0; i <= 200; i++) {
+    const x = xMin + ((xMax - xMin) * i) / 200;
+    curves.forEach((curve) => {
+      const y = curve.evaluate({ ...values, x });
+      if (!Number.isNaN(y)) ys.push(y);
+    });
+  }
+  if (ys.length === 0) return [-10, 10];
+  ys.sort((a, b) => a - b);
+  let low = ys[Math.floor(ys.length * 0.02)];
+  let high = ys[Math.ceil(ys.length * 0.98) - 1];
+  if (high - low < MIN_SPAN) {
+    low -= 1;
+    high += 1;
+  }
+  const padding = (high - low) * 0.1;
+  return [low - padding, high + padding];
+};
+
+const defaultView = (plot, values) => {
+  const [yMin, yMax] = plot.yRange || autoYRange(plot.curves, plot.xRange, values);
+  return { xMin: plot.xRange[0], xMax: plot.xRange[1], yMin, yMax };
+};
+
+const rangeKeyOf = (plot) => JSON.stringify([plot.xRange, plot.yRange]);
+
+// Zoom by `factor` keeping the point (x, y) fixed on screen
+const zoomView = (view, factor, x = (view.xMin + view.xMax) / 2, y = (view.yMin + view.yMax) / 2) => {
+  const span = (view.xMax - view.xMin) * factor;
+  if (span < MIN_SPAN || span > MAX_SPAN) return view;
+  return {
+    xMin: x - (x - view.xMin) * factor,
+    xMax: x + (view.xMax - x) * factor,
+    yMin: y - (y - view.yMin) * factor,
+    yMax: y + (view.yMax - y) * factor,
+  };
+};
+
+const drawPlot = (canvas, width, height, { curves, view, values, traceX }) => {
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+
+  const toX = (x) => ((x - view.xMin) / (view.xMax - view.xMin)) * width;
+  const toY = (y) => height - ((y - view.yMin) / (view.yMax - view.yMin)) * height;
+
+  // Grid and tick labels
+  ctx.font = '11px sans-serif';
+  ctx.lineWidth = 1;
+  const xStep = niceStep(view.xMax - view.xMin);
+  const yStep = niceStep(view.yMax - view.yMin, 6);
+  const axisX = Math.min(Math.max(toX(0), 0), width);
+  const axisY = Math.min(Math.max(toY(0), 0), height);
+  for (let x = Math.ceil(view.xMin / xStep) * xStep; x <= view.xMax; x += xStep) {
+    ctx.strokeStyle = '#e5e7eb';
+    ctx.beginPath();
+    ctx.moveTo(toX(x), 0);
+    ctx.lineTo(toX(x), height);
+    ctx.stroke();
+    if (Math.abs(x) > xStep / 2) {
+      ctx.fillStyle = '#6b7280';
+      ctx.fillText(formatNumber(x), toX(x) + 2, Math.min(axisY + 12, height - 2));
+    }
+  }
+  for (let y = Math.ceil(view.yMin / yStep) * yStep; y <= view.yMax; y += yStep) {
+    ctx.strokeStyle = '#e5e7eb';
+    ctx.beginPath();
+    ctx.moveTo(0, toY(y));
+    ctx.lineTo(width, toY(y));
+    ctx.stroke();
+    if (Math.abs(y) > yStep / 2) {
+      ctx.fillStyle = '#6b7280';
+      ctx.fillText(formatNumber(y), Math.min(axisX + 4, width - 30), toY(y) - 2);
+    }
+  }
+
+  // Axes
+  ctx.strokeStyle = '#374151';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.moveTo(0, axisY);
+  ctx.lineTo(width, axisY);
+  ctx.moveTo(axisX, 0);
+  ctx.lineTo(axisX, height);
+  ctx.stroke();
+
+  // Curves, one sample per pixel. Lift the pen at gaps and at jumps across the
+  // whole view, which are asymptotes (tan x, 1/x) rather than steep curve.
+  ctx.lineWidth = 2;
+  curves.forEach((curve) => {
+    ctx.strokeStyle = curve.color;
+    ctx.beginPath();
+    let previous = null;
+    for (let px = 0; px <= width; px++) {
+      const x = view.xMin + (px / width) * (view.xMax - view.xMin);
+      const py = toY(curve.evaluate({ ...values, x }));
+      if (Number.isNaN(py) || (previous !== null && Math.abs(py - previous) > height * 2)) {
+        previous = Number.isNaN(py) ? null : py;
+        if (previous !== null) ctx.moveTo(px, py);
+        continue;
+      }
+      if (previous === null) ctx.moveTo(px, py);
+      else ctx.lineTo(px, py);
+      previous = py;
+    }
+    ctx.stroke();
+  });
+
+  // Trace line with a dot where it crosses each curve
+  if (traceX !== null) {
+    ctx.strokeStyle = '#9ca3af';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(toX(traceX), 0);
+    ctx.lineTo(toX(traceX), height);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    curves.forEach((curve) => {
+      const y = curve.evaluate({ ...values, x: traceX });
+      if (Number.isNaN(y)) return;
+      ctx.fillStyle = curve.color;
+      ctx.beginPath();
+      ctx.arc(toX(traceX), toY(y), 4, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }
+};
+
+// Plots the curves in a ```plot block (see parsePlotSpec). With `editable`,
+// the spec is shown in a text box and changes are reported through onSpecChange.
+function FunctionPlotter({ spec, editable = false, onSpecChange, height = 320 }) {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const [width, setWidth] = useState(0);
+
+  const { plot, error } = useMemo(() => {
+    try {
+      return { plot: parsePlotSpec(spec) };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [spec]);
+
+  // Keep the last plot that parsed so a half-typed expression does not blank the graph
+  const [shown, setShown] = useState(plot);
+  const [values, setValues] = useState(() => (plot ? initialValues(plot.parameters) : {}));
+  const [view, setView] = useState(() => (plot ? defaultView(plot, values) : null));
+  const [traceX, setTraceX] = useState(null);
+  const rangeKeyRef = useRef(plot ? rangeKeyOf(plot) : null);
+
+  useEffect(() => {
+    if (!plot) return;
+    setShown(plot);
+    // Keep slider positions for parameters that survive an edit
+    setValues((current) => ({ ...initialValues(plot.parameters), ...current }));
+    // Only a change of the requested ranges resets the view; editing curves keeps the user's pan and zoom
+    const rangeKey = rangeKeyOf(plot);
+    if (rangeKey === rangeKeyRef.current) return;
+    rangeKeyRef.current = rangeKey;
+    setView(defaultView(plot, initialValues(plot.parameters)));
+  }, [plot]);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+    const observer = new ResizeObserver(() => setWidth(container.clientWidth));
+    observer.observe(container);
+    setWidth(container.clientWidth);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (!shown || !view || !width) return;
+    drawPlot(canvasRef.current, width, height, { curves: shown.curves, view, values, traceX });
+  }, [shown, view, values, traceX, width, height]);
+
+  // Wheel zoom needs a non-passive listener so the page does not scroll as well
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return undefined;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const bounds = canvas.getBoundingClientRect();
+      const factor = e.deltaY < 0 ? 1 / 1.1 : 1.1;
+      setView((v) =>
+        v && zoomView(
+          v,
+          factor,
+          v.xMin + ((e.clientX - bounds.left) / bounds.width) * (v.xMax - v.xMin),
+          v.yMax - ((e.clientY - bounds.top) / bounds.height) * (v.yMax - v.yMin)
+        )
+      );
+    };
+    canvas.addEventListener('wheel', onWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', onWheel);
+  }, []);
+
+  const xFromEvent = (e) => {
+    const bounds = canvasRef.current.getBoundingClientRect();
+    return view.xMin + ((e.clientX - bounds.left) / bounds.width) * (view.xMax - view.xMin);
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: e.clientX, y: e.clientY, view };
+  };
+
+  const handlePointerMove = (e) => {
+    if (!view) return;
+    if (dragRef.current) {
+      const { x, y, view: start } = dragRef.current;
+      const bounds = canvasRef.current.getBoundingClientRect();
+      const dx = ((e.clientX - x) / bounds.width) * (start.xMax - start.xMin);
+      const dy = ((e.clientY - y) / bounds.height) * (start.yMax - start.yMin);
+      setView({ xMin: start.xMin - dx, xMax: start.xMax - dx, yMin: start.yMin + dy, yMax: start.yMax + dy });
+      return;
+    }
+    setTraceX(xFromEvent(e));
+  };
+
+  const handlePointerUp = (e) => {
+    if (!view) {
+      dragRef.current = null;
+      return;
+    }
+    // A tap without dragging traces that point, which is how touch screens trace
+    if (dragRef.current && Math.hypot(e.clientX - dragRef.current.x, e.clientY - dragRef.current.y) < 3) {
+      setTraceX(xFromEvent(e));
+    }
+    dragRef.current = null;
+  };
+
+  const toolButton = 'p-2 rounded-md border bg-gray-100 text-gray-700 border-gray-300 hover:bg-gray-200';
+
+  return (
+    <div className="mb-3">
+      {editable && (
+        <textarea
+          value={spec}
+          onChange={(e) => onSpecChange?.(e.target.value)}
+          rows={4}
+          className="w-full p-2 mb-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-400"
+          placeholder={'y = a*sin(x)\ny = x^2 - 2\na = 1 [0, 5]\nx = [-10, 10]'}
+          aria-label="Functions to plot"
+        />
+      )}
+      {error && <p className="text-sm text-red-600 mb-2">Could not plot: {error}</p>}
+      <div className="flex flex-wrap items-center gap-2 mb-2" role="toolbar" aria-label="Graph tools">
+        <button onClick={() => setView((v) => v && zoomView(v, 1 / 1.25))} className={toolButton} aria-label="Zoom in">
+          <FaSearchPlus />
+        </button>
+        <button onClick={() => setView((v) => v && zoomView(v, 1.25))} className={toolButton} aria-label="Zoom out">
+          <FaSearchMinus />
+        </button>
+        <button
+          onClick={() => shown && setView(defaultView(shown, values))}
+          className={toolButton}
+          aria-label="Reset view"
+        >
+          <FaCompressArrowsAlt />
+        </button>
+        {shown?.curves.map((curve, index) => (
+          <span key={index} className="text-sm font-mono" style={{ color: curve.color }}>
+            {curve.label}
+          </span>
+        ))}
+      </div>
+      <div ref={containerRef} className="w-full">
+        <canvas
+          ref={canvasRef}
+          className="w-full rounded-md border border-gray-200 touch-none cursor-crosshair"
+          style={{ height }}
+          role="img"
+          aria-label={`Graph of ${shown?.curves.map((curve) => curve.label).join(', ') || 'nothing yet'}`}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={() => {
+            dragRef.current = null;
+          }}
+          onPointerLeave={() => !dragRef.current && setTraceX(null)}
+        />
+      </div>
+      {traceX !== null && shown && (
+        <p className="text-sm font-mono text-gray-700 mt-1">
+          x = {formatNumber(traceX)}
+          {shown.curves.map((curve, index) => (
+            <span key={index} className="ml-3" style={{ color: curve.color }}>
+              y = {formatNumber(curve.evaluate({ ...values, x: traceX }))}
+            </span>
+          ))}
+        </p>
+      )}
+      {shown && Object.keys(shown.parameters).length > 0 && (
+        <div className="mt-2 space-y-1">
+          {Object.entries(shown.parameters).map(([name, { min, max }]) => (
+            <label key={name} className="flex items-center gap-2 text-sm text-gray-700">
+              <span className="font-mono w-6">{name}</span>
+              <input
+                type="range"
+                min={min}
+                max={max}
+                step={(max - min) / 100}
+                value={values[name] ?? min}
+                onChange={(e) => setValues((v) => ({ ...v, [name]: Number(e.target.value) }))}
+                className="flex-1"
+              />
+              <span className="font-mono w-16 text-right">{formatNumber(values[name] ?? min)}</span>
+            </label>
+          ))}
+        </div>
+      )}
+      <p className="text-xs text-gray-500 mt-1">Drag to pan, scroll to zoom, hover or tap to trace values.</p>
+    </div>
+  );
+}
+
+export default FunctionPlotter;
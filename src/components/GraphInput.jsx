@@ -0,0 +1,80 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FaChartLine } from 'react-icons/fa';
+import FunctionPlotter from './FunctionPlotter';
+import { parsePlotSpec } from '../utils/plot';
+
+const STARTER_SPEC = 'y = a*sin(x)\ny = x^2 / 4 - 2\na = 1 [0, 5]';
+
+function GraphInput({ onText, buttonClassName = '' }) {
+  const [open, setOpen] = useState(false);
+  const [spec, setSpec] = useState(STARTER_SPEC);
+
+  // Turn the plotted curves into a question about them
+  const ask = () => {
+    try {
+      const { curves } = parsePlotSpec(spec);
+      if (curves.length > 0) {
+        onText(`Explain the graph of ${curves.map((curve) => curve.label).join(' and ')}.`);
+      }
+      setOpen(false);
+    } catch (err) {
+      console.error('Cannot ask about an invalid graph:', err);
+    }
+  };
+
+  return (
+    <>
+      <motion.button
+        type="button"
+        onClick={() => setOpen(true)}
+        className={buttonClassName}
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+        aria-label="Graph plotter"
+      >
+        <FaChartLine className="inline" /> Graph
+      </motion.button>
+
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center p-4"
+            role="dialog"
+            aria-label="Graph plotter"
+          >
+            <div className="bg-white rounded-lg shadow-lg p-4 max-w-4xl w-full max-h-full overflow-auto">
+              <p className="text-sm text-gray-500 mb-2">
+                Enter one function per line. Letters other than x become sliders.
+              </p>
+              <FunctionPlotter spec={spec} onSpecChange={setSpec} editable />
+              <div className="flex justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={() => setOpen(false)}
+                  className="px-4 py-2 rounded-md font-medium text-gray-600 bg-gray-100 border border-gray-300 hover:bg-gray-200"
+                >
+                  Close
+                </button>
+                <motion.button
+                  type="button"
+                  onClick={ask}
+                  className="px-4 py-2 rounded-md bg-blue-500 text-white font-medium hover:bg-blue-600"
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  Ask About This Graph
+                </motion.button>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </>
+  );
+}
+
+export default GraphInput;
@@ -1,30 +1,69 @@
-import { useState, useCallback, useContext } from 'react';
+import { Fragment, useState, useCallback, useContext, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
+import { AuthContext } from '../contexts/AuthContext';
 import { BoardContext } from '../contexts/BoardContext';
+import { ROLES, ROLE_OPTIONS, homePathFor } from '../config/roles';
+import { profileLabel } from '../config/learnerProfile';
+import LearnerProfileFields from './LearnerProfileFields';
+import useSyllabus from '../hooks/useSyllabus';
+import { groupBoards } from '../utils/syllabus';
+import { fetchChildren } from '../utils/family';
 
 // Debug render
 console.log('Header.jsx imported');
 
 function Header() {
   const navigate = useNavigate();
-  const { board, setBoard } = useContext(BoardContext);
+  const { setBoard, profile } = useContext(BoardContext);
+  const { boards } = useSyllabus();
   const [isOpen, setIsOpen] = useState(false);
   const [dropdownOpen, setDropdownOpen] = useState(null);
-  const isAuthenticated = !!localStorage.getItem('token');
+  const { isAuthenticated, role, logout } = useContext(AuthContext);
+  const roleOption = ROLE_OPTIONS.find((option) => option.value === role);
+  const [children, setChildren] = useState([]);
+  const isParent = isAuthenticated && role === ROLES.PARENT;
+
+  // Parents get a link straight to each linked child's activity
+  useEffect(() => {
+    if (!isParent) {
+      setChildren([]);
+      return;
+    }
+    fetchChildren()
+      .then(setChildren)
+      .catch((err) => console.error('Failed to fetch children:', err));
+  }, [isParent]);
+
+  // Study tools are for students; teachers keep Ask and Explore to see what
+  // their classes get, and parents can browse the syllabus. Visitors see
+  // everything and are sent to log in.
+  const learnItems = [
+    { name: 'Ask Question', path: '/ask', icon: '❓', roles: [ROLES.STUDENT, ROLES.TEACHER] },
+    { name: 'Explore Topics', path: '/explore', icon: '🔍' },
+    { name: 'History', path: '/history', icon: '📜', roles: [ROLES.STUDENT] },
+    { name: 'Flashcards', path: '/flashcards', icon: '🃏', roles: [ROLES.STUDENT] },
+    { name: 'Mock Exams', path: '/exams', icon: '📝', roles: [ROLES.STUDENT] },
+  ].filter((item) => !isAuthenticated || !item.roles || item.roles.includes(role));
 
   const navItems = [
     { name: 'Home', path: '/', icon: '🏠' },
-    {
-      name: 'Learn',
-      icon: '📚',
-      subItems: [
-        { name: 'Ask Question', path: '/ask', icon: '❓' },
-        { name: 'Explore Topics', path: '/explore', icon: '🔍' },
-        { name: 'History', path: '/history', icon: '📜' },
-      ],
-    },
-    { name: 'Dashboard', path: '/dashboard', icon: '📊' },
+    { name: 'Learn', icon: '📚', subItems: learnItems },
+    // Each role's dashboard lives at its own path
+    { name: 'Dashboard', path: isAuthenticated ? homePathFor(role) : '/dashboard', icon: roleOption?.icon || '📊' },
+    ...(role === ROLES.TEACHER ? [{ name: 'Classes', path: '/teacher/classes', icon: '🏫' }] : []),
+    ...(isParent
+      ? [
+          {
+            name: 'Children',
+            icon: '👪',
+            subItems: [
+              { name: 'All Children', path: '/parent', icon: '👪' },
+              ...children.map((child) => ({ name: child.name, path: `/parent/children/${child.id}`, icon: '📈' })),
+            ],
+          },
+        ]
+      : []),
     ...(isAuthenticated
       ? [
           {
@@ -33,7 +72,7 @@ function Header() {
             icon: '🚪',
             action: () => {
               console.log('Logging out');
-              localStorage.removeItem('token');
+              logout();
               navigate('/login');
             },
           },
@@ -44,8 +83,6 @@ function Header() {
         ]),
   ];
 
-  const boards = ['CBSE', 'ICSE', 'State Board'];
-
   // Toggle dropdown
   const toggleDropdown = useCallback((name) => {
     console.log('Toggling dropdown:', name);
@@ -105,7 +142,7 @@ function Header() {
                     >
                       {item.subItems.map((subItem) => (
                         <motion.li
-                          key={subItem.name}
+                          key={subItem.path}
                           initial={{ opacity: 0 }}
                           animate={{ opacity: 1 }}
                           transition={{ duration: 0.2 }}
@@ -163,35 +200,43 @@ function Header() {
               style={{ pointerEvents: 'auto' }}
             >
               <span>📋</span>
-              {board}
+              {profileLabel(profile)}
             </motion.button>
             {dropdownOpen === 'board' && (
               <motion.ul
                 initial={{ opacity: 0, y: -10 }}
                 animate={{ opacity: 1, y: 0 }}
                 transition={{ duration: 0.3 }}
-                className="absolute right-0 mt-2 w-32 bg-white text-gray-800 rounded-lg shadow-lg p-2"
+                className="absolute right-0 mt-2 w-64 max-h-[70vh] overflow-y-auto bg-white text-gray-800 rounded-lg shadow-lg p-2"
               >
-                {boards.map((b) => (
-                  <motion.li
-                    key={b}
-                    initial={{ opacity: 0 }}
-                    animate={{ opacity: 1 }}
-                    transition={{ duration: 0.2 }}
-                  >
-                    <button
-                      onClick={() => {
-                        handleBoardChange(b);
-                        setDropdownOpen(null);
-                      }}
-                      className="w-full text-left px-4 py-2 hover:bg-blue-100 rounded"
-                      aria-label={`Switch to ${b}`}
-                      style={{ pointerEvents: 'auto' }}
-                    >
-                      {b}
-                    </button>
-                  </motion.li>
+                {groupBoards(boards).map(({ group, boards: inGroup }) => (
+                  <Fragment key={group}>
+                    <li className="px-4 pt-2 text-xs uppercase tracking-wide text-gray-500">{group}</li>
+                    {inGroup.map((b) => (
+                      <motion.li
+                        key={b.id}
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        transition={{ duration: 0.2 }}
+                      >
+                        <button
+                          onClick={() => {
+                            handleBoardChange(b.id);
+                            setDropdownOpen(null);
+                          }}
+                          className="w-full text-left px-4 py-2 hover:bg-blue-100 rounded"
+                          aria-label={`Switch to ${b.name}`}
+                          style={{ pointerEvents: 'auto' }}
+                        >
+                          {b.name}
+                        </button>
+                      </motion.li>
+                    ))}
+                  </Fragment>
                 ))}
+                <li className="px-4 py-2 border-t border-gray-200 mt-1">
+                  <LearnerProfileFields selectClassName="p-1 border border-gray-300 rounded text-sm" />
+                </li>
               </motion.ul>
             )}
           </motion.div>
@@ -235,7 +280,7 @@ function Header() {
                     {dropdownOpen === item.name && (
                       <ul className="pl-4 mt-2 space-y-2">
                         {item.subItems.map((subItem) => (
-                          <li key={subItem.name}>
+                          <li key={subItem.path}>
                             <motion.a
                               href={subItem.path}
                               className="flex items-center gap-2 text-gray-200 hover:text-white"
@@ -283,27 +328,30 @@ function Header() {
                 style={{ pointerEvents: 'auto' }}
               >
                 <span>📋</span>
-                {board}
+                {profileLabel(profile)}
               </motion.button>
               {dropdownOpen === 'board' && (
                 <ul className="pl-4 mt-2 space-y-2">
                   {boards.map((b) => (
-                    <li key={b}>
+                    <li key={b.id}>
                       <motion.button
                         onClick={() => {
-                          handleBoardChange(b);
+                          handleBoardChange(b.id);
                           setDropdownOpen(null);
                           setIsOpen(false);
                         }}
                         className="text-gray-200 hover:text-white"
                         whileHover={{ scale: 1.05 }}
-                        aria-label={`Switch to ${b}`}
+                        aria-label={`Switch to ${b.name}`}
                         style={{ pointerEvents: 'auto' }}
                       >
-                        {b}
+                        {b.name}
                       </motion.button>
                     </li>
                   ))}
+                  <li>
+                    <LearnerProfileFields selectClassName="p-1 rounded text-sm text-gray-800" />
+                  </li>
                 </ul>
               )}
             </div>
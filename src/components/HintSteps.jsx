@@ -0,0 +1,32 @@
+import { useState } from 'react';
+import { FaLightbulb } from 'react-icons/fa';
+import AnswerRenderer from './AnswerRenderer';
+
+// A hints-style answer shown one step at a time, so the student tries each
+// step before seeing the next
+function HintSteps({ hints }) {
+  const [revealed, setRevealed] = useState(1);
+
+  return (
+    <div className="space-y-3">
+      {hints.slice(0, revealed).map((hint, index) => (
+        <div key={index} className="p-3 bg-white rounded-md border border-yellow-200">
+          <AnswerRenderer text={hint} />
+        </div>
+      ))}
+      {revealed < hints.length ? (
+        <button
+          onClick={() => setRevealed((count) => count + 1)}
+          className="px-3 py-1 rounded-md text-sm font-medium text-yellow-800 bg-yellow-100 border border-yellow-300 hover:bg-yellow-200"
+        >
+          <FaLightbulb className="inline mr-1" />
+          Next hint ({revealed}/{hints.length})
+        </button>
+      ) : (
+        <p className="text-sm text-gray-500">That was the last hint. Ask a follow-up if you are still stuck.</p>
+      )}
+    </div>
+  );
+}
+
+export default HintSteps;
@@ -1,14 +1,20 @@
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { useNavigate } from 'react-router-dom';
 import api from '../utils/api';
+import { clearThreads, fetchThreads } from '../utils/threads';
+import { addCards, syncCards } from '../utils/flashcards';
 
-function HistoryPanel() {
+function HistoryPanel({ refreshKey = 0 }) {
+  const navigate = useNavigate();
   const [history, setHistory] = useState([]);
+  const [threads, setThreads] = useState([]);
   const [filteredHistory, setFilteredHistory] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [expanded, setExpanded] = useState(null);
   const [search, setSearch] = useState('');
+  const [savedCards, setSavedCards] = useState([]); // history items turned into flashcards
 
   useEffect(() => {
     const fetchHistory = async () => {
@@ -26,7 +32,8 @@ function HistoryPanel() {
       setLoading(false);
     };
     fetchHistory();
-  }, []);
+    fetchThreads().then(setThreads);
+  }, [refreshKey]);
 
   useEffect(() => {
     setFilteredHistory(
@@ -37,11 +44,31 @@ function HistoryPanel() {
   }, [search, history]);
 
   const clearHistory = () => {
+    // Saved conversations are deleted on the server too, so ask first
+    if (!window.confirm('Clear your history and delete all saved conversations? This cannot be undone.')) return;
     console.log('Clearing history');
     setHistory([]);
     setFilteredHistory([]);
     localStorage.removeItem('queryHistory');
     api.delete('/history').catch((err) => console.error('Failed to clear history:', err));
+    setThreads([]);
+    clearThreads();
+  };
+
+  const openThread = (id) => {
+    console.log('Opening thread:', id);
+    navigate(`/ask?thread=${id}`);
+  };
+
+  const filteredThreads = threads.filter((thread) =>
+    thread.title.toLowerCase().includes(search.toLowerCase())
+  );
+
+  // Past answers become flashcards in one click, question on the front and answer on the back
+  const saveFlashcard = (item) => {
+    addCards([{ front: item.query, back: item.response.text, board: item.board, source: { query: item.query } }]);
+    syncCards();
+    setSavedCards((saved) => [...saved, item._id || item.query]);
   };
 
   const toggleExpand = (id) => {
@@ -82,6 +109,31 @@ function HistoryPanel() {
         style={{ pointerEvents: 'auto', userSelect: 'auto' }}
       />
       {error && <p className="text-red-600 bg-red-100 p-2 rounded mb-2">{error}</p>}
+      {filteredThreads.length > 0 && (
+        <div className="mb-4">
+          <h4 className="text-sm font-semibold text-gray-600 mb-2">Conversations</h4>
+          <ul className="space-y-2 max-h-[250px] overflow-y-auto">
+            {filteredThreads.slice(0, 5).map((thread) => (
+              <motion.li
+                key={thread.id}
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.3 }}
+                className="p-3 bg-white rounded-lg border border-gray-200 hover:bg-gray-100 cursor-pointer"
+                onClick={() => openThread(thread.id)}
+                style={{ pointerEvents: 'auto' }}
+                aria-label={`Open conversation: ${thread.title}`}
+              >
+                <p className="text-gray-800 font-medium truncate">{thread.title}</p>
+                <span className="text-gray-500 text-sm">
+                  {Math.ceil(thread.turns.length / 2)} question{thread.turns.length > 2 ? 's' : ''} ·{' '}
+                  {new Date(thread.updatedAt).toLocaleDateString()}
+                </span>
+              </motion.li>
+            ))}
+          </ul>
+        </div>
+      )}
       {loading ? (
         <p className="text-gray-600">Loading...</p>
       ) : filteredHistory.length === 0 ? (
@@ -114,6 +166,18 @@ function HistoryPanel() {
                     className="mt-2 text-gray-600 text-sm"
                   >
                     <p>{item.response?.text?.slice(0, 100) || 'No response available'}...</p>
+                    {item.response?.text && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          saveFlashcard(item);
+                        }}
+                        disabled={savedCards.includes(item._id || item.query)}
+                        className="mt-2 text-blue-600 underline disabled:text-gray-500 disabled:no-underline"
+                      >
+                        {savedCards.includes(item._id || item.query) ? 'Saved to flashcards' : 'Save as flashcard'}
+                      </button>
+                    )}
                   </motion.div>
                 )}
               </AnimatePresence>
@@ -0,0 +1,55 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { fetchAssignments, isOverdue } from '../utils/assignments';
+
+// Student side of homework: assignments from joined classes, open ones first
+function HomeworkCard() {
+  const [assignments, setAssignments] = useState([]);
+
+  useEffect(() => {
+    fetchAssignments()
+      .then((list) =>
+        setAssignments(
+          [...list].sort((a, b) => isOverdue(a) - isOverdue(b) || new Date(a.dueAt) - new Date(b.dueAt))
+        )
+      )
+      .catch((err) => console.error('Failed to fetch assignments:', err));
+  }, []);
+
+  if (assignments.length === 0) return null;
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h3 className="text-lg font-semibold text-blue-600 mb-3">Homework</h3>
+      <ul className="space-y-2">
+        {assignments.map((assignment) => {
+          const overdue = isOverdue(assignment);
+          const submitted = assignment.status === 'submitted' || assignment.status === 'graded';
+          return (
+            <li key={assignment.id} className="flex flex-wrap items-center justify-between gap-2">
+              <div>
+                <p className="text-gray-800">{assignment.title}</p>
+                <p className={`text-sm ${overdue && !submitted ? 'text-red-600' : 'text-gray-500'}`}>
+                  {assignment.classroomName && `${assignment.classroomName} · `}
+                  {overdue ? 'Was due' : 'Due'} {new Date(assignment.dueAt).toLocaleString()}
+                  {assignment.status === 'graded' && ' · Graded'}
+                  {assignment.status === 'submitted' && ' · Submitted'}
+                </p>
+              </div>
+              {!submitted && !overdue && (
+                <Link
+                  to={`/ask?assignment=${assignment.id}`}
+                  className="px-3 py-1 rounded-md text-sm font-semibold text-white bg-blue-600 hover:bg-blue-700"
+                >
+                  Start
+                </Link>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default HomeworkCard;
@@ -0,0 +1,78 @@
+import { useRef, useState } from 'react';
+
+// Drag a rectangle over the image to select the part to keep. Reports the
+// selection in the image's natural pixel coordinates, or null for the whole image.
+function ImageCropper({ src, onChange }) {
+  const imgRef = useRef(null);
+  const startRef = useRef(null);
+  const [selection, setSelection] = useState(null);
+
+  const pointFromEvent = (e) => {
+    const bounds = imgRef.current.getBoundingClientRect();
+    return {
+      x: Math.min(Math.max(e.clientX - bounds.left, 0), bounds.width),
+      y: Math.min(Math.max(e.clientY - bounds.top, 0), bounds.height),
+    };
+  };
+
+  const toNatural = (rect) => {
+    const img = imgRef.current;
+    const scaleX = img.naturalWidth / img.clientWidth;
+    const scaleY = img.naturalHeight / img.clientHeight;
+    return {
+      x: Math.round(rect.x * scaleX),
+      y: Math.round(rect.y * scaleY),
+      width: Math.round(rect.width * scaleX),
+      height: Math.round(rect.height * scaleY),
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    startRef.current = pointFromEvent(e);
+    setSelection(null);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!startRef.current) return;
+    const start = startRef.current;
+    const point = pointFromEvent(e);
+    setSelection({
+      x: Math.min(start.x, point.x),
+      y: Math.min(start.y, point.y),
+      width: Math.abs(point.x - start.x),
+      height: Math.abs(point.y - start.y),
+    });
+  };
+
+  const handlePointerUp = () => {
+    startRef.current = null;
+    // Treat a tap or tiny drag as "use the whole image"
+    if (!selection || selection.width < 10 || selection.height < 10) {
+      setSelection(null);
+      onChange(null);
+    } else {
+      onChange(toNatural(selection));
+    }
+  };
+
+  return (
+    <div
+      className="relative inline-block select-none touch-none cursor-crosshair"
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+    >
+      <img ref={imgRef} src={src} alt="Question to crop" className="max-h-[60vh] max-w-full rounded-md" draggable={false} />
+      {selection && (
+        <div
+          className="absolute border-2 border-blue-500 bg-blue-500/10 pointer-events-none"
+          style={{ left: selection.x, top: selection.y, width: selection.width, height: selection.height }}
+        />
+      )}
+    </div>
+  );
+}
+
+export default ImageCropper;
@@ -0,0 +1,86 @@
+import { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { fetchClassrooms, joinClassroom, normalizeJoinCode } from '../utils/classrooms';
+
+// Student side of classrooms: enter a teacher's join code and see joined classes
+function JoinClassCard() {
+  const [classes, setClasses] = useState([]);
+  const [code, setCode] = useState('');
+  const [joining, setJoining] = useState(false);
+  const [message, setMessage] = useState(null); // { type: 'error' | 'success', text }
+
+  useEffect(() => {
+    fetchClassrooms()
+      .then(setClasses)
+      .catch((err) => console.error('Failed to fetch classes:', err));
+  }, []);
+
+  const handleJoin = async (e) => {
+    e.preventDefault();
+    if (normalizeJoinCode(code).length < 4) {
+      setMessage({ type: 'error', text: 'Enter the join code your teacher gave you.' });
+      return;
+    }
+    setJoining(true);
+    try {
+      const joined = await joinClassroom(code);
+      setClasses((list) => [joined, ...list.filter((c) => c.id !== joined.id)]);
+      setMessage({ type: 'success', text: `You joined ${joined.name}.` });
+      setCode('');
+    } catch (err) {
+      console.error('Failed to join class:', err);
+      const status = err.response?.status;
+      setMessage({
+        type: 'error',
+        text:
+          err.response?.data?.msg ||
+          (status === 404 ? 'No active class uses that code.' : 'Could not join the class. Please try again.'),
+      });
+    }
+    setJoining(false);
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h3 className="text-lg font-semibold text-blue-600 mb-3">My Classes</h3>
+      {classes.length > 0 && (
+        <ul className="mb-3 space-y-1">
+          {classes.map((classroom) => (
+            <li key={classroom.id} className="text-gray-800">
+              {classroom.name}
+              <span className="text-sm text-gray-500">
+                {' '}
+                · {classroom.board} · Grade {classroom.grade}
+                {classroom.teacherName && ` · ${classroom.teacherName}`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form onSubmit={handleJoin} className="flex gap-2">
+        <input
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder="Join code"
+          className="flex-1 p-2 border border-gray-300 rounded-md font-mono uppercase tracking-widest focus:outline-none focus:ring-2 focus:ring-blue-400"
+          aria-label="Class join code"
+        />
+        <motion.button
+          type="submit"
+          disabled={joining}
+          className="px-4 py-2 rounded-md bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          {joining ? 'Joining...' : 'Join Class'}
+        </motion.button>
+      </form>
+      {message && (
+        <p className={`text-sm mt-2 ${message.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>
+      )}
+    </div>
+  );
+}
+
+export default JoinClassCard;
@@ -0,0 +1,55 @@
+import { useContext } from 'react';
+import { BoardContext } from '../contexts/BoardContext';
+import { GRADES, MEDIUMS, STREAMS, STREAM_FROM_GRADE } from '../config/learnerProfile';
+
+// Class, stream and medium pickers for the learner profile. The board has its
+// own buttons in BoardSelector and Header, so it is not repeated here.
+function LearnerProfileFields({ selectClassName = 'p-2 border border-gray-300 rounded-md bg-white text-gray-800' }) {
+  const { grade, stream, medium, updateProfile } = useContext(BoardContext);
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      <select
+        value={grade}
+        onChange={(e) => updateProfile({ grade: Number(e.target.value) })}
+        className={selectClassName}
+        aria-label="Class"
+      >
+        {GRADES.map((g) => (
+          <option key={g} value={g}>
+            Class {g}
+          </option>
+        ))}
+      </select>
+      {grade >= STREAM_FROM_GRADE && (
+        <select
+          value={stream || ''}
+          onChange={(e) => updateProfile({ stream: e.target.value || null })}
+          className={selectClassName}
+          aria-label="Stream"
+        >
+          <option value="">Any stream</option>
+          {STREAMS.map((s) => (
+            <option key={s} value={s}>
+              {s}
+            </option>
+          ))}
+        </select>
+      )}
+      <select
+        value={medium}
+        onChange={(e) => updateProfile({ medium: e.target.value })}
+        className={selectClassName}
+        aria-label="Medium of instruction"
+      >
+        {MEDIUMS.map((m) => (
+          <option key={m} value={m}>
+            {m} medium
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default LearnerProfileFields;
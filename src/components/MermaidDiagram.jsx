@@ -0,0 +1,66 @@
+import { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { FaDownload } from 'react-icons/fa';
+import { renderMermaid } from '../lib/mermaid';
+import { downloadBlob } from '../utils/download';
+
+function MermaidDiagram({ chart }) {
+  const [svg, setSvg] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    renderMermaid(chart)
+      .then((result) => {
+        if (cancelled) return;
+        setSvg(result);
+        setError(null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Mermaid render error:', err);
+        setSvg('');
+        setError(err.message || 'Invalid diagram syntax');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [chart]);
+
+  // Download the rendered diagram as an .svg file
+  const downloadSvg = () => downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), 'diagram.svg');
+
+  if (error) {
+    return (
+      <div className="mb-3 p-3 rounded-md border border-yellow-300 bg-yellow-50">
+        <p className="text-sm text-yellow-800 mb-2">This diagram could not be drawn. Showing its source instead.</p>
+        <pre className="text-sm font-mono whitespace-pre-wrap text-gray-700">{chart}</pre>
+      </div>
+    );
+  }
+
+  if (!svg) {
+    return <p className="mb-3 text-sm text-gray-500">Drawing diagram...</p>;
+  }
+
+  return (
+    <div className="mb-3">
+      <div
+        className="overflow-x-auto p-3 bg-white rounded-md border border-gray-200 flex justify-center"
+        role="img"
+        aria-label="Diagram"
+        dangerouslySetInnerHTML={{ __html: svg }}
+      />
+      <motion.button
+        onClick={downloadSvg}
+        className="mt-2 px-3 py-1 rounded-md text-sm font-medium text-gray-600 bg-gray-100 border border-gray-300 hover:bg-gray-200"
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+      >
+        <FaDownload className="inline mr-2" /> Download SVG
+      </motion.button>
+    </div>
+  );
+}
+
+export default MermaidDiagram;
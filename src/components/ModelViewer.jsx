@@ -0,0 +1,99 @@
+import { useEffect, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { FaSyncAlt } from 'react-icons/fa';
+import { buildSceneFromJSON, createViewer, disposeObject, frameObject, loadGLTF } from '../utils/threejsUtils';
+
+// `source` is a glTF/GLB URL or JSON text: { url } pointing at one, or a scene description
+const loadModel = async (source) => {
+  if (!source.trim().startsWith('{')) return loadGLTF(source);
+  const model = JSON.parse(source);
+  return model.url ? loadGLTF(model.url) : buildSceneFromJSON(model);
+};
+
+function ModelViewer({ model, height = 360, title = '3D Model' }) {
+  const containerRef = useRef(null);
+  const viewerRef = useRef(null);
+  const contentRef = useRef(null);
+  const [status, setStatus] = useState('loading'); // loading, ready, error
+  // Compare models by content so re-renders with an equal object do not reload
+  const source = typeof model === 'string' ? model : JSON.stringify(model);
+
+  useEffect(() => {
+    let viewer;
+    try {
+      viewer = createViewer(containerRef.current);
+    } catch (err) {
+      // No WebGL on this device; keep the rest of the answer on screen
+      console.error('Failed to create 3D viewer:', err);
+      setStatus('error');
+      return undefined;
+    }
+    viewerRef.current = viewer;
+    return () => {
+      viewer.dispose();
+      viewerRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!viewerRef.current) return undefined;
+    let cancelled = false;
+    setStatus('loading');
+    loadModel(source)
+      .then((object) => {
+        // Loaded after the viewer went away or the model changed: nothing will show it
+        if (cancelled || !viewerRef.current) {
+          disposeObject(object);
+          return;
+        }
+        contentRef.current = object;
+        viewerRef.current.setContent(object);
+        setStatus('ready');
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Failed to load 3D model:', err);
+        setStatus('error');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [source]);
+
+  const resetView = () => {
+    const viewer = viewerRef.current;
+    if (viewer && contentRef.current) frameObject(viewer.camera, viewer.controls, contentRef.current);
+  };
+
+  return (
+    <div className="mb-3">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold text-blue-600 font-sans">{title}</h3>
+        <motion.button
+          onClick={resetView}
+          className="px-3 py-1 rounded-md text-sm font-medium text-gray-600 bg-gray-100 border border-gray-300 hover:bg-gray-200"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          <FaSyncAlt className="inline mr-2" /> Reset View
+        </motion.button>
+      </div>
+      <div
+        ref={containerRef}
+        className="relative w-full rounded-md border border-gray-200 overflow-hidden"
+        style={{ height }}
+        role="img"
+        aria-label={`${title}. Drag to rotate, scroll to zoom.`}
+      >
+        {status !== 'ready' && (
+          <p className="absolute inset-0 flex items-center justify-center text-gray-500 text-sm">
+            {status === 'error' ? 'This model could not be loaded.' : 'Loading model...'}
+          </p>
+        )}
+      </div>
+      <p className="text-xs text-gray-500 mt-1">Drag to rotate, scroll to zoom, right-drag to pan.</p>
+    </div>
+  );
+}
+
+export default ModelViewer;
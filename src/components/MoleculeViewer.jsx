@@ -0,0 +1,209 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { FaSyncAlt } from 'react-icons/fa';
+import * as THREE from 'three';
+import { addLabel, createViewer, frameObject } from '../utils/threejsUtils';
+import { bondAngles, elementInfo, parseMolecule } from '../utils/molecules';
+
+// Angle labels turn into clutter on anything bigger than a small molecule
+const MAX_ANGLE_LABEL_ATOMS = 30;
+const BOND_RADIUS = 0.1;
+const BALL_SCALE = 0.3;
+
+const toVector = (position) => new THREE.Vector3(...position);
+
+// A cylinder from `start` to `end`, shifted sideways by `offset` for multiple bonds
+const bondMesh = (start, end, offset, material) => {
+  const direction = end.clone().sub(start);
+  const mesh = new THREE.Mesh(new THREE.CylinderGeometry(BOND_RADIUS, BOND_RADIUS, direction.length(), 12), material);
+  mesh.position.copy(start).add(end).multiplyScalar(0.5).add(offset);
+  mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction.normalize());
+  return mesh;
+};
+
+// Any direction perpendicular to the bond, for spreading double and triple bonds
+const sideways = (start, end) => {
+  const direction = end.clone().sub(start).normalize();
+  const helper = Math.abs(direction.y) < 0.9 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
+  return direction.cross(helper).normalize();
+};
+
+const cellEdges = ({ size, repeat }) => {
+  const [x, y, z] = size.map((length, i) => length * repeat[i]);
+  const box = new THREE.BoxGeometry(x, y, z);
+  const edges = new THREE.LineSegments(
+    new THREE.EdgesGeometry(box),
+    new THREE.LineBasicMaterial({ color: '#6b7280' })
+  );
+  box.dispose();
+  edges.position.set(x / 2, y / 2, z / 2);
+  return edges;
+};
+
+const buildMolecule = (molecule, { style, showLabels, showAngles }) => {
+  const group = new THREE.Group();
+  const spaceFilling = style === 'space-filling';
+  const positions = molecule.atoms.map((atom) => toVector(atom.position));
+
+  molecule.atoms.forEach((atom, i) => {
+    const info = elementInfo(atom.element);
+    const radius = spaceFilling ? info.vdw : Math.max(info.covalent * BALL_SCALE * 2, 0.2);
+    const sphere = new THREE.Mesh(
+      new THREE.SphereGeometry(radius, 32, 16),
+      new THREE.MeshStandardMaterial({ color: info.color })
+    );
+    sphere.position.copy(positions[i]);
+    if (showLabels) addLabel(sphere, atom.element, [0, radius + 0.25, 0]);
+    group.add(sphere);
+  });
+
+  if (!spaceFilling) {
+    const material = new THREE.MeshStandardMaterial({ color: '#9ca3af' });
+    molecule.bonds.forEach(({ a, b, order }) => {
+      const start = positions[a];
+      const end = positions[b];
+      // Aromatic (1.5) bonds are drawn single; the ring itself shows the delocalisation
+      const count = Number.isInteger(order) ? order : 1;
+      const side = sideways(start, end).multiplyScalar(BOND_RADIUS * 2.2);
+      for (let n = 0; n < count; n++) {
+        group.add(bondMesh(start, end, side.clone().multiplyScalar(n - (count - 1) / 2), material));
+      }
+    });
+  }
+
+  if (showAngles && molecule.atoms.length <= MAX_ANGLE_LABEL_ATOMS) {
+    bondAngles(molecule).forEach(({ atom, between, degrees }) => {
+      // Place the label inside the angle, a little way out from the central atom
+      const center = positions[atom];
+      const bisector = positions[between[0]]
+        .clone()
+        .sub(center)
+        .normalize()
+        .add(positions[between[1]].clone().sub(center).normalize());
+      const anchor = new THREE.Object3D();
+      anchor.position.copy(center).add(bisector.lengthSq() > 1e-6 ? bisector.normalize().multiplyScalar(0.6) : bisector);
+      addLabel(anchor, `${degrees.toFixed(1)}°`);
+      group.add(anchor);
+    });
+  }
+
+  if (molecule.cell) group.add(cellEdges(molecule.cell));
+  return group;
+};
+
+// `molecule` is SMILES, XYZ or JSON text, or an object parseMolecule understands
+function MoleculeViewer({ molecule, height = 360, title = 'Molecule' }) {
+  const containerRef = useRef(null);
+  const viewerRef = useRef(null);
+  const contentRef = useRef(null);
+  const [style, setStyle] = useState('ball-and-stick'); // ball-and-stick, space-filling
+  const [showLabels, setShowLabels] = useState(true);
+  const [showAngles, setShowAngles] = useState(false);
+  const [viewerFailed, setViewerFailed] = useState(false);
+  const isText = typeof molecule === 'string';
+  const source = isText ? molecule : JSON.stringify(molecule);
+
+  // Keyed on the serialized molecule, so a new object with the same content
+  // does not redo the layout
+  const { parsed, error } = useMemo(() => {
+    try {
+      return { parsed: parseMolecule(isText ? source : JSON.parse(source)) };
+    } catch (err) {
+      console.error('Failed to parse molecule:', err);
+      return { error: err.message };
+    }
+  }, [source, isText]);
+
+  useEffect(() => {
+    if (error) return undefined;
+    let viewer;
+    try {
+      viewer = createViewer(containerRef.current);
+    } catch (err) {
+      // No WebGL on this device; keep the rest of the answer on screen
+      console.error('Failed to create 3D viewer:', err);
+      setViewerFailed(true);
+      return undefined;
+    }
+    viewerRef.current = viewer;
+    return () => {
+      viewer.dispose();
+      viewerRef.current = null;
+    };
+  }, [error]);
+
+  useEffect(() => {
+    if (!parsed || !viewerRef.current) return;
+    const object = buildMolecule(parsed, { style, showLabels, showAngles });
+    contentRef.current = object;
+    viewerRef.current.setContent(object);
+  }, [parsed, style, showLabels, showAngles]);
+
+  const resetView = () => {
+    const viewer = viewerRef.current;
+    if (viewer && contentRef.current) frameObject(viewer.camera, viewer.controls, contentRef.current);
+  };
+
+  if (error || viewerFailed) {
+    return (
+      <div className="mb-3">
+        <p className="text-gray-600 text-sm mb-2">
+          This molecule could not be displayed ({error || '3D graphics are not available on this device'}).
+        </p>
+        <pre className="p-3 rounded-md bg-gray-100 text-sm overflow-x-auto">{source}</pre>
+      </div>
+    );
+  }
+
+  const angleLabelsAvailable = parsed.atoms.length <= MAX_ANGLE_LABEL_ATOMS;
+
+  return (
+    <div className="mb-3">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold text-blue-600 font-sans">{parsed.cell ? 'Crystal Structure' : title}</h3>
+        <motion.button
+          onClick={resetView}
+          className="px-3 py-1 rounded-md text-sm font-medium text-gray-600 bg-gray-100 border border-gray-300 hover:bg-gray-200"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          <FaSyncAlt className="inline mr-2" /> Reset View
+        </motion.button>
+      </div>
+      <div className="flex flex-wrap items-center gap-3 mb-2 text-sm text-gray-700">
+        <select
+          value={style}
+          onChange={(e) => setStyle(e.target.value)}
+          className="p-1 border border-gray-300 rounded-md"
+          aria-label="Model style"
+        >
+          <option value="ball-and-stick">Ball and stick</option>
+          <option value="space-filling">Space filling</option>
+        </select>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={showLabels} onChange={() => setShowLabels((v) => !v)} />
+          Atom labels
+        </label>
+        {angleLabelsAvailable && (
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={showAngles} onChange={() => setShowAngles((v) => !v)} />
+            Bond angles
+          </label>
+        )}
+      </div>
+      <div
+        ref={containerRef}
+        className="relative w-full rounded-md border border-gray-200 overflow-hidden"
+        style={{ height }}
+        role="img"
+        aria-label={`${title}. Drag to rotate, scroll to zoom.`}
+      />
+      <p className="text-xs text-gray-500 mt-1">
+        Drag to rotate, scroll to zoom, right-drag to pan.
+        {parsed.estimated && ' Geometry is estimated; angles shown are idealised VSEPR values.'}
+      </p>
+    </div>
+  );
+}
+
+export default MoleculeViewer;
@@ -0,0 +1,53 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { createLinkCode } from '../utils/family';
+
+// Student side of parent linking: create a short-lived code for a parent to enter
+function ParentLinkCard() {
+  const [link, setLink] = useState(null); // { code, expiresAt }
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleCreate = async () => {
+    setCreating(true);
+    setError('');
+    try {
+      setLink(await createLinkCode());
+    } catch (err) {
+      console.error('Failed to create link code:', err);
+      setError('Could not create a code. Please try again.');
+    }
+    setCreating(false);
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h3 className="text-lg font-semibold text-blue-600 mb-2">Link a Parent</h3>
+      {link ? (
+        <p className="text-gray-700">
+          Ask your parent to enter{' '}
+          <span className="font-mono tracking-widest font-semibold text-blue-700">{link.code}</span> on their
+          dashboard. The code works until {new Date(link.expiresAt).toLocaleTimeString()}.
+        </p>
+      ) : (
+        <p className="text-gray-600 text-sm mb-3">
+          A linked parent can see what you ask and set study limits for this account.
+        </p>
+      )}
+      {!link && (
+        <motion.button
+          onClick={handleCreate}
+          disabled={creating}
+          className="px-4 py-2 rounded-md bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          {creating ? 'Creating...' : 'Get a Link Code'}
+        </motion.button>
+      )}
+      {error && <p className="text-sm mt-2 text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+export default ParentLinkCard;
@@ -0,0 +1,172 @@
+import { useEffect, useRef, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FaCamera, FaImage } from 'react-icons/fa';
+import ImageCropper from './ImageCropper';
+import { recognizeText } from '../utils/ocr';
+
+const MAX_IMAGE_SIDE = 1600;
+
+// Draw the cropped area onto a canvas, scaled down so uploads stay small
+const cropToCanvas = (img, crop) => {
+  const area = crop || { x: 0, y: 0, width: img.naturalWidth, height: img.naturalHeight };
+  const scale = Math.min(1, MAX_IMAGE_SIDE / Math.max(area.width, area.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(area.width * scale);
+  canvas.height = Math.round(area.height * scale);
+  canvas
+    .getContext('2d')
+    .drawImage(img, area.x, area.y, area.width, area.height, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+const loadImage = (src) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Could not read that image.'));
+    img.src = src;
+  });
+
+function PhotoInput({ onText, onImage, buttonClassName = '' }) {
+  const uploadRef = useRef(null);
+  const cameraRef = useRef(null);
+  const [source, setSource] = useState(null);
+  const [crop, setCrop] = useState(null);
+  const [sendImage, setSendImage] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+
+  // Release the object URL of the previous photo
+  useEffect(() => {
+    return () => {
+      if (source) URL.revokeObjectURL(source);
+    };
+  }, [source]);
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    if (!file.type.startsWith('image/')) {
+      alert('Please choose an image file.');
+      return;
+    }
+    console.log('Photo selected:', file.name);
+    setSource(URL.createObjectURL(file));
+    setCrop(null);
+    setError('');
+  };
+
+  const close = () => {
+    setSource(null);
+    setProgress(null);
+    setError('');
+  };
+
+  const extractText = async () => {
+    setError('');
+    setProgress(0);
+    try {
+      const canvas = cropToCanvas(await loadImage(source), crop);
+      const text = await recognizeText(canvas, setProgress);
+      console.log('OCR result:', text.slice(0, 50));
+      if (!text && !sendImage) {
+        setError('No text was found. Try cropping closer to the question.');
+        setProgress(null);
+        return;
+      }
+      onText(text);
+      if (sendImage) onImage?.(canvas.toDataURL('image/jpeg', 0.85));
+      close();
+    } catch (err) {
+      console.error('OCR error:', err);
+      setError(err.message || 'Text recognition failed.');
+      setProgress(null);
+    }
+  };
+
+  return (
+    <>
+      <motion.button
+        type="button"
+        onClick={() => uploadRef.current.click()}
+        className={buttonClassName}
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+        aria-label="Photo input"
+      >
+        <FaImage className="inline" /> Photo
+      </motion.button>
+      <motion.button
+        type="button"
+        onClick={() => cameraRef.current.click()}
+        className={buttonClassName}
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+        aria-label="Camera input"
+      >
+        <FaCamera className="inline" />
+      </motion.button>
+      <input ref={uploadRef} type="file" accept="image/*" className="hidden" onChange={handleFile} />
+      <input ref={cameraRef} type="file" accept="image/*" capture="environment" className="hidden" onChange={handleFile} />
+
+      <AnimatePresence>
+        {source && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center p-4"
+            role="dialog"
+            aria-label="Crop photo"
+          >
+            <div className="bg-white rounded-lg shadow-lg p-4 max-w-3xl w-full max-h-full overflow-auto">
+              <h3 className="font-semibold text-blue-600 mb-1">Crop your question</h3>
+              <p className="text-sm text-gray-500 mb-3">
+                Drag over the part of the page with the question, or leave it to read the whole photo.
+              </p>
+              <div className="flex justify-center bg-gray-100 rounded-md p-2">
+                <ImageCropper src={source} onChange={setCrop} />
+              </div>
+              {onImage && (
+                <label className="flex items-center gap-2 mt-3 text-sm text-gray-700">
+                  <input type="checkbox" checked={sendImage} onChange={(e) => setSendImage(e.target.checked)} />
+                  Also send the photo with my question
+                </label>
+              )}
+              {error && <p className="text-red-600 bg-red-50 p-2 rounded-md mt-3 text-sm">{error}</p>}
+              {progress !== null && (
+                <div className="mt-3">
+                  <p className="text-sm text-gray-500 mb-1">Reading text... {Math.round(progress * 100)}%</p>
+                  <div className="h-1 bg-gray-200 rounded-full">
+                    <div className="h-1 bg-blue-500 rounded-full" style={{ width: `${progress * 100}%` }} />
+                  </div>
+                </div>
+              )}
+              <div className="flex gap-3 mt-4 justify-end">
+                <button
+                  type="button"
+                  onClick={close}
+                  disabled={progress !== null}
+                  className="px-4 py-2 rounded-md font-medium text-gray-600 bg-gray-100 border border-gray-300 hover:bg-gray-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  onClick={extractText}
+                  disabled={progress !== null}
+                  className="px-4 py-2 rounded-md font-medium bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50"
+                >
+                  Extract Text
+                </button>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </>
+  );
+}
+
+export default PhotoInput;
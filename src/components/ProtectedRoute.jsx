@@ -0,0 +1,22 @@
+import { useContext } from 'react';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { AuthContext } from '../contexts/AuthContext';
+import { homePathFor } from '../config/roles';
+
+// Renders its children (or nested routes) for logged-in users and sends
+// everyone else to /login, remembering where they were headed. With `roles`,
+// users of any other role are sent to their own dashboard instead.
+function ProtectedRoute({ roles, children }) {
+  const { isAuthenticated, role } = useContext(AuthContext);
+  const location = useLocation();
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" state={{ from: location }} replace />;
+  }
+  if (roles && !roles.includes(role)) {
+    return <Navigate to={homePathFor(role)} replace />;
+  }
+  return children ?? <Outlet />;
+}
+
+export default ProtectedRoute;
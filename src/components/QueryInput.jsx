@@ -1,8 +1,9 @@
 import { useState } from 'react';
 import { motion } from 'framer-motion';
 import useSpeechRecognition from '../hooks/useSpeechRecognition';
+import PhotoInput from './PhotoInput';
 
-function QueryInput({ query, setQuery, onSubmit, loading }) {
+function QueryInput({ query, setQuery, onSubmit, loading, onImage }) {
   const { listening, startListening, stopListening } = useSpeechRecognition(setQuery);
 
   return (
@@ -32,6 +33,11 @@ function QueryInput({ query, setQuery, onSubmit, loading }) {
         >
           {listening ? 'Stop' : 'Speak'}
         </motion.button>
+        <PhotoInput
+          onText={setQuery}
+          onImage={onImage}
+          buttonClassName="p-2 rounded bg-purple-600 text-white flex items-center gap-2"
+        />
       </div>
     </div>
   );
@@ -1,3 +1,5 @@
+import AnswerRenderer from './AnswerRenderer';
+
 function ResponseDisplay({ response }) {
     if (!response) {
       return null;
@@ -14,9 +16,9 @@ function ResponseDisplay({ response }) {
     return (
       <div className="mt-4 p-4 bg-gray-100 rounded">
         <h3 className="text-lg font-semibold">Response</h3>
-        <p>{response.text || 'No response text available'}</p>
+        {response.text ? <AnswerRenderer text={response.text} /> : <p>No response text available</p>}
       </div>
     );
   }
   
-  export default ResponseDisplay;
\ No newline at end of file
+  export default ResponseDisplay;
@@ -0,0 +1,60 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FaPencilAlt } from 'react-icons/fa';
+import VisualCanvas from './VisualCanvas';
+
+function SketchInput({ onImage, buttonClassName = '' }) {
+  const [open, setOpen] = useState(false);
+
+  const attach = (dataUrl) => {
+    console.log('Attaching sketch');
+    onImage(dataUrl);
+    setOpen(false);
+  };
+
+  return (
+    <>
+      <motion.button
+        type="button"
+        onClick={() => setOpen(true)}
+        className={buttonClassName}
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+        aria-label="Sketch input"
+      >
+        <FaPencilAlt className="inline" /> Sketch
+      </motion.button>
+
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center p-4"
+            role="dialog"
+            aria-label="Sketch your question"
+          >
+            <div className="bg-white rounded-lg shadow-lg p-4 max-w-4xl w-full max-h-full overflow-auto">
+              <p className="text-sm text-gray-500">
+                Draw a diagram or handwrite an equation with your mouse, finger or stylus.
+              </p>
+              <VisualCanvas editable onAttach={attach} />
+              <div className="flex justify-end">
+                <button
+                  type="button"
+                  onClick={() => setOpen(false)}
+                  className="px-4 py-2 rounded-md font-medium text-gray-600 bg-gray-100 border border-gray-300 hover:bg-gray-200"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </>
+  );
+}
+
+export default SketchInput;
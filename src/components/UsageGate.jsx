@@ -0,0 +1,53 @@
+import { useContext } from 'react';
+import { motion } from 'framer-motion';
+import { Outlet, useNavigate } from 'react-router-dom';
+import { AuthContext } from '../contexts/AuthContext';
+import { ROLES } from '../config/roles';
+import useParentalControls from '../hooks/useParentalControls';
+
+// Layout route that applies parental controls to students: outside the allowed
+// hours or past the daily limit, the pages behind it are replaced by a notice.
+// Other roles pass straight through.
+function UsageGate({ children }) {
+  const navigate = useNavigate();
+  const { user, role, logout } = useContext(AuthContext);
+  const userId = role === ROLES.STUDENT ? user?.id || user?._id || user?.email || 'student' : null;
+  const { controls, blocked } = useParentalControls(userId);
+
+  if (!blocked) return children ?? <Outlet />;
+
+  const handleLogout = () => {
+    logout();
+    navigate('/login');
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-r from-blue-600 via-indigo-700 to-purple-700 py-16 relative">
+      <div className="absolute inset-0 bg-radial opacity-10 z-[-1]" />
+      <motion.div
+        initial={{ opacity: 0, scale: 0.9 }}
+        animate={{ opacity: 1, scale: 1 }}
+        transition={{ duration: 0.5 }}
+        className="bg-white rounded-xl p-8 shadow-lg max-w-md w-full mx-auto border border-indigo-200/50 text-center"
+      >
+        <h1 className="text-2xl font-bold text-blue-600 mb-3">Time for a break</h1>
+        <p className="text-gray-700">
+          {blocked === 'hours'
+            ? `EduAI is available between ${controls.allowedHours.start} and ${controls.allowedHours.end}.`
+            : `You have used your ${controls.dailyLimitMinutes} minutes for today. See you tomorrow!`}
+        </p>
+        <p className="text-sm text-gray-500 mt-2">These limits were set by your parent.</p>
+        <motion.button
+          whileHover={{ scale: 1.03 }}
+          whileTap={{ scale: 0.97 }}
+          onClick={handleLogout}
+          className="mt-6 px-4 py-2 rounded-lg bg-red-600 text-white font-semibold hover:bg-red-700"
+        >
+          Logout
+        </motion.button>
+      </motion.div>
+    </div>
+  );
+}
+
+export default UsageGate;
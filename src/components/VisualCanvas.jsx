@@ -1,34 +1,57 @@
-import { useEffect, useRef } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { FaEraser, FaPen, FaRedo, FaTrash, FaUndo } from 'react-icons/fa';
+import DiagramViewer from './DiagramViewer';
 
-function VisualCanvas({ visual }) {
+const SKETCH_WIDTH = 800;
+const SKETCH_HEIGHT = 500;
+const MAX_UNDO = 30;
+const COLORS = ['#111827', '#2563eb', '#dc2626', '#16a34a'];
+
+function VisualCanvas({ visual, editable = false, onAttach }) {
   const canvasRef = useRef(null);
+  const drawingRef = useRef(null);
+  const [tool, setTool] = useState('pen'); // pen, eraser
+  const [color, setColor] = useState(COLORS[0]);
+  const [size, setSize] = useState(3);
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
+
+  // Paint the background: the received diagram, or white paper when sketching
+  const paintBackground = useCallback(
+    (ctx, canvas) => {
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      if (!visual) return;
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      img.src = visual;
+      img.onload = () => {
+        const scale = Math.min(canvas.width / img.width, canvas.height / img.height, 1);
+        ctx.drawImage(img, 0, 0, img.width * scale, img.height * scale);
+      };
+    },
+    [visual]
+  );
 
   useEffect(() => {
     const canvas = canvasRef.current;
-    if (!canvas) return; 
+    if (!canvas) return;
     const ctx = canvas.getContext('2d');
-    if (!ctx) return; 
+    if (!ctx) return;
 
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-    if (visual && typeof visual === 'string') {
-      const img = new Image();
-      img.src = visual;
-      img.onload = () => {
-        canvas.width = img.width;
-        canvas.height = img.height;
-        ctx.drawImage(img, 0, 0);
-      };
-      img.onerror = () => {
-        console.error('Failed to load image:', visual);
-        ctx.fillStyle = '#f0f0f0';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        ctx.fillStyle = '#000';
-        ctx.font = '16px Arial';
-        ctx.fillText('Failed to load diagram', 10, 50);
-      };
-    } else {
-      
+    if (editable) {
+      canvas.width = SKETCH_WIDTH;
+      canvas.height = SKETCH_HEIGHT;
+      paintBackground(ctx, canvas);
+      setUndoStack([]);
+      setRedoStack([]);
+      return;
+    }
+
+    if (!visual) {
       canvas.width = 400;
       canvas.height = 300;
       ctx.fillStyle = '#f0f0f0';
@@ -37,14 +60,153 @@ function VisualCanvas({ visual }) {
       ctx.font = '16px Arial';
       ctx.fillText('No diagram available', 10, 50);
     }
-  }, [visual]);
+  }, [visual, editable, paintBackground]);
+
+  // Pointer position in canvas pixels (the canvas is scaled with CSS)
+  const pointFromEvent = (e) => {
+    const canvas = canvasRef.current;
+    const bounds = canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - bounds.left) * canvas.width) / bounds.width,
+      y: ((e.clientY - bounds.top) * canvas.height) / bounds.height,
+    };
+  };
+
+  const snapshot = () => {
+    const canvas = canvasRef.current;
+    return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  };
+
+  const handlePointerDown = (e) => {
+    if (!editable) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setUndoStack((stack) => [...stack.slice(-(MAX_UNDO - 1)), snapshot()]);
+    setRedoStack([]);
+    drawingRef.current = pointFromEvent(e);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drawingRef.current) return;
+    const ctx = canvasRef.current.getContext('2d');
+    const point = pointFromEvent(e);
+    // Stylus pressure thickens the line; mice report a constant 0.5
+    const pressure = e.pointerType === 'pen' && e.pressure ? e.pressure * 2 : 1;
+    ctx.strokeStyle = tool === 'eraser' ? '#ffffff' : color;
+    ctx.lineWidth = (tool === 'eraser' ? size * 6 : size) * pressure;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    ctx.moveTo(drawingRef.current.x, drawingRef.current.y);
+    ctx.lineTo(point.x, point.y);
+    ctx.stroke();
+    drawingRef.current = point;
+  };
+
+  const handlePointerUp = () => {
+    drawingRef.current = null;
+  };
+
+  const undo = () => {
+    if (undoStack.length === 0) return;
+    setRedoStack((stack) => [...stack, snapshot()]);
+    canvasRef.current.getContext('2d').putImageData(undoStack[undoStack.length - 1], 0, 0);
+    setUndoStack((stack) => stack.slice(0, -1));
+  };
+
+  const redo = () => {
+    if (redoStack.length === 0) return;
+    setUndoStack((stack) => [...stack, snapshot()]);
+    canvasRef.current.getContext('2d').putImageData(redoStack[redoStack.length - 1], 0, 0);
+    setRedoStack((stack) => stack.slice(0, -1));
+  };
+
+  const clear = () => {
+    const canvas = canvasRef.current;
+    setUndoStack((stack) => [...stack.slice(-(MAX_UNDO - 1)), snapshot()]);
+    setRedoStack([]);
+    paintBackground(canvas.getContext('2d'), canvas);
+  };
+
+  const attach = () => {
+    onAttach?.(canvasRef.current.toDataURL('image/png'));
+  };
+
+  // Received diagrams get the interactive viewer with zoom and annotations
+  if (!editable && visual && typeof visual === 'string') {
+    return (
+      <div className="mt-4">
+        <h3 className="text-lg font-semibold">Diagram</h3>
+        <DiagramViewer src={visual} />
+      </div>
+    );
+  }
+
+  const toolButton = (active) =>
+    `p-2 rounded-md border ${active ? 'bg-blue-500 text-white border-blue-500' : 'bg-gray-100 text-gray-700 border-gray-300 hover:bg-gray-200'}`;
 
   return (
     <div className="mt-4">
-      <h3 className="text-lg font-semibold">Diagram</h3>
-      <canvas ref={canvasRef} className="border rounded" />
+      <h3 className="text-lg font-semibold">{editable ? 'Sketch' : 'Diagram'}</h3>
+      {editable && (
+        <div className="flex flex-wrap items-center gap-2 my-2" role="toolbar" aria-label="Drawing tools">
+          <button onClick={() => setTool('pen')} className={toolButton(tool === 'pen')} aria-label="Pen">
+            <FaPen />
+          </button>
+          <button onClick={() => setTool('eraser')} className={toolButton(tool === 'eraser')} aria-label="Eraser">
+            <FaEraser />
+          </button>
+          {COLORS.map((c) => (
+            <button
+              key={c}
+              onClick={() => {
+                setColor(c);
+                setTool('pen');
+              }}
+              className={`w-7 h-7 rounded-full border-2 ${color === c && tool === 'pen' ? 'border-blue-400' : 'border-white'}`}
+              style={{ backgroundColor: c }}
+              aria-label={`Pen colour ${c}`}
+            />
+          ))}
+          <input
+            type="range"
+            min="1"
+            max="12"
+            value={size}
+            onChange={(e) => setSize(Number(e.target.value))}
+            aria-label="Line width"
+          />
+          <button onClick={undo} disabled={undoStack.length === 0} className={`${toolButton(false)} disabled:opacity-50`} aria-label="Undo">
+            <FaUndo />
+          </button>
+          <button onClick={redo} disabled={redoStack.length === 0} className={`${toolButton(false)} disabled:opacity-50`} aria-label="Redo">
+            <FaRedo />
+          </button>
+          <button onClick={clear} className={toolButton(false)} aria-label="Clear sketch">
+            <FaTrash />
+          </button>
+        </div>
+      )}
+      <canvas
+        ref={canvasRef}
+        className={`border rounded ${editable ? 'w-full touch-none cursor-crosshair bg-white' : ''}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      />
+      {editable && onAttach && (
+        <motion.button
+          onClick={attach}
+          className="mt-2 px-4 py-2 rounded-md bg-blue-500 text-white font-medium hover:bg-blue-600"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          Attach to Question
+        </motion.button>
+      )}
     </div>
   );
 }
 
-export default VisualCanvas;
\ No newline at end of file
+export default VisualCanvas;
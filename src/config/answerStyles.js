@@ -0,0 +1,23 @@
+// How the tutor replies, picked next to the media toggle in AskQuestion and
+// sent with /query as `answerStyle`. Homework never allows the full answer.
+
+export const ANSWER_STYLES = [
+  { id: 'full', label: 'Full answer', description: 'A complete worked answer' },
+  { id: 'hints', label: 'Hints', description: 'One step at a time, revealed when you are ready' },
+  { id: 'socratic', label: 'Socratic', description: 'Guiding questions that lead you to the answer' },
+  { id: 'check', label: 'Check my answer', description: 'Paste your attempt and get feedback on it' },
+];
+
+export const DEFAULT_ANSWER_STYLE = 'full';
+
+export const HOMEWORK_ANSWER_STYLES = ['hints', 'socratic', 'check'];
+
+// Hint answers come back as "Hint 1: ...", "Step 2 ..." or a numbered list;
+// each becomes one step to reveal
+export const splitHints = (text) => {
+  const steps = (text || '')
+    .split(/\n+(?=\s*(?:\*\*)?(?:hint|step)\s*\d+|\s*\d+[.)]\s)/i)
+    .map((step) => step.trim())
+    .filter(Boolean);
+  return steps.length > 0 ? steps : [text];
+};
@@ -0,0 +1,15 @@
+import cbse from '../assets/data/boards/cbse.json';
+import icse from '../assets/data/boards/icse.json';
+import maharashtra from '../assets/data/boards/maharashtra.json';
+import karnataka from '../assets/data/boards/karnataka.json';
+import uttarPradesh from '../assets/data/boards/uttar-pradesh.json';
+import tamilNadu from '../assets/data/boards/tamil-nadu.json';
+import ib from '../assets/data/boards/ib.json';
+import cambridge from '../assets/data/boards/cambridge.json';
+
+// Boards bundled with the app, in the order they are offered. To add a board,
+// drop its JSON file into assets/data/boards (shape documented in
+// utils/syllabus.js) and list it here; validateSyllabus checks it at startup.
+export const BOARD_REGISTRY = [cbse, icse, maharashtra, karnataka, uttarPradesh, tamilNadu, ib, cambridge];
+
+export const BOARD_GROUPS = ['National', 'State', 'International'];
@@ -1 +1,10 @@
-export const API_BASE_URL ='https://eduai-backend-phhl.onrender.com/api';
\ No newline at end of file
+export const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'https://eduai-backend-phhl.onrender.com/api';
+
+// Streaming endpoint for /query. Point it at the dev stub with
+// VITE_QUERY_STREAM_URL=/stub/query/stream when running `npm run dev`.
+export const QUERY_STREAM_URL = import.meta.env.VITE_QUERY_STREAM_URL || `${API_BASE_URL}/query/stream`;
+
+// Optional syllabus endpoint (absolute, or relative to API_BASE_URL). Leave it
+// unset to use the boards bundled through src/config/boards.js
+// (src/assets/data/boards/*.json).
+export const SYLLABUS_URL = import.meta.env.VITE_SYLLABUS_URL || null;
@@ -0,0 +1,29 @@
+// What the learner studies: sent with every /query so answers match the
+// syllabus level, and shown in BoardSelector and the Header switcher.
+
+export const GRADES = Array.from({ length: 12 }, (_, i) => i + 1);
+
+// Streams only apply in classes 11 and 12
+export const STREAMS = ['Science', 'Commerce', 'Arts'];
+export const STREAM_FROM_GRADE = 11;
+
+export const MEDIUMS = ['English', 'Hindi', 'Bengali', 'Gujarati', 'Kannada', 'Malayalam', 'Marathi', 'Tamil', 'Telugu'];
+
+export const DEFAULT_PROFILE = {
+  board: 'CBSE',
+  grade: 10,
+  stream: null,
+  medium: 'English',
+};
+
+// Fill gaps from older or partial profiles and drop a stream below class 11
+export const normalizeProfile = (profile) => {
+  const next = { ...DEFAULT_PROFILE, ...profile };
+  next.grade = GRADES.includes(Number(next.grade)) ? Number(next.grade) : DEFAULT_PROFILE.grade;
+  if (next.grade < STREAM_FROM_GRADE || !STREAMS.includes(next.stream)) next.stream = null;
+  if (!MEDIUMS.includes(next.medium)) next.medium = DEFAULT_PROFILE.medium;
+  return next;
+};
+
+// e.g. "CBSE · Class 12 Science"
+export const profileLabel = ({ board, grade, stream }) => `${board} · Class ${grade}${stream ? ` ${stream}` : ''}`;
@@ -0,0 +1,23 @@
+// Account roles. The role is chosen at signup and comes back on the session user.
+export const ROLES = {
+  STUDENT: 'student',
+  TEACHER: 'teacher',
+  PARENT: 'parent',
+};
+
+export const DEFAULT_ROLE = ROLES.STUDENT;
+
+export const ROLE_OPTIONS = [
+  { value: ROLES.STUDENT, label: 'Student', icon: '🎒', description: 'Ask questions and practise' },
+  { value: ROLES.TEACHER, label: 'Teacher', icon: '🧑‍🏫', description: 'Guide classes and set work' },
+  { value: ROLES.PARENT, label: 'Parent', icon: '👪', description: "Follow your child's progress" },
+];
+
+// Where each role lands after login and what "Dashboard" links to
+const HOME_PATHS = {
+  [ROLES.STUDENT]: '/dashboard',
+  [ROLES.TEACHER]: '/teacher',
+  [ROLES.PARENT]: '/parent',
+};
+
+export const homePathFor = (role) => HOME_PATHS[role] || HOME_PATHS[DEFAULT_ROLE];
@@ -0,0 +1,65 @@
+import { createContext, useCallback, useEffect, useState } from 'react';
+import api from '../utils/api';
+import { DEFAULT_ROLE } from '../config/roles';
+import { clearSession, getSession, saveSession, subscribeSession, tokenExpiry } from '../utils/session';
+
+export const AuthContext = createContext();
+
+// setTimeout overflows past ~24.8 days
+const MAX_TIMER = 2 ** 31 - 1;
+
+export const AuthProvider = ({ children }) => {
+  const [session, setSession] = useState(getSession);
+  const [sessionExpired, setSessionExpired] = useState(false);
+
+  useEffect(
+    () =>
+      subscribeSession((next, reason) => {
+        setSession(next);
+        setSessionExpired(reason === 'expired');
+      }),
+    []
+  );
+
+  // Log out when the session can no longer be renewed: at the refresh token's
+  // expiry, or the access token's when there is no refresh token
+  useEffect(() => {
+    if (!session.token) return undefined;
+    const expiresAt = session.refreshToken ? tokenExpiry(session.refreshToken) : tokenExpiry(session.token);
+    if (!expiresAt) return undefined;
+    const timer = setTimeout(() => clearSession('expired'), Math.min(Math.max(expiresAt - Date.now(), 0), MAX_TIMER));
+    return () => clearTimeout(timer);
+  }, [session.token, session.refreshToken]);
+
+  const login = useCallback(async (credentials) => {
+    const res = await api.post('/auth/login', credentials);
+    saveSession(res.data);
+    return res.data;
+  }, []);
+
+  const logout = useCallback(() => {
+    const { refreshToken } = getSession();
+    // Revoke the refresh token server-side; logging out locally does not wait for it
+    if (refreshToken) {
+      api.post('/auth/logout', { refreshToken }).catch((err) => console.error('Logout request failed:', err));
+    }
+    clearSession('logout');
+  }, []);
+
+  return (
+    <AuthContext.Provider
+      value={{
+        user: session.user,
+        token: session.token,
+        isAuthenticated: !!session.token,
+        // Accounts created before roles existed are students
+        role: session.token ? session.user?.role || DEFAULT_ROLE : null,
+        sessionExpired,
+        login,
+        logout,
+      }}
+    >
+      {children}
+    </AuthContext.Provider>
+  );
+};
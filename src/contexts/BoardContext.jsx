@@ -1,13 +1,75 @@
-import { createContext, useState } from 'react';
+import { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import api from '../utils/api';
+import { AuthContext } from './AuthContext';
+import { normalizeProfile } from '../config/learnerProfile';
+import { getBoard, getSyllabus } from '../utils/syllabus';
 
 export const BoardContext = createContext();
 
+const STORAGE_KEY = 'learnerProfile';
+
+// Profiles saved before a board was renamed (e.g. 'State Board') keep working
+const withCurrentBoard = (profile) => ({
+  ...profile,
+  board: getBoard(getSyllabus(), profile.board)?.id || profile.board,
+});
+
+const loadProfile = () => {
+  try {
+    return withCurrentBoard(normalizeProfile(JSON.parse(localStorage.getItem(STORAGE_KEY))));
+  } catch {
+    return normalizeProfile();
+  }
+};
+
+// The learner profile: board, grade, stream and medium. Kept in localStorage so
+// it survives a reload, and on the server so it follows the account.
 export const BoardProvider = ({ children }) => {
-  const [board, setBoard] = useState('CBSE');
+  const { isAuthenticated } = useContext(AuthContext);
+  const [profile, setProfile] = useState(loadProfile);
+
+  // After login the saved profile replaces whatever was picked while logged out
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+    let cancelled = false;
+    api
+      .get('/profile')
+      .then((res) => {
+        if (cancelled || !res.data?.board) return;
+        const saved = withCurrentBoard(normalizeProfile(res.data));
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+        setProfile(saved);
+      })
+      .catch((err) => console.error('Failed to fetch learner profile:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [isAuthenticated]);
+
+  const updateProfile = useCallback(
+    (changes) => {
+      const next = normalizeProfile({ ...profile, ...changes });
+      setProfile(next);
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+      if (isAuthenticated) {
+        api.put('/profile', next).catch((err) => console.error('Failed to save learner profile:', err));
+      }
+    },
+    [profile, isAuthenticated]
+  );
+
+  const setBoard = useCallback((board) => updateProfile({ board }), [updateProfile]);
 
   return (
-    <BoardContext.Provider value={{ board, setBoard }}>
+    <BoardContext.Provider
+      value={{
+        ...profile,
+        profile,
+        setBoard,
+        updateProfile,
+      }}
+    >
       {children}
     </BoardContext.Provider>
   );
-};
\ No newline at end of file
+};
@@ -0,0 +1,36 @@
+import { useCallback, useEffect, useState } from 'react';
+
+const storageKey = (key) => `cooldown:${key}`;
+
+const remainingFor = (key) => {
+  const until = Number(localStorage.getItem(storageKey(key))) || 0;
+  return Math.max(0, Math.ceil((until - Date.now()) / 1000));
+};
+
+// Seconds left before an action may run again, kept in localStorage so a
+// reload does not reset it. `start(seconds)` begins a new wait.
+const useCooldown = (key, defaultSeconds = 60) => {
+  const [remaining, setRemaining] = useState(() => remainingFor(key));
+
+  useEffect(() => {
+    setRemaining(remainingFor(key));
+  }, [key]);
+
+  useEffect(() => {
+    if (remaining <= 0) return undefined;
+    const timer = setTimeout(() => setRemaining(remainingFor(key)), 1000);
+    return () => clearTimeout(timer);
+  }, [key, remaining]);
+
+  const start = useCallback(
+    (seconds = defaultSeconds) => {
+      localStorage.setItem(storageKey(key), String(Date.now() + seconds * 1000));
+      setRemaining(seconds);
+    },
+    [key, defaultSeconds]
+  );
+
+  return [remaining, start];
+};
+
+export default useCooldown;
@@ -0,0 +1,24 @@
+import { useEffect, useState } from 'react';
+
+const secondsUntil = (deadline) => Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+
+// Whole seconds left until `deadline` (a timestamp), or null when there is no
+// deadline. Computed from the clock each tick so a throttled background tab
+// does not drift.
+const useCountdown = (deadline) => {
+  const [remaining, setRemaining] = useState(() => (deadline ? secondsUntil(deadline) : null));
+
+  useEffect(() => {
+    if (!deadline) {
+      setRemaining(null);
+      return undefined;
+    }
+    setRemaining(secondsUntil(deadline));
+    const timer = setInterval(() => setRemaining(secondsUntil(deadline)), 1000);
+    return () => clearInterval(timer);
+  }, [deadline]);
+
+  return remaining;
+};
+
+export default useCountdown;
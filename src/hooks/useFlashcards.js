@@ -0,0 +1,75 @@
+import { useCallback, useEffect, useState } from 'react';
+import { addCards, deleteCard, dueCards, readCards, saveReview, subscribeCards, syncCards } from '../utils/flashcards';
+import { subscribeSession } from '../utils/session';
+
+// The flashcard deck from localStorage, kept in step across components and
+// synced with the server on mount and whenever the browser comes back online
+const useFlashcards = () => {
+  const [allCards, setAllCards] = useState(readCards);
+  const [syncing, setSyncing] = useState(false);
+
+  const sync = useCallback(async () => {
+    setSyncing(true);
+    await syncCards();
+    setSyncing(false);
+  }, []);
+
+  useEffect(() => subscribeCards(setAllCards), []);
+
+  // Each account has its own deck; switch to it when someone else logs in
+  useEffect(
+    () =>
+      subscribeSession((session) => {
+        setAllCards(readCards());
+        if (session.token) sync();
+      }),
+    [sync]
+  );
+
+  useEffect(() => {
+    sync();
+    window.addEventListener('online', sync);
+    return () => window.removeEventListener('online', sync);
+  }, [sync]);
+
+  // Local writes are immediate; the server catches up in the background
+  const add = useCallback(
+    (drafts) => {
+      const created = addCards(drafts);
+      sync();
+      return created;
+    },
+    [sync]
+  );
+
+  const review = useCallback(
+    (cardId, quality) => {
+      saveReview(cardId, quality);
+      sync();
+    },
+    [sync]
+  );
+
+  const remove = useCallback(
+    (cardId) => {
+      deleteCard(cardId);
+      sync();
+    },
+    [sync]
+  );
+
+  const cards = allCards.filter((card) => !card.deleted);
+
+  return {
+    cards,
+    due: dueCards(cards),
+    pending: allCards.filter((card) => card.dirty).length,
+    syncing,
+    add,
+    review,
+    remove,
+    sync,
+  };
+};
+
+export default useFlashcards;
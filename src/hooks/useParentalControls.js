@@ -0,0 +1,82 @@
+import { useEffect, useState } from 'react';
+import {
+  addUsageMinute,
+  controlsBlock,
+  fetchOwnControls,
+  getCachedControls,
+  getUsageMinutes,
+  reportUsage,
+} from '../utils/family';
+import { getAccessToken } from '../utils/session';
+
+const TICK_MS = 60 * 1000;
+const REPORT_EVERY = 5; // minutes between usage reports to the server
+
+// Counts a student's minutes of visible use and applies the limits a linked
+// parent set. Returns { controls, usedMinutes, blocked } where `blocked` is
+// 'hours', 'limit' or null. Pass a null userId to turn tracking off.
+const useParentalControls = (userId) => {
+  const [controls, setControls] = useState(() => (userId ? getCachedControls(userId) : null));
+  const [usedMinutes, setUsedMinutes] = useState(() => (userId ? getUsageMinutes(userId) : 0));
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    if (!userId) {
+      setControls(null);
+      return undefined;
+    }
+    let cancelled = false;
+    setControls(getCachedControls(userId));
+    setUsedMinutes(getUsageMinutes(userId));
+    fetchOwnControls(userId).then((next) => !cancelled && setControls(next));
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    // The server keeps the day's total, so only a changed count is worth sending
+    let reported = null;
+    const flush = () => {
+      const minutes = getUsageMinutes(userId);
+      // Nothing can be sent once the student has logged out
+      if (minutes === 0 || minutes === reported || !getAccessToken()) return;
+      reported = minutes;
+      reportUsage(minutes);
+    };
+    const onVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') flush();
+    };
+
+    const timer = setInterval(() => {
+      const tick = new Date();
+      const used = getUsageMinutes(userId, tick); // resets when the day changes
+      setNow(tick);
+      setUsedMinutes(used);
+      // Only time spent with the app open and usable counts
+      if (document.visibilityState !== 'visible') return;
+      if (controlsBlock(getCachedControls(userId), used, tick)) return;
+      const minutes = addUsageMinute(userId);
+      setUsedMinutes(minutes);
+      if (minutes % REPORT_EVERY === 0) flush();
+    }, TICK_MS);
+    // Minutes since the last report would otherwise be lost when the tab goes away
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    window.addEventListener('pagehide', flush);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      window.removeEventListener('pagehide', flush);
+      flush();
+    };
+  }, [userId]);
+
+  return {
+    controls,
+    usedMinutes,
+    blocked: userId ? controlsBlock(controls, usedMinutes, now) : null,
+  };
+};
+
+export default useParentalControls;
@@ -0,0 +1,20 @@
+import { useEffect, useState } from 'react';
+import { getBoards, getSyllabus, loadSyllabus } from '../utils/syllabus';
+
+// The syllabus tree and its boards. Renders straight away with the bundled
+// copy and switches to the API copy if one loads.
+const useSyllabus = () => {
+  const [syllabus, setSyllabus] = useState(getSyllabus);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadSyllabus().then((loaded) => !cancelled && setSyllabus(loaded));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return { syllabus, boards: getBoards(syllabus) };
+};
+
+export default useSyllabus;
@@ -1,13 +1,21 @@
 import mermaid from 'mermaid';
 
-mermaid.initialize({ startOnLoad: true });
-
-export const renderMermaid = (chart) => {
-  return new Promise((resolve, reject) => {
-    mermaid.render('mermaid-chart', chart, (svgCode) => {
-      resolve(svgCode);
-    }).catch(reject);
-  });
+mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', theme: 'default' });
+
+let diagramCount = 0;
+
+// Render a Mermaid definition to an SVG string. Each call gets its own element id
+// so several diagrams can live on one page. Rejects when the syntax is invalid.
+export const renderMermaid = async (chart) => {
+  const id = `mermaid-chart-${++diagramCount}`;
+  try {
+    await mermaid.parse(chart);
+    const { svg } = await mermaid.render(id, chart);
+    return svg;
+  } finally {
+    // mermaid leaves its scratch container behind when rendering fails
+    document.getElementById(`d${id}`)?.remove();
+  }
 };
 
-export default mermaid;
\ No newline at end of file
+export default mermaid;
@@ -1,11 +1,22 @@
-import { useState, useEffect, useCallback, useContext } from 'react';
+import { useState, useEffect, useCallback, useContext, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { useNavigate } from 'react-router-dom';
-import { FaArrowLeft, FaCopy, FaMicrophone } from 'react-icons/fa';
-import api from '../utils/api';
+import { useLocation, useNavigate, useSearchParams } from 'react-router-dom';
+import { FaArrowLeft, FaMicrophone, FaPlus, FaStop, FaTimes } from 'react-icons/fa';
+import { answerIds } from '../utils/feedback';
+import { streamQuery } from '../utils/streamQuery';
+import { createThread, fetchThread, saveThread, toContext } from '../utils/threads';
+import { fetchAssignment } from '../utils/assignments';
+import { getBoard } from '../utils/syllabus';
+import useSyllabus from '../hooks/useSyllabus';
+import AssignmentPanel from '../components/AssignmentPanel';
 import BoardSelector from '../components/BoardSelector';
+import ChatTranscript from '../components/ChatTranscript';
 import HistoryPanel from '../components/HistoryPanel';
+import PhotoInput from '../components/PhotoInput';
+import SketchInput from '../components/SketchInput';
+import GraphInput from '../components/GraphInput';
 import { BoardContext } from '../contexts/BoardContext';
+import { ANSWER_STYLES, DEFAULT_ANSWER_STYLE, HOMEWORK_ANSWER_STYLES } from '../config/answerStyles';
 
 
 // Animation Variants
@@ -26,24 +37,107 @@ const backButtonVariants = {
 
 function AskQuestion() {
   const navigate = useNavigate();
-  const { board } = useContext(BoardContext);
-  const [query, setQuery] = useState('');
-  const [response, setResponse] = useState(null);
+  const location = useLocation();
+  const { board, grade, stream, medium } = useContext(BoardContext);
+  const { syllabus } = useSyllabus();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Chapter pages under /explore open this page with a question and its topic
+  const [query, setQuery] = useState(() => location.state?.prefill || '');
+  const [topic, setTopic] = useState(() => location.state?.topic || null); // { board, grade, subject, chapter }
+  const [image, setImage] = useState(null); // photo attached to the next question
+  const [thread, setThread] = useState(() => createThread(board));
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [suggestion, setSuggestion] = useState('');
   const [showSuccess, setShowSuccess] = useState(false);
   const [mediaType, setMediaType] = useState('all'); // text, image, video, all
+  const [answerStyle, setAnswerStyle] = useState(DEFAULT_ANSWER_STYLE);
+  const [attempt, setAttempt] = useState(''); // the student's own working, for 'check'
+  const [streaming, setStreaming] = useState(false);
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [assignment, setAssignment] = useState(null); // homework opened with ?assignment=<id>
+  const abortRef = useRef(null);
+  const threadRef = useRef(thread);
+  const threadId = searchParams.get('thread');
+  const assignmentId = searchParams.get('assignment');
+  const mediaTypes = assignment ? assignment.mediaTypes : ['all', 'text', 'image', 'video'];
+  const answerStyles = assignment
+    ? ANSWER_STYLES.filter((style) => HOMEWORK_ANSWER_STYLES.includes(style.id))
+    : ANSWER_STYLES;
 
-  // Set suggestion based on board
+  // Abort any in-flight answer when leaving the page
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  // Set suggestion based on board; each board lists a few in its registry entry
+  useEffect(() => {
+    const suggestions = getBoard(syllabus, board)?.suggestions || [];
+    setSuggestion(suggestions[Math.floor(Math.random() * suggestions.length)] || 'Enter your question...');
+  }, [syllabus, board]);
+
+  // Keep the ref and state in step so async handlers always see the latest thread
+  const updateThread = useCallback((updater) => {
+    const next = updater(threadRef.current);
+    threadRef.current = next;
+    setThread(next);
+    return next;
+  }, []);
+
+  const updateLastTurn = useCallback(
+    (updater) =>
+      updateThread((prev) => ({
+        ...prev,
+        turns: [...prev.turns.slice(0, -1), updater(prev.turns[prev.turns.length - 1])],
+      })),
+    [updateThread]
+  );
+
+  // Reopen a saved thread from ?thread=<id>
   useEffect(() => {
-    const suggestions = {
-      CBSE: 'What is Newton’s First Law?',
-      ICSE: 'Explain the structure of an atom.',
-      'State Board': 'Define photosynthesis.',
+    if (!threadId || threadId === threadRef.current.id) return;
+    let cancelled = false;
+    console.log('Opening thread:', threadId);
+    fetchThread(threadId).then((saved) => {
+      if (cancelled) return;
+      if (saved) {
+        updateThread(() => saved);
+        setError(null);
+      } else {
+        setError('That conversation could not be found.');
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [threadId, updateThread]);
+
+  // Load homework from ?assignment=<id>; its media types limit what the AI may reply with
+  useEffect(() => {
+    if (!assignmentId) {
+      setAssignment(null);
+      return;
+    }
+    let cancelled = false;
+    fetchAssignment(assignmentId)
+      .then((details) => {
+        if (cancelled) return;
+        setAssignment(details);
+        setMediaType((current) => (details.mediaTypes.includes(current) ? current : details.mediaTypes[0]));
+        setAnswerStyle((current) => (HOMEWORK_ANSWER_STYLES.includes(current) ? current : HOMEWORK_ANSWER_STYLES[0]));
+      })
+      .catch((err) => {
+        console.error('Failed to fetch assignment:', err);
+        if (!cancelled) setError('That assignment could not be loaded.');
+      });
+    return () => {
+      cancelled = true;
     };
-    setSuggestion(suggestions[board] || 'Enter your question...');
-  }, [board]);
+  }, [assignmentId]);
+
+  // Keep the open assignment in the URL when the thread changes
+  const withAssignment = useCallback(
+    (params) => (assignmentId ? { ...params, assignment: assignmentId } : params),
+    [assignmentId]
+  );
 
   // Handle query change
   const handleQueryChange = (e) => {
@@ -52,35 +146,211 @@ function AskQuestion() {
     setQuery(value);
   };
 
+  // Everything /query needs for one question, given the conversation before it
+  const queryPayload = useCallback(
+    (question, { context, image: questionImage, attempt: ownAttempt, style }) => ({
+      query: question,
+      // The learner profile pitches the answer at the right syllabus level
+      board,
+      grade,
+      stream,
+      medium,
+      mediaType,
+      answerStyle: style,
+      ...(style === 'check' && { attempt: ownAttempt }),
+      context,
+      threadId: threadRef.current.id,
+      ...(questionImage && { image: questionImage }),
+      // Homework is already held to HOMEWORK_ANSWER_STYLES through answerStyle
+      ...(assignment && { assignmentId: assignment.id }),
+      ...(topic && { topic }),
+    }),
+    [board, grade, stream, medium, mediaType, assignment, topic]
+  );
+
   // Handle submit
   const handleSubmit = useCallback(
     async (e) => {
       e.preventDefault();
-      if (!query.trim()) {
+      const question = query.trim();
+      if (!question) {
         console.log('Submit blocked: Empty query');
         setError('Please enter a question.');
         return;
       }
+      const ownAttempt = attempt.trim();
+      if (answerStyle === 'check' && !ownAttempt) {
+        setError('Paste your attempt so it can be checked.');
+        return;
+      }
       setLoading(true);
-      setResponse(null);
       setError(null);
-      console.log('Submitting query:', { query, board, mediaType });
+      console.log('Submitting query:', { query: question, board, grade, stream, medium, mediaType, answerStyle });
+
+      const context = toContext(threadRef.current);
+      updateThread((prev) => ({
+        ...prev,
+        title: prev.title || question.slice(0, 80),
+        board: prev.turns.length ? prev.board : board,
+        turns: [
+          ...prev.turns,
+          { role: 'user', text: question, ...(image && { image }), ...(answerStyle === 'check' && { attempt: ownAttempt }) },
+          { role: 'assistant', text: '', answerStyle },
+        ],
+      }));
+      setQuery('');
+      setImage(null);
+      setAttempt('');
+      // Starting a new thread mid-answer must not write into the new one
+      const activeId = threadRef.current.id;
+      const isActive = () => threadRef.current.id === activeId;
+
+      const controller = new AbortController();
+      abortRef.current = controller;
 
+      let answered = true;
       try {
-        const res = await api.post('/query', { query, board, mediaType });
-        setResponse(res.data);
-        setShowSuccess(true);
-        setTimeout(() => setShowSuccess(false), 2000);
+        const final = await streamQuery(
+          queryPayload(question, { context, image, attempt: ownAttempt, style: answerStyle }),
+          {
+            signal: controller.signal,
+            onDelta: (delta) => {
+              if (!isActive()) return;
+              setStreaming(true);
+              updateLastTurn((turn) => ({ ...turn, text: turn.text + delta }));
+            },
+          }
+        );
+        if (isActive()) {
+          updateLastTurn(() => ({ role: 'assistant', answerStyle, ...final }));
+          setShowSuccess(true);
+          setTimeout(() => setShowSuccess(false), 2000);
+        }
       } catch (err) {
-        const errorMsg = err.response?.data?.error || err.message || 'Failed to fetch response';
-        setError(errorMsg);
-        console.error('Query error:', err);
+        if (!isActive()) {
+          answered = false;
+        } else if (err.name === 'AbortError') {
+          // Keep whatever arrived before Stop was pressed
+          console.log('Query stopped by user');
+          updateLastTurn((turn) => ({ ...turn, stopped: true }));
+        } else {
+          const errorMsg = err.message || 'Failed to fetch response';
+          setError(errorMsg);
+          console.error('Query error:', err);
+          // Drop the unanswered turn pair and put the question back for Retry
+          answered = false;
+          updateThread((prev) => ({ ...prev, turns: prev.turns.slice(0, -2) }));
+          setQuery(question);
+          setImage(image);
+          setAttempt(ownAttempt);
+        }
       }
+      abortRef.current = null;
+      setStreaming(false);
       setLoading(false);
+
+      if (answered) {
+        await saveThread(threadRef.current);
+        if (isActive()) setSearchParams(withAssignment({ thread: activeId }), { replace: true });
+        setHistoryVersion((v) => v + 1);
+      }
     },
-    [query, board, mediaType]
+    [
+      query,
+      image,
+      board,
+      grade,
+      stream,
+      medium,
+      mediaType,
+      answerStyle,
+      attempt,
+      queryPayload,
+      updateThread,
+      updateLastTurn,
+      setSearchParams,
+      withAssignment,
+    ]
   );
 
+  // Ask again for the latest answer; the old one comes back if this fails
+  const regenerateAnswer = useCallback(async () => {
+    const turns = threadRef.current.turns;
+    const previous = turns[turns.length - 1];
+    const asked = turns[turns.length - 2];
+    if (previous?.role !== 'assistant' || asked?.role !== 'user') return;
+    setLoading(true);
+    setError(null);
+    const style = previous.answerStyle || DEFAULT_ANSWER_STYLE;
+    updateLastTurn(() => ({ role: 'assistant', text: '', answerStyle: style }));
+    const activeId = threadRef.current.id;
+    const isActive = () => threadRef.current.id === activeId;
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    let answered = true;
+    try {
+      const final = await streamQuery(
+        {
+          ...queryPayload(asked.text, {
+            context: toContext({ turns: turns.slice(0, -2) }),
+            image: asked.image,
+            attempt: asked.attempt,
+            style,
+          }),
+          regenerate: true,
+          previousResponseId: answerIds(previous).responseId,
+        },
+        {
+          signal: controller.signal,
+          onDelta: (delta) => {
+            if (!isActive()) return;
+            setStreaming(true);
+            updateLastTurn((turn) => ({ ...turn, text: turn.text + delta }));
+          },
+        }
+      );
+      if (isActive()) updateLastTurn(() => ({ role: 'assistant', answerStyle: style, ...final }));
+    } catch (err) {
+      if (!isActive()) {
+        answered = false;
+      } else if (err.name === 'AbortError') {
+        updateLastTurn((turn) => ({ ...turn, stopped: true }));
+      } else {
+        console.error('Regenerate error:', err);
+        setError(err.message || 'Failed to regenerate the answer');
+        answered = false;
+        updateLastTurn(() => previous);
+      }
+    }
+    abortRef.current = null;
+    setStreaming(false);
+    setLoading(false);
+    if (answered) {
+      await saveThread(threadRef.current);
+      setHistoryVersion((v) => v + 1);
+    }
+  }, [queryPayload, updateLastTurn]);
+
+  // Remember ratings and reports on the turn itself
+  const updateFeedback = useCallback(
+    (index, feedback) => {
+      updateThread((prev) => ({
+        ...prev,
+        turns: prev.turns.map((turn, i) => (i === index ? { ...turn, feedback } : turn)),
+      }));
+      saveThread(threadRef.current);
+    },
+    [updateThread]
+  );
+
+  // Stop a streaming answer
+  const stopQuery = () => {
+    console.log('Stopping query');
+    abortRef.current?.abort();
+  };
+
   // Retry query
   const retryQuery = useCallback(() => {
     console.log('Retrying query');
@@ -91,15 +361,27 @@ function AskQuestion() {
   const clearQuery = () => {
     console.log('Clearing query');
     setQuery('');
-    setResponse(null);
+    setImage(null);
+    setAttempt('');
+    setError(null);
+  };
+
+  // Start a new conversation
+  const newThread = () => {
+    console.log('Starting new thread');
+    abortRef.current?.abort();
+    updateThread(() => createThread(board));
+    setSearchParams(withAssignment({}), { replace: true });
+    setQuery('');
+    setImage(null);
     setError(null);
   };
 
   // Copy response
-  const copyResponse = () => {
-    if (response?.text) {
-      console.log('Copying response:', response.text.slice(0, 50) + '...');
-      navigator.clipboard.writeText(response.text);
+  const copyResponse = (text) => {
+    if (text) {
+      console.log('Copying response:', text.slice(0, 50) + '...');
+      navigator.clipboard.writeText(text);
       alert('Response copied to clipboard!');
     } else {
       alert('No text response to copy.');
@@ -184,6 +466,41 @@ function AskQuestion() {
               <BoardSelector />
             </motion.div>
 
+            {/* Homework */}
+            {assignment && (
+              <AssignmentPanel
+                key={assignment.id}
+                assignment={assignment}
+                threadId={thread.turns.length > 0 ? thread.id : null}
+                onHint={(text) => setQuery(`Give me a hint for: ${text}`)}
+              />
+            )}
+
+            {/* Conversation */}
+            {thread.turns.length > 0 && (
+              <div className="space-y-3">
+                <div className="flex justify-between items-center">
+                  <h2 className="font-semibold text-gray-700 truncate">{thread.title}</h2>
+                  <motion.button
+                    onClick={newThread}
+                    className="flex items-center gap-2 px-3 py-1 rounded-md text-sm font-medium text-gray-600 bg-gray-100 border border-gray-300 hover:bg-gray-200"
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                  >
+                    <FaPlus className="text-xs" /> New Conversation
+                  </motion.button>
+                </div>
+                <ChatTranscript
+                  turns={thread.turns}
+                  streaming={streaming}
+                  onCopy={copyResponse}
+                  threadId={thread.id}
+                  onFeedback={updateFeedback}
+                  onRegenerate={loading ? null : regenerateAnswer}
+                />
+              </div>
+            )}
+
             {/* Query Input */}
             <motion.div
               initial={{ opacity: 0, x: -10 }}
@@ -191,19 +508,21 @@ function AskQuestion() {
               transition={{ duration: 0.4, delay: 0.2 }}
             >
               <label className="block text-gray-700 font-medium mb-2 font-sans">
-                Ask Your Question
+                {thread.turns.length > 0 ? 'Ask a Follow-up' : 'Ask Your Question'}
               </label>
               <textarea
                 value={query}
                 onChange={handleQueryChange}
-                placeholder={suggestion}
+                placeholder={
+                  thread.turns.length > 0 ? 'e.g. Explain that again more simply, or give an example' : suggestion
+                }
                 className="w-full p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white text-gray-800"
                 rows={4}
                 aria-label="Enter your question"
               />
               <div className="flex justify-between items-center mt-2">
                 <p className="text-gray-500 text-sm">{query.length}/500 characters</p>
-                {loading && (
+                {loading && !streaming && (
                   <motion.div
                     className="h-1 bg-blue-500 rounded-full w-full"
                     initial={{ width: '0%' }}
@@ -212,9 +531,31 @@ function AskQuestion() {
                   />
                 )}
               </div>
-              {/* Media Type Toggle */}
-              <div className="flex gap-2 mt-3">
-                {['all', 'text', 'image', 'video'].map((type) => (
+              {/* Topic Context */}
+              {topic && (
+                <div className="inline-flex items-center gap-2 mt-2 px-3 py-1 rounded-full bg-blue-50 border border-blue-200 text-sm text-blue-700">
+                  {topic.subject} › {topic.chapter}
+                  <button onClick={() => setTopic(null)} className="hover:text-red-600" aria-label="Remove topic">
+                    <FaTimes className="text-xs" />
+                  </button>
+                </div>
+              )}
+              {/* Attached Photo */}
+              {image && (
+                <div className="relative inline-block mt-3">
+                  <img src={image} alt="Attached question" className="h-24 rounded-md border border-gray-200 bg-white" />
+                  <button
+                    onClick={() => setImage(null)}
+                    className="absolute -top-2 -right-2 p-1 rounded-full bg-white border border-gray-300 text-gray-600 hover:text-red-600"
+                    aria-label="Remove attached photo"
+                  >
+                    <FaTimes className="text-xs" />
+                  </button>
+                </div>
+              )}
+              {/* Media Type and Answer Style Toggles */}
+              <div className="flex flex-wrap gap-2 mt-3">
+                {mediaTypes.map((type) => (
                   <motion.button
                     key={type}
                     onClick={() => setMediaType(type)}
@@ -229,19 +570,61 @@ function AskQuestion() {
                     {type.charAt(0).toUpperCase() + type.slice(1)}
                   </motion.button>
                 ))}
+                <span className="mx-1 border-l border-gray-300" aria-hidden="true" />
+                {answerStyles.map((style) => (
+                  <motion.button
+                    key={style.id}
+                    onClick={() => setAnswerStyle(style.id)}
+                    title={style.description}
+                    className={`px-3 py-1 rounded-md text-sm font-medium ${
+                      answerStyle === style.id
+                        ? 'bg-indigo-500 text-white'
+                        : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                    }`}
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    aria-pressed={answerStyle === style.id}
+                  >
+                    {style.label}
+                  </motion.button>
+                ))}
               </div>
+              {/* Attempt to check */}
+              {answerStyle === 'check' && (
+                <textarea
+                  value={attempt}
+                  onChange={(e) => setAttempt(e.target.value)}
+                  placeholder="Paste or type your answer or working here"
+                  className="w-full mt-3 p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 bg-white text-gray-800"
+                  rows={4}
+                  aria-label="Your attempt"
+                />
+              )}
               <div className="flex gap-3 mt-3">
-                <motion.button
-                  onClick={handleSubmit}
-                  disabled={loading || !query.trim()}
-                  className={`flex-1 p-3 rounded-md font-medium bg-blue-500 text-white ${
-                    loading || !query.trim() ? 'opacity-50 cursor-not-allowed' : 'hover:bg-blue-600'
-                  }`}
-                  whileHover={{ scale: 1.05 }}
-                  whileTap={{ scale: 0.95 }}
-                >
-                  {loading ? 'Processing...' : 'Ask Question'}
-                </motion.button>
+                {loading ? (
+                  <motion.button
+                    onClick={stopQuery}
+                    className="flex-1 p-3 rounded-md font-medium bg-red-500 text-white hover:bg-red-600"
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    aria-label="Stop answer"
+                  >
+                    <FaStop className="inline mr-2" />
+                    {streaming ? 'Stop' : 'Processing...'}
+                  </motion.button>
+                ) : (
+                  <motion.button
+                    onClick={handleSubmit}
+                    disabled={!query.trim()}
+                    className={`flex-1 p-3 rounded-md font-medium bg-blue-500 text-white ${
+                      !query.trim() ? 'opacity-50 cursor-not-allowed' : 'hover:bg-blue-600'
+                    }`}
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                  >
+                    {answerStyle === 'check' ? 'Check My Answer' : 'Ask Question'}
+                  </motion.button>
+                )}
                 <motion.button
                   onClick={startVoiceInput}
                   className="p-3 rounded-md bg-gray-100 text-blue-500 border border-gray-300 hover:bg-gray-200"
@@ -251,6 +634,19 @@ function AskQuestion() {
                 >
                   <FaMicrophone />
                 </motion.button>
+                <PhotoInput
+                  onText={setQuery}
+                  onImage={setImage}
+                  buttonClassName="p-3 rounded-md bg-gray-100 text-blue-500 border border-gray-300 hover:bg-gray-200 flex items-center gap-2"
+                />
+                <SketchInput
+                  onImage={setImage}
+                  buttonClassName="p-3 rounded-md bg-gray-100 text-blue-500 border border-gray-300 hover:bg-gray-200 flex items-center gap-2"
+                />
+                <GraphInput
+                  onText={setQuery}
+                  buttonClassName="p-3 rounded-md bg-gray-100 text-blue-500 border border-gray-300 hover:bg-gray-200 flex items-center gap-2"
+                />
                 <motion.button
                   onClick={clearQuery}
                   className="p-3 rounded-md font-medium text-gray-600 bg-gray-100 border border-gray-300 hover:bg-gray-200"
@@ -311,75 +707,6 @@ function AskQuestion() {
                 </motion.div>
               )}
             </AnimatePresence>
-
-            {/* Response */}
-            <AnimatePresence>
-              {response && !error && (
-                <motion.div
-                  initial={{ opacity: 0, y: 10 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  transition={{ duration: 0.4 }}
-                  className="space-y-4"
-                >
-                  {/* Text Response */}
-                  {response.text && (
-                    <motion.div
-                      className="p-4 bg-gray-50 rounded-md border border-gray-200"
-                      initial={{ opacity: 0, y: 10 }}
-                      animate={{ opacity: 1, y: 0 }}
-                      transition={{ duration: 0.4, delay: 0.1 }}
-                    >
-                      <h3 className="font-semibold text-blue-600 mb-2 font-sans">Text Answer</h3>
-                      <p className="text-gray-700">{response.text}</p>
-                      <motion.button
-                        onClick={copyResponse}
-                        className="mt-3 px-4 py-2 rounded-md bg-blue-500 text-white font-medium hover:bg-blue-600"
-                        whileHover={{ scale: 1.05 }}
-                        whileTap={{ scale: 0.95 }}
-                      >
-                        <FaCopy className="inline mr-2" /> Copy Answer
-                      </motion.button>
-                    </motion.div>
-                  )}
-                  {/* Image Response */}
-                  {response.visual && (
-                    <motion.div
-                      className="p-4 bg-gray-50 rounded-md border border-gray-200"
-                      initial={{ opacity: 0, y: 10 }}
-                      animate={{ opacity: 1, y: 0 }}
-                      transition={{ duration: 0.4, delay: 0.2 }}
-                    >
-                      <h3 className="font-semibold text-blue-600 mb-2 font-sans">Diagram</h3>
-                      <img
-                        src={response.visual}
-                        alt={`Diagram for ${query}`}
-                        className="w-full max-w-md rounded-md border border-gray-200"
-                        loading="lazy"
-                      />
-                    </motion.div>
-                  )}
-                  {/* Video Response */}
-                  {response.video && (
-                    <motion.div
-                      className="p-4 bg-gray-50 rounded-md border border-gray-200"
-                      initial={{ opacity: 0, y: 10 }}
-                      animate={{ opacity: 1, y: 0 }}
-                      transition={{ duration: 0.4, delay: 0.3 }}
-                    >
-                      <h3 className="font-semibold text-blue-600 mb-2 font-sans">Video Explanation</h3>
-                      <video
-                        src={response.video}
-                        controls
-                        className="w-full max-w-md rounded-md border border-gray-200"
-                        loading="lazy"
-                      >
-                        Your browser does not support the video tag.
-                      </video>
-                    </motion.div>
-                  )}
-                </motion.div>
-              )}
-            </AnimatePresence>
           </motion.div>
 
           {/* History Panel */}
@@ -389,7 +716,7 @@ function AskQuestion() {
             transition={{ duration: 0.4, delay: 0.3 }}
             className="lg:col-span-1"
           >
-            <HistoryPanel />
+            <HistoryPanel refreshKey={historyVersion} />
           </motion.div>
         </motion.div>
       </div>
@@ -0,0 +1,291 @@
+import { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { FaArrowDown, FaArrowUp, FaMagic, FaPlus, FaTrash } from 'react-icons/fa';
+import api from '../utils/api';
+import { fetchClassroom } from '../utils/classrooms';
+import { MEDIA_TYPES, createAssignment, suggestQuestions } from '../utils/assignments';
+import { getBoard, getSyllabus } from '../utils/syllabus';
+import useSyllabus from '../hooks/useSyllabus';
+import BoardOptions from '../components/BoardOptions';
+
+// Default due date: a week from now at 9pm, in the format datetime-local expects
+const defaultDue = () => {
+  const due = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  due.setHours(21, 0, 0, 0);
+  return new Date(due.getTime() - due.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+function AssignmentComposer() {
+  const { id: classroomId } = useParams();
+  const navigate = useNavigate();
+  const { boards } = useSyllabus();
+  const [classroom, setClassroom] = useState(null);
+  const [title, setTitle] = useState('');
+  const [board, setBoard] = useState('CBSE');
+  const [dueAt, setDueAt] = useState(defaultDue);
+  const [mediaTypes, setMediaTypes] = useState(['text']);
+  const [questions, setQuestions] = useState([]);
+  const [draft, setDraft] = useState('');
+  const [history, setHistory] = useState([]);
+  const [topic, setTopic] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [suggesting, setSuggesting] = useState(false);
+  const [publishing, setPublishing] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchClassroom(classroomId)
+      .then((details) => {
+        setClassroom(details);
+        setBoard(getBoard(getSyllabus(), details.board)?.id || details.board);
+      })
+      .catch((err) => {
+        console.error('Failed to fetch classroom:', err);
+        setError('Could not load this class.');
+      });
+    // Questions the teacher has already asked EduAI make a quick starting point
+    api
+      .get('/history')
+      .then((res) => setHistory(res.data.slice(0, 20)))
+      .catch((err) => console.error('Failed to fetch history:', err));
+  }, [classroomId]);
+
+  const addQuestion = (text) => {
+    const trimmed = text.trim();
+    if (!trimmed || questions.some((q) => q.text === trimmed)) return;
+    setQuestions((list) => [...list, { text: trimmed }]);
+  };
+
+  const moveQuestion = (index, offset) => {
+    setQuestions((list) => {
+      const next = [...list];
+      const [moved] = next.splice(index, 1);
+      next.splice(index + offset, 0, moved);
+      return next;
+    });
+  };
+
+  const toggleMediaType = (type) => {
+    setMediaTypes((list) => (list.includes(type) ? list.filter((t) => t !== type) : [...list, type]));
+  };
+
+  const handleSuggest = async () => {
+    if (!topic.trim()) return;
+    setSuggesting(true);
+    setError('');
+    try {
+      const list = await suggestQuestions({ topic: topic.trim(), board, grade: classroom?.grade || 10 });
+      setSuggestions(list);
+      if (list.length === 0) setError('The AI did not return any questions. Try rephrasing the topic.');
+    } catch (err) {
+      console.error('Failed to suggest questions:', err);
+      setError('Could not get question suggestions.');
+    }
+    setSuggesting(false);
+  };
+
+  const handlePublish = async () => {
+    if (!title.trim()) {
+      setError('Give the assignment a title.');
+      return;
+    }
+    if (questions.length === 0) {
+      setError('Add at least one question.');
+      return;
+    }
+    if (mediaTypes.length === 0) {
+      setError('Allow at least one answer type.');
+      return;
+    }
+    setPublishing(true);
+    setError('');
+    try {
+      await createAssignment({
+        classroomId,
+        title: title.trim(),
+        questions,
+        dueAt: new Date(dueAt).toISOString(),
+        board,
+        mediaTypes,
+      });
+      navigate(`/teacher/classes/${classroomId}`);
+    } catch (err) {
+      console.error('Failed to publish assignment:', err);
+      setError(err.response?.data?.msg || 'Could not publish the assignment.');
+      setPublishing(false);
+    }
+  };
+
+  const panel = 'bg-white rounded-xl p-6 shadow-lg border border-indigo-200/50 mb-6';
+  const smallButton = 'px-3 py-1 rounded-md text-sm font-medium text-gray-700 bg-gray-100 border border-gray-300 hover:bg-gray-200';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-r from-blue-600 via-indigo-700 to-purple-700 py-16 relative">
+      <div className="absolute inset-0 bg-radial opacity-10 z-[-1]" />
+
+      <div className="container mx-auto px-4 relative z-10 max-w-4xl">
+        <Link to={`/teacher/classes/${classroomId}`} className="text-blue-100 hover:text-white">
+          ← {classroom?.name || 'Back to class'}
+        </Link>
+        <h1 className="text-4xl font-bold text-white drop-shadow-md text-center my-8">New Assignment</h1>
+
+        {/* Details */}
+        <div className={panel}>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="md:col-span-2 text-sm font-medium text-gray-700">
+              Title
+              <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                placeholder="e.g. Chapter 3: Metals and Non-metals"
+                className="mt-1 w-full p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-400"
+              />
+            </label>
+            <label className="text-sm font-medium text-gray-700">
+              Due
+              <input
+                type="datetime-local"
+                value={dueAt}
+                onChange={(e) => setDueAt(e.target.value)}
+                className="mt-1 w-full p-3 border border-gray-300 rounded-md"
+              />
+            </label>
+            <label className="text-sm font-medium text-gray-700">
+              Board
+              <select value={board} onChange={(e) => setBoard(e.target.value)} className="mt-1 w-full p-3 border border-gray-300 rounded-md">
+                <BoardOptions boards={boards} />
+              </select>
+            </label>
+            <fieldset className="md:col-span-2">
+              <legend className="text-sm font-medium text-gray-700">AI may answer hints with</legend>
+              <div className="flex gap-4 mt-1">
+                {MEDIA_TYPES.map((type) => (
+                  <label key={type} className="flex items-center gap-1 text-sm text-gray-700">
+                    <input type="checkbox" checked={mediaTypes.includes(type)} onChange={() => toggleMediaType(type)} />
+                    {type.charAt(0).toUpperCase() + type.slice(1)}
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+          </div>
+        </div>
+
+        {/* Questions */}
+        <div className={panel}>
+          <h2 className="text-xl font-semibold text-blue-600 mb-4">Questions ({questions.length})</h2>
+          {questions.length > 0 && (
+            <ol className="space-y-2 mb-4">
+              {questions.map((question, index) => (
+                <li key={question.text} className="flex items-start gap-2 p-3 bg-gray-50 rounded-md border border-gray-200">
+                  <span className="font-semibold text-gray-500">{index + 1}.</span>
+                  <span className="flex-1 text-gray-800">{question.text}</span>
+                  <button onClick={() => moveQuestion(index, -1)} disabled={index === 0} className="p-1 text-gray-500 disabled:opacity-30" aria-label="Move up">
+                    <FaArrowUp />
+                  </button>
+                  <button
+                    onClick={() => moveQuestion(index, 1)}
+                    disabled={index === questions.length - 1}
+                    className="p-1 text-gray-500 disabled:opacity-30"
+                    aria-label="Move down"
+                  >
+                    <FaArrowDown />
+                  </button>
+                  <button
+                    onClick={() => setQuestions((list) => list.filter((_, i) => i !== index))}
+                    className="p-1 text-gray-500 hover:text-red-600"
+                    aria-label="Remove question"
+                  >
+                    <FaTrash />
+                  </button>
+                </li>
+              ))}
+            </ol>
+          )}
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              addQuestion(draft);
+              setDraft('');
+            }}
+            className="flex gap-2"
+          >
+            <input
+              type="text"
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              placeholder="Type a question"
+              className="flex-1 p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-400"
+              aria-label="New question"
+            />
+            <button type="submit" className={smallButton}>
+              <FaPlus className="inline mr-1" /> Add
+            </button>
+          </form>
+
+          {/* AI suggestions */}
+          <div className="mt-6">
+            <h3 className="font-semibold text-gray-700 mb-2">Suggest questions with AI</h3>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={topic}
+                onChange={(e) => setTopic(e.target.value)}
+                placeholder="Topic, e.g. reactivity series"
+                className="flex-1 p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-400"
+                aria-label="Topic for suggested questions"
+              />
+              <button onClick={handleSuggest} disabled={suggesting || !topic.trim()} className={`${smallButton} disabled:opacity-50`}>
+                <FaMagic className="inline mr-1" /> {suggesting ? 'Thinking...' : 'Suggest'}
+              </button>
+            </div>
+            {suggestions.length > 0 && (
+              <ul className="mt-2 space-y-1">
+                {suggestions.map((text) => (
+                  <li key={text} className="flex items-center gap-2 text-sm">
+                    <button onClick={() => addQuestion(text)} className="text-blue-600 hover:text-blue-800" aria-label="Add suggested question">
+                      <FaPlus />
+                    </button>
+                    <span className="text-gray-800">{text}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* From history */}
+          {history.length > 0 && (
+            <div className="mt-6">
+              <h3 className="font-semibold text-gray-700 mb-2">From your recent questions</h3>
+              <ul className="space-y-1 max-h-48 overflow-y-auto">
+                {history.map((item, index) => (
+                  <li key={index} className="flex items-center gap-2 text-sm">
+                    <button onClick={() => addQuestion(item.query)} className="text-blue-600 hover:text-blue-800" aria-label="Add question from history">
+                      <FaPlus />
+                    </button>
+                    <span className="text-gray-800 truncate">{item.query}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        {error && <p className="text-red-600 bg-red-100 p-3 rounded-md mb-4">{error}</p>}
+
+        <motion.button
+          onClick={handlePublish}
+          disabled={publishing}
+          className="w-full p-3 rounded-lg bg-green-600 text-white font-semibold hover:bg-green-700 disabled:opacity-50"
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
+        >
+          {publishing ? 'Publishing...' : `Publish to ${classroom?.name || 'class'}`}
+        </motion.button>
+      </div>
+    </div>
+  );
+}
+
+export default AssignmentComposer;
@@ -0,0 +1,193 @@
+import { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Link, useParams } from 'react-router-dom';
+import { FaMagic } from 'react-icons/fa';
+import { fetchAssignment, fetchSubmissions, saveGrade, suggestGrade } from '../utils/assignments';
+
+// Teacher review of one assignment: each student's answers, with an optional
+// AI-suggested grade the teacher can edit before saving
+function AssignmentSubmissions() {
+  const { id } = useParams();
+  const [assignment, setAssignment] = useState(null);
+  const [submissions, setSubmissions] = useState([]);
+  const [drafts, setDrafts] = useState({}); // submissionId -> { score, feedback }
+  const [busy, setBusy] = useState(null); // submissionId currently suggesting or saving
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    Promise.all([fetchAssignment(id), fetchSubmissions(id)])
+      .then(([details, list]) => {
+        if (cancelled) return;
+        setAssignment(details);
+        setSubmissions(list);
+        setDrafts(
+          Object.fromEntries(list.map((s) => [s.id, { score: s.grade?.score ?? '', feedback: s.grade?.feedback ?? '' }]))
+        );
+      })
+      .catch((err) => {
+        console.error('Failed to fetch submissions:', err);
+        if (!cancelled) setError('Could not load this assignment.');
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  const updateDraft = (submissionId, changes) => {
+    setDrafts((all) => ({ ...all, [submissionId]: { ...all[submissionId], ...changes } }));
+  };
+
+  const handleSuggest = async (submission) => {
+    setBusy(submission.id);
+    setError('');
+    try {
+      const suggestion = await suggestGrade(id, submission.id);
+      updateDraft(submission.id, { score: suggestion.score, feedback: suggestion.feedback, questions: suggestion.questions });
+    } catch (err) {
+      console.error('Failed to suggest grade:', err);
+      setError('Could not get a grading suggestion.');
+    }
+    setBusy(null);
+  };
+
+  const handleSave = async (submission) => {
+    const draft = drafts[submission.id];
+    setBusy(submission.id);
+    setError('');
+    try {
+      const updated = await saveGrade(id, submission.id, {
+        score: draft.score === '' ? null : Number(draft.score),
+        feedback: draft.feedback.trim(),
+      });
+      setSubmissions((list) => list.map((s) => (s.id === updated.id ? updated : s)));
+    } catch (err) {
+      console.error('Failed to save grade:', err);
+      setError(err.response?.data?.msg || 'Could not save the grade.');
+    }
+    setBusy(null);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-r from-blue-600 via-indigo-700 to-purple-700 py-16 relative">
+      <div className="absolute inset-0 bg-radial opacity-10 z-[-1]" />
+
+      <div className="container mx-auto px-4 relative z-10 max-w-4xl">
+        {assignment && (
+          <Link to={`/teacher/classes/${assignment.classroomId}`} className="text-blue-100 hover:text-white">
+            ← Back to class
+          </Link>
+        )}
+
+        {loading ? (
+          <p className="text-white mt-6">Loading submissions...</p>
+        ) : !assignment ? (
+          <p className="text-red-600 bg-red-100 p-3 rounded-md mt-6">{error}</p>
+        ) : (
+          <>
+            <motion.div
+              initial={{ opacity: 0, y: -20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.7 }}
+              className="text-center my-8"
+            >
+              <h1 className="text-4xl font-bold text-white drop-shadow-md">{assignment.title}</h1>
+              <p className="text-blue-200 mt-2">
+                {assignment.board} · Due {new Date(assignment.dueAt).toLocaleString()} · {submissions.length} submitted
+              </p>
+            </motion.div>
+
+            {error && <p className="text-red-600 bg-red-100 p-3 rounded-md mb-4">{error}</p>}
+
+            {submissions.length === 0 ? (
+              <div className="bg-white rounded-xl p-6 shadow-lg border border-indigo-200/50">
+                <p className="text-gray-600">No submissions yet.</p>
+              </div>
+            ) : (
+              <ul className="space-y-6">
+                {submissions.map((submission) => {
+                  const draft = drafts[submission.id] || { score: '', feedback: '' };
+                  return (
+                    <li key={submission.id} className="bg-white rounded-xl p-6 shadow-lg border border-indigo-200/50">
+                      <div className="flex flex-wrap justify-between gap-2 mb-3">
+                        <p className="font-semibold text-gray-800">{submission.studentName}</p>
+                        <p className="text-sm text-gray-500">
+                          Submitted {new Date(submission.submittedAt).toLocaleString()}
+                          {new Date(submission.submittedAt) > new Date(assignment.dueAt) && (
+                            <span className="ml-2 text-red-600 font-medium">Late</span>
+                          )}
+                        </p>
+                      </div>
+
+                      <ol className="space-y-3">
+                        {assignment.questions.map((question, index) => (
+                          <li key={index} className="p-3 bg-gray-50 rounded-md border border-gray-200">
+                            <p className="font-medium text-gray-700">
+                              {index + 1}. {question.text}
+                            </p>
+                            <p className="text-gray-800 whitespace-pre-wrap mt-1">
+                              {submission.answers[index]?.answer || <span className="text-gray-400">No answer</span>}
+                            </p>
+                            {draft.questions?.[index] && (
+                              <p className="text-sm text-indigo-700 mt-1">
+                                Suggested: {draft.questions[index].score} · {draft.questions[index].feedback}
+                              </p>
+                            )}
+                          </li>
+                        ))}
+                      </ol>
+
+                      <div className="mt-4 grid grid-cols-1 md:grid-cols-4 gap-3 items-start">
+                        <label className="text-sm font-medium text-gray-700">
+                          Score
+                          <input
+                            type="number"
+                            min="0"
+                            value={draft.score}
+                            onChange={(e) => updateDraft(submission.id, { score: e.target.value })}
+                            className="mt-1 w-full p-2 border border-gray-300 rounded-md"
+                          />
+                        </label>
+                        <label className="md:col-span-3 text-sm font-medium text-gray-700">
+                          Feedback
+                          <textarea
+                            value={draft.feedback}
+                            onChange={(e) => updateDraft(submission.id, { feedback: e.target.value })}
+                            className="mt-1 w-full p-2 border border-gray-300 rounded-md h-20"
+                          />
+                        </label>
+                      </div>
+                      <div className="flex gap-2 mt-3">
+                        <button
+                          onClick={() => handleSuggest(submission)}
+                          disabled={busy === submission.id}
+                          className="px-3 py-1 rounded-md text-sm font-medium text-gray-700 bg-gray-100 border border-gray-300 hover:bg-gray-200 disabled:opacity-50"
+                        >
+                          <FaMagic className="inline mr-1" /> Suggest grade
+                        </button>
+                        <motion.button
+                          onClick={() => handleSave(submission)}
+                          disabled={busy === submission.id}
+                          className="px-4 py-1 rounded-md bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50"
+                          whileHover={{ scale: 1.05 }}
+                          whileTap={{ scale: 0.95 }}
+                        >
+                          {submission.grade ? 'Update Grade' : 'Save Grade'}
+                        </motion.button>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AssignmentSubmissions;
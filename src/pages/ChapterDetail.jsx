@@ -0,0 +1,235 @@
+import { useContext, useEffect, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { FaClipboardCheck, FaMagic, FaQuestionCircle } from 'react-icons/fa';
+import api from '../utils/api';
+import { streamQuery } from '../utils/streamQuery';
+import { findChapter, getBoard, quizPath } from '../utils/syllabus';
+import { BoardContext } from '../contexts/BoardContext';
+import useSyllabus from '../hooks/useSyllabus';
+import AnswerRenderer from '../components/AnswerRenderer';
+
+const STOPWORDS = new Set(['and', 'the', 'of', 'in', 'to', 'a', 'an', 'for', 'with', 'its', 'their', 'from']);
+
+const keywordsFor = (chapter) =>
+  new Set(
+    [chapter.name, ...chapter.topics]
+      .join(' ')
+      .toLowerCase()
+      .split(/[^a-z0-9’']+/)
+      .filter((word) => word.length > 3 && !STOPWORDS.has(word))
+  );
+
+// Past questions that share at least two keywords with the chapter, best matches first
+const relatedQuestions = (history, chapter, limit = 5) => {
+  const keywords = keywordsFor(chapter);
+  return history
+    .map((item) => ({
+      item,
+      score: item.query
+        .toLowerCase()
+        .split(/[^a-z0-9’']+/)
+        .filter((word) => keywords.has(word)).length,
+    }))
+    .filter(({ score }) => score >= 2)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ item }) => item);
+};
+
+// In-app page for one chapter: summary, formulas, AI explanations of each topic,
+// and a way into AskQuestion with the chapter as context
+function ChapterDetail() {
+  const { board: boardId, subject: subjectId, chapter: chapterId } = useParams();
+  const navigate = useNavigate();
+  const { grade, stream, medium } = useContext(BoardContext);
+  const { syllabus } = useSyllabus();
+  const [explanations, setExplanations] = useState({}); // topic -> { text, loading, error }
+  const [related, setRelated] = useState([]);
+  const controllersRef = useRef([]);
+
+  const found = findChapter(getBoard(syllabus, boardId), subjectId, chapterId, grade);
+  const foundChapter = found?.chapter;
+
+  // Stop any explanation still streaming when leaving the page
+  useEffect(() => () => controllersRef.current.forEach((controller) => controller.abort()), []);
+
+  useEffect(() => {
+    if (!foundChapter) return;
+    api
+      .get('/history')
+      .then((res) => setRelated(relatedQuestions(res.data, foundChapter)))
+      .catch((err) => console.error('Failed to fetch history:', err));
+  }, [foundChapter]);
+
+  if (!found) {
+    return (
+      <div className="min-h-screen bg-gradient-to-r from-blue-600 via-indigo-700 to-purple-700 py-16">
+        <div className="container mx-auto px-4 max-w-3xl">
+          <div className="bg-white rounded-xl p-6 shadow-lg">
+            <p className="text-gray-700 mb-3">We could not find that chapter in the {boardId} syllabus.</p>
+            <Link to="/explore" className="text-blue-600 underline">
+              Back to Explore Topics
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const { classData, subject, chapter } = found;
+  const topicContext = { board: boardId, grade: classData.grade, subject: subject.name, chapter: chapter.name };
+
+  const explainTopic = async (topic) => {
+    const controller = new AbortController();
+    controllersRef.current.push(controller);
+    setExplanations((all) => ({ ...all, [topic]: { text: '', loading: true } }));
+    try {
+      await streamQuery(
+        {
+          query: `Explain "${topic}" from the chapter "${chapter.name}" in ${subject.name}. Keep it to the level of the syllabus and include a short worked example.`,
+          board: boardId,
+          grade: classData.grade,
+          stream,
+          medium,
+          mediaType: 'text',
+          topic: topicContext,
+        },
+        {
+          signal: controller.signal,
+          onDelta: (delta) =>
+            setExplanations((all) => ({ ...all, [topic]: { ...all[topic], text: all[topic].text + delta } })),
+        }
+      );
+      setExplanations((all) => ({ ...all, [topic]: { ...all[topic], loading: false } }));
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error('Failed to explain topic:', err);
+      setExplanations((all) => ({ ...all, [topic]: { text: '', loading: false, error: err.message } }));
+    }
+  };
+
+  const askAbout = (topic) =>
+    navigate('/ask', {
+      state: {
+        prefill: topic ? `Help me understand ${topic} (${chapter.name}).` : `Help me understand the chapter ${chapter.name}.`,
+        topic: topicContext,
+      },
+    });
+
+  const panel = 'bg-white rounded-xl p-6 shadow-lg border border-indigo-200/50 mb-6';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-r from-blue-600 via-indigo-700 to-purple-700 py-16 relative">
+      <div className="absolute inset-0 bg-radial opacity-10 z-[-1]" />
+
+      <div className="container mx-auto px-4 relative z-10 max-w-4xl">
+        <Link to="/explore" className="text-blue-100 hover:text-white">
+          ← {boardId} · {subject.name}
+        </Link>
+
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.7 }}
+          className="text-center my-8"
+        >
+          <h1 className="text-4xl font-bold text-white drop-shadow-md">{chapter.name}</h1>
+          <p className="text-blue-200 mt-2">
+            {subject.name} · {boardId} Class {classData.grade}
+          </p>
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={() => askAbout()}
+            className="mt-4 px-6 py-2 rounded-lg bg-white text-blue-700 font-semibold shadow hover:bg-blue-50"
+          >
+            <FaQuestionCircle className="inline mr-2" />
+            Ask about this topic
+          </motion.button>
+          <Link
+            to={quizPath(boardId, subject.id, chapter.id)}
+            className="mt-4 ml-3 inline-block px-6 py-2 rounded-lg bg-green-600 text-white font-semibold shadow hover:bg-green-700"
+          >
+            <FaClipboardCheck className="inline mr-2" />
+            Take a quiz
+          </Link>
+        </motion.div>
+
+        {/* Summary */}
+        <section className={panel}>
+          <h2 className="text-xl font-semibold text-blue-600 mb-3">Chapter Summary</h2>
+          <p className="text-gray-800">
+            {chapter.summary || 'No summary yet. Use the explanations below or ask EduAI about this chapter.'}
+          </p>
+        </section>
+
+        {/* Key Formulas */}
+        {chapter.formulas?.length > 0 && (
+          <section className={panel}>
+            <h2 className="text-xl font-semibold text-blue-600 mb-3">Key Formulas</h2>
+            <AnswerRenderer text={chapter.formulas.map((formula) => `$$${formula}$$`).join('\n\n')} />
+          </section>
+        )}
+
+        {/* Topics */}
+        <section className={panel}>
+          <h2 className="text-xl font-semibold text-blue-600 mb-3">Topics</h2>
+          <ul className="space-y-4">
+            {chapter.topics.map((topic) => {
+              const explanation = explanations[topic];
+              return (
+                <li key={topic} className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                  <div className="flex flex-wrap justify-between items-center gap-2">
+                    <h3 className="font-semibold text-gray-800">{topic}</h3>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => explainTopic(topic)}
+                        disabled={explanation?.loading}
+                        className="px-3 py-1 rounded-md text-sm font-medium text-gray-700 bg-white border border-gray-300 hover:bg-gray-100 disabled:opacity-50"
+                      >
+                        <FaMagic className="inline mr-1" />
+                        {explanation?.loading ? 'Explaining...' : explanation?.text ? 'Explain again' : 'Explain'}
+                      </button>
+                      <button
+                        onClick={() => askAbout(topic)}
+                        className="px-3 py-1 rounded-md text-sm font-medium text-blue-700 bg-white border border-blue-200 hover:bg-blue-50"
+                      >
+                        Ask
+                      </button>
+                    </div>
+                  </div>
+                  {explanation?.text && (
+                    <div className="mt-3">
+                      <AnswerRenderer text={explanation.text} streaming={explanation.loading} />
+                    </div>
+                  )}
+                  {explanation?.error && <p className="text-sm text-red-600 mt-2">{explanation.error}</p>}
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+
+        {/* Related Questions */}
+        {related.length > 0 && (
+          <section className={panel}>
+            <h2 className="text-xl font-semibold text-blue-600 mb-3">You Asked Before</h2>
+            <ul className="space-y-2">
+              {related.map((item, index) => (
+                <li key={item._id || index} className="flex justify-between gap-3 text-sm">
+                  <span className="text-gray-800">{item.query}</span>
+                  <span className="text-gray-500 whitespace-nowrap">
+                    {new Date(item.createdAt || item.timestamp).toLocaleDateString()}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ChapterDetail;
@@ -0,0 +1,280 @@
+import { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import {
+  activityStreak,
+  fetchChildControls,
+  fetchChildHistory,
+  fetchChildUsage,
+  fetchChildren,
+  saveChildControls,
+  unlinkChild,
+  weeklyDigests,
+} from '../utils/family';
+
+const LIMIT_OPTIONS = [null, 30, 60, 90, 120, 180];
+const DEFAULT_HOURS = { start: '07:00', end: '21:00' };
+
+const formatMinutes = (minutes) =>
+  minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+
+// Read-only view of a linked child's activity, plus the controls the parent sets
+function ChildActivity() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [child, setChild] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [usage, setUsage] = useState([]);
+  const [controls, setControls] = useState({ dailyLimitMinutes: null, allowedHours: null, weeklyDigest: false });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null); // { type: 'error' | 'success', text }
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    Promise.all([fetchChildren(), fetchChildHistory(id), fetchChildUsage(id), fetchChildControls(id)])
+      .then(([children, childHistory, childUsage, childControls]) => {
+        if (cancelled) return;
+        setChild(children.find((c) => String(c.id) === id) || null);
+        setHistory(childHistory);
+        setUsage(childUsage);
+        setControls((current) => ({ ...current, ...childControls }));
+      })
+      .catch((err) => {
+        console.error('Failed to fetch child activity:', err);
+        if (!cancelled) setMessage({ type: 'error', text: 'Could not load activity for this account.' });
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      setControls(await saveChildControls(id, controls));
+      setMessage({ type: 'success', text: 'Controls saved. They apply the next time your child opens EduAI.' });
+    } catch (err) {
+      console.error('Failed to save controls:', err);
+      setMessage({ type: 'error', text: err.response?.data?.msg || 'Could not save the controls.' });
+    }
+    setSaving(false);
+  };
+
+  const handleUnlink = async () => {
+    if (!window.confirm(`Unlink ${child?.name || 'this account'}? You will no longer see their activity.`)) return;
+    try {
+      await unlinkChild(id);
+      navigate('/parent');
+    } catch (err) {
+      console.error('Failed to unlink child:', err);
+      setMessage({ type: 'error', text: 'Could not unlink the account.' });
+    }
+  };
+
+  const digests = weeklyDigests(history, usage);
+  const thisWeek = digests[0];
+  const streak = activityStreak(history);
+  const panel = 'bg-white rounded-xl p-6 shadow-lg border border-indigo-200/50 mb-6';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-r from-blue-600 via-indigo-700 to-purple-700 py-16 relative">
+      <div className="absolute inset-0 bg-radial opacity-10 z-[-1]" />
+
+      <div className="container mx-auto px-4 relative z-10 max-w-4xl">
+        <Link to="/parent" className="text-blue-100 hover:text-white">
+          ← Parent dashboard
+        </Link>
+
+        {loading ? (
+          <p className="text-white mt-6">Loading activity...</p>
+        ) : (
+          <>
+            <motion.h1
+              initial={{ opacity: 0, y: -20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.7 }}
+              className="text-4xl font-bold text-white drop-shadow-md text-center my-8"
+            >
+              {child?.name || 'Your child'}&apos;s Learning
+            </motion.h1>
+
+            {message && (
+              <p
+                className={`p-3 rounded-md mb-4 ${
+                  message.type === 'error' ? 'text-red-600 bg-red-100' : 'text-green-700 bg-green-100'
+                }`}
+              >
+                {message.text}
+              </p>
+            )}
+
+            {/* This Week */}
+            <div className={panel}>
+              <h2 className="text-xl font-semibold text-blue-600 mb-4">This Week</h2>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center">
+                {[
+                  { label: 'Questions', value: thisWeek.questions },
+                  { label: 'Time spent', value: formatMinutes(thisWeek.minutes) },
+                  { label: 'Subjects', value: Object.keys(thisWeek.subjects).length },
+                  { label: 'Day streak', value: streak },
+                ].map((stat) => (
+                  <div key={stat.label} className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                    <p className="text-2xl font-bold text-gray-800">{stat.value}</p>
+                    <p className="text-sm text-gray-600">{stat.label}</p>
+                  </div>
+                ))}
+              </div>
+              {Object.keys(thisWeek.subjects).length > 0 && (
+                <p className="text-sm text-gray-600 mt-4">
+                  Subjects covered:{' '}
+                  {Object.entries(thisWeek.subjects)
+                    .sort((a, b) => b[1] - a[1])
+                    .map(([subject, count]) => `${subject} (${count})`)
+                    .join(', ')}
+                </p>
+              )}
+            </div>
+
+            {/* Weekly Summaries */}
+            <div className={panel}>
+              <h2 className="text-xl font-semibold text-blue-600 mb-4">Weekly Summaries</h2>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="pb-2 font-medium">Week of</th>
+                    <th className="pb-2 font-medium">Questions</th>
+                    <th className="pb-2 font-medium">Time</th>
+                    <th className="pb-2 font-medium">Top subjects</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {digests.map((week) => (
+                    <tr key={week.from.toISOString()} className="border-t border-gray-200 text-gray-800">
+                      <td className="py-2">{week.from.toLocaleDateString()}</td>
+                      <td className="py-2">{week.questions}</td>
+                      <td className="py-2">{formatMinutes(week.minutes)}</td>
+                      <td className="py-2">
+                        {Object.entries(week.subjects)
+                          .sort((a, b) => b[1] - a[1])
+                          .slice(0, 3)
+                          .map(([subject]) => subject)
+                          .join(', ') || '—'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Recent Questions */}
+            <div className={panel}>
+              <h2 className="text-xl font-semibold text-blue-600 mb-4">Recent Questions</h2>
+              {history.length === 0 ? (
+                <p className="text-gray-600">No questions asked yet.</p>
+              ) : (
+                <ul className="space-y-2">
+                  {history.slice(0, 20).map((item, index) => (
+                    <li key={item._id || index} className="flex justify-between gap-3 text-sm">
+                      <span className="text-gray-800">{item.query}</span>
+                      <span className="text-gray-500 whitespace-nowrap">
+                        {item.subject && `${item.subject} · `}
+                        {new Date(item.createdAt || item.timestamp).toLocaleString()}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {/* Controls */}
+            <form onSubmit={handleSave} className={panel}>
+              <h2 className="text-xl font-semibold text-blue-600 mb-4">Controls</h2>
+              <div className="space-y-4">
+                <label className="block text-sm font-medium text-gray-700">
+                  Daily time limit
+                  <select
+                    value={controls.dailyLimitMinutes ?? ''}
+                    onChange={(e) =>
+                      setControls({ ...controls, dailyLimitMinutes: e.target.value ? Number(e.target.value) : null })
+                    }
+                    className="mt-1 block w-full md:w-64 p-2 border border-gray-300 rounded-md"
+                  >
+                    {LIMIT_OPTIONS.map((minutes) => (
+                      <option key={minutes ?? 'none'} value={minutes ?? ''}>
+                        {minutes ? formatMinutes(minutes) : 'No limit'}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+
+                <div>
+                  <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={!!controls.allowedHours}
+                      onChange={(e) => setControls({ ...controls, allowedHours: e.target.checked ? DEFAULT_HOURS : null })}
+                    />
+                    Only allow use between set hours
+                  </label>
+                  {controls.allowedHours && (
+                    <div className="flex items-center gap-2 mt-2 text-sm text-gray-700">
+                      <input
+                        type="time"
+                        value={controls.allowedHours.start}
+                        onChange={(e) =>
+                          setControls({ ...controls, allowedHours: { ...controls.allowedHours, start: e.target.value } })
+                        }
+                        className="p-2 border border-gray-300 rounded-md"
+                        aria-label="Allowed from"
+                      />
+                      to
+                      <input
+                        type="time"
+                        value={controls.allowedHours.end}
+                        onChange={(e) =>
+                          setControls({ ...controls, allowedHours: { ...controls.allowedHours, end: e.target.value } })
+                        }
+                        className="p-2 border border-gray-300 rounded-md"
+                        aria-label="Allowed until"
+                      />
+                    </div>
+                  )}
+                </div>
+
+                <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={!!controls.weeklyDigest}
+                    onChange={(e) => setControls({ ...controls, weeklyDigest: e.target.checked })}
+                  />
+                  Email me a weekly summary
+                </label>
+              </div>
+
+              <div className="flex justify-between items-center mt-6">
+                <motion.button
+                  type="submit"
+                  disabled={saving}
+                  className="px-6 py-2 rounded-md bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50"
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  {saving ? 'Saving...' : 'Save Controls'}
+                </motion.button>
+                <button type="button" onClick={handleUnlink} className="text-sm text-red-600 hover:text-red-800">
+                  Unlink account
+                </button>
+              </div>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ChildActivity;
@@ -0,0 +1,147 @@
+import { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Link, useParams } from 'react-router-dom';
+import { FaPlus } from 'react-icons/fa';
+import { fetchClassroom, fetchRoster } from '../utils/classrooms';
+import { fetchAssignments, isOverdue } from '../utils/assignments';
+
+// One class: its homework, who has joined and what each student asked lately
+function ClassroomDetail() {
+  const { id } = useParams();
+  const [classroom, setClassroom] = useState(null);
+  const [roster, setRoster] = useState([]);
+  const [assignments, setAssignments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    Promise.all([fetchClassroom(id), fetchRoster(id), fetchAssignments({ classroomId: id })])
+      .then(([details, students, homework]) => {
+        if (cancelled) return;
+        setClassroom(details);
+        setRoster(students);
+        setAssignments(homework);
+      })
+      .catch((err) => {
+        console.error('Failed to fetch classroom:', err);
+        if (!cancelled) setError('Could not load this class.');
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-r from-blue-600 via-indigo-700 to-purple-700 py-16 relative">
+      <div className="absolute inset-0 bg-radial opacity-10 z-[-1]" />
+
+      <div className="container mx-auto px-4 relative z-10 max-w-4xl">
+        <Link to="/teacher/classes" className="text-blue-100 hover:text-white">
+          ← All classes
+        </Link>
+
+        {loading ? (
+          <p className="text-white mt-6">Loading class...</p>
+        ) : error ? (
+          <p className="text-red-600 bg-red-100 p-3 rounded-md mt-6">{error}</p>
+        ) : (
+          <>
+            <motion.div
+              initial={{ opacity: 0, y: -20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.7 }}
+              className="text-center my-8"
+            >
+              <h1 className="text-4xl font-bold text-white drop-shadow-md">{classroom.name}</h1>
+              <p className="text-blue-200 mt-2">
+                {classroom.board} · Grade {classroom.grade}
+                {classroom.archived ? ' · Archived' : (
+                  <>
+                    {' '}
+                    · Join code <span className="font-mono tracking-widest text-white">{classroom.joinCode}</span>
+                  </>
+                )}
+              </p>
+            </motion.div>
+
+            <div className="bg-white rounded-xl p-6 shadow-lg border border-indigo-200/50 mb-6">
+              <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-semibold text-blue-600">Homework ({assignments.length})</h2>
+                {!classroom.archived && (
+                  <Link
+                    to={`/teacher/classes/${id}/assignments/new`}
+                    className="px-3 py-1 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                  >
+                    <FaPlus className="inline mr-1" /> New Assignment
+                  </Link>
+                )}
+              </div>
+              {assignments.length === 0 ? (
+                <p className="text-gray-600">No assignments yet.</p>
+              ) : (
+                <ul className="space-y-2">
+                  {assignments.map((assignment) => (
+                    <li key={assignment.id}>
+                      <Link
+                        to={`/teacher/assignments/${assignment.id}`}
+                        className="flex flex-wrap justify-between gap-2 p-3 bg-gray-50 rounded-md border border-gray-200 hover:bg-gray-100"
+                      >
+                        <span className="font-medium text-gray-800">{assignment.title}</span>
+                        <span className={`text-sm ${isOverdue(assignment) ? 'text-gray-500' : 'text-blue-700'}`}>
+                          {isOverdue(assignment) ? 'Closed' : 'Due'} {new Date(assignment.dueAt).toLocaleDateString()} ·{' '}
+                          {assignment.submissionCount ?? 0}/{roster.length} submitted
+                        </span>
+                      </Link>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className="bg-white rounded-xl p-6 shadow-lg border border-indigo-200/50">
+              <h2 className="text-xl font-semibold text-blue-600 mb-4">Students ({roster.length})</h2>
+              {roster.length === 0 ? (
+                <p className="text-gray-600">
+                  Nobody has joined yet. Students can enter the join code from their dashboard.
+                </p>
+              ) : (
+                <ul className="space-y-4">
+                  {roster.map((student) => (
+                    <li key={student.id} className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                      <div className="flex flex-wrap justify-between gap-2">
+                        <p className="font-semibold text-gray-800">{student.name}</p>
+                        <p className="text-sm text-gray-500">{student.email}</p>
+                      </div>
+                      <h3 className="text-sm font-medium text-gray-600 mt-2">Recent activity</h3>
+                      {student.recentActivity === null ? (
+                        <p className="text-sm text-gray-500">Activity could not be loaded.</p>
+                      ) : student.recentActivity.length === 0 ? (
+                        <p className="text-sm text-gray-500">No questions asked yet.</p>
+                      ) : (
+                        <ul className="mt-1 space-y-1">
+                          {student.recentActivity.map((item, index) => (
+                            <li key={index} className="text-sm flex justify-between gap-3">
+                              <span className="text-gray-800 truncate">{item.query}</span>
+                              <span className="text-gray-500 whitespace-nowrap">
+                                {new Date(item.timestamp).toLocaleDateString()}
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ClassroomDetail;
@@ -0,0 +1,213 @@
+import { useCallback, useContext, useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Link } from 'react-router-dom';
+import { FaArchive, FaCopy, FaUndo, FaUsers } from 'react-icons/fa';
+import { BoardContext } from '../contexts/BoardContext';
+import { GRADES } from '../config/learnerProfile';
+import useSyllabus from '../hooks/useSyllabus';
+import BoardOptions from '../components/BoardOptions';
+import { createClassroom, fetchClassrooms, setClassroomArchived } from '../utils/classrooms';
+
+function Classrooms() {
+  const { board: currentBoard } = useContext(BoardContext);
+  const { boards } = useSyllabus();
+  const [classrooms, setClassrooms] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
+  const [form, setForm] = useState({ name: '', board: currentBoard, grade: 10 });
+  const [creating, setCreating] = useState(false);
+  const [copied, setCopied] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setClassrooms(await fetchClassrooms({ includeArchived: showArchived }));
+      setError('');
+    } catch (err) {
+      console.error('Failed to fetch classrooms:', err);
+      setError('Could not load your classes. Please try again.');
+    }
+    setLoading(false);
+  }, [showArchived]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (form.name.trim().length < 2) {
+      setError('Give the class a name of at least 2 characters');
+      return;
+    }
+    setCreating(true);
+    try {
+      const created = await createClassroom({ ...form, name: form.name.trim() });
+      setClassrooms((list) => [created, ...list]);
+      setForm((f) => ({ ...f, name: '' }));
+      setError('');
+    } catch (err) {
+      console.error('Failed to create classroom:', err);
+      setError(err.response?.data?.msg || 'Could not create the class.');
+    }
+    setCreating(false);
+  };
+
+  const toggleArchived = async (classroom) => {
+    try {
+      const updated = await setClassroomArchived(classroom.id, !classroom.archived);
+      setClassrooms((list) =>
+        showArchived ? list.map((c) => (c.id === updated.id ? updated : c)) : list.filter((c) => c.id !== updated.id)
+      );
+    } catch (err) {
+      console.error('Failed to update classroom:', err);
+      setError('Could not update the class.');
+    }
+  };
+
+  const copyCode = (code) => {
+    navigator.clipboard.writeText(code);
+    setCopied(code);
+    setTimeout(() => setCopied(null), 2000);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-r from-blue-600 via-indigo-700 to-purple-700 py-16 relative">
+      <div className="absolute inset-0 bg-radial opacity-10 z-[-1]" />
+
+      <div className="container mx-auto px-4 relative z-10 max-w-4xl">
+        <motion.h1
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.7 }}
+          className="text-4xl font-bold text-white drop-shadow-md text-center mb-8"
+        >
+          My Classes
+        </motion.h1>
+
+        {/* Create Class */}
+        <motion.form
+          onSubmit={handleCreate}
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+          className="bg-white rounded-xl p-6 shadow-lg border border-indigo-200/50 mb-6"
+        >
+          <h2 className="text-xl font-semibold text-blue-600 mb-4">Create a Class</h2>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="e.g. 10-B Science"
+              className="md:col-span-2 p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-400"
+              aria-label="Class name"
+            />
+            <select
+              value={form.board}
+              onChange={(e) => setForm({ ...form, board: e.target.value })}
+              className="p-3 border border-gray-300 rounded-md"
+              aria-label="Board"
+            >
+              <BoardOptions boards={boards} />
+            </select>
+            <select
+              value={form.grade}
+              onChange={(e) => setForm({ ...form, grade: Number(e.target.value) })}
+              className="p-3 border border-gray-300 rounded-md"
+              aria-label="Grade"
+            >
+              {GRADES.map((g) => (
+                <option key={g} value={g}>
+                  Grade {g}
+                </option>
+              ))}
+            </select>
+          </div>
+          <motion.button
+            type="submit"
+            disabled={creating}
+            className="mt-4 px-6 py-2 rounded-md bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            {creating ? 'Creating...' : 'Create Class'}
+          </motion.button>
+        </motion.form>
+
+        {error && <p className="text-red-600 bg-red-100 p-3 rounded-md mb-4">{error}</p>}
+
+        {/* Class List */}
+        <div className="bg-white rounded-xl p-6 shadow-lg border border-indigo-200/50">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-semibold text-blue-600">Classes</h2>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />
+              Show archived
+            </label>
+          </div>
+          {loading ? (
+            <p className="text-gray-500">Loading classes...</p>
+          ) : classrooms.length === 0 ? (
+            <p className="text-gray-600">No classes yet. Create one above and share its join code with your students.</p>
+          ) : (
+            <ul className="space-y-3">
+              {classrooms.map((classroom) => (
+                <li
+                  key={classroom.id}
+                  className={`p-4 rounded-lg border flex flex-wrap items-center justify-between gap-3 ${
+                    classroom.archived ? 'bg-gray-100 border-gray-200 text-gray-500' : 'bg-gray-50 border-gray-200'
+                  }`}
+                >
+                  <div>
+                    <p className="font-semibold text-gray-800">
+                      {classroom.name} {classroom.archived && <span className="text-xs uppercase ml-1">Archived</span>}
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      {classroom.board} · Grade {classroom.grade} · {classroom.studentCount ?? 0} students
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {!classroom.archived && (
+                      <button
+                        onClick={() => copyCode(classroom.joinCode)}
+                        className="px-3 py-1 rounded-md font-mono tracking-widest bg-blue-50 text-blue-700 border border-blue-200 hover:bg-blue-100"
+                        aria-label={`Copy join code ${classroom.joinCode}`}
+                      >
+                        {classroom.joinCode} <FaCopy className="inline ml-1" />
+                        {copied === classroom.joinCode && <span className="ml-1 text-xs font-sans">Copied</span>}
+                      </button>
+                    )}
+                    <Link
+                      to={`/teacher/classes/${classroom.id}`}
+                      className="px-3 py-1 rounded-md text-sm font-medium text-gray-700 bg-white border border-gray-300 hover:bg-gray-100"
+                    >
+                      <FaUsers className="inline mr-1" /> Roster
+                    </Link>
+                    <button
+                      onClick={() => toggleArchived(classroom)}
+                      className="px-3 py-1 rounded-md text-sm font-medium text-gray-700 bg-white border border-gray-300 hover:bg-gray-100"
+                    >
+                      {classroom.archived ? (
+                        <>
+                          <FaUndo className="inline mr-1" /> Restore
+                        </>
+                      ) : (
+                        <>
+                          <FaArchive className="inline mr-1" /> Archive
+                        </>
+                      )}
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Classrooms;
@@ -1,136 +1,28 @@
 import { useContext, useState, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
+import { Link } from 'react-router-dom';
 import { BoardContext } from '../contexts/BoardContext';
+import useSyllabus from '../hooks/useSyllabus';
+import { chapterPath, getBoard, getClass, quizPath } from '../utils/syllabus';
 
 // Debug render
 console.log('ExploreTopics.jsx imported');
 
-// Inline topic data with online images and real website links
-const topicData = {
-  CBSE: [
-    {
-      name: 'Physics',
-      description: 'Master mechanics, electromagnetism, and optics with interactive simulations.',
-      image: 'https://images.unsplash.com/photo-1635073048028-6772b064ad66?ixlib=rb-4.0.3&auto=format&fit=crop&w=300&q=80',
-      link: 'https://www.ncert.nic.in/textbook.php',
-      subtopics: ['Newton’s Laws', 'Electromagnetism', 'Optics'],
-      quizLink: 'https://www.learncbse.in/cbse-class-12-physics-mcq/',
-      simulationLink: 'https://phet.colorado.edu/en/simulations/category/physics',
-    },
-    
-    {
-      name: 'Biology',
-      description: 'Explore cells, genetics, and ecosystems with engaging visuals.',
-      image: 'https://images.unsplash.com/photo-1628592102757-7bd522d74e0b?ixlib=rb-4.0.3&auto=format&fit=crop&w=300&q=80',
-      link: 'https://www.khanacademy.org/science/biology',
-      subtopics: ['Genetics', 'Human Anatomy', 'Ecology'],
-      quizLink: 'https://www.learncbse.in/cbse-class-12-biology-mcq/',
-      simulationLink: 'https://www.olabs.edu.in/?sub=79&brch=17',
-    },
-    {
-      name: 'Mathematics',
-      description: 'Conquer algebra, calculus, and geometry with step-by-step guides.',
-      image: 'https://images.unsplash.com/photo-1509228622682-30c0f0e3e6a0?ixlib=rb-4.0.3&auto=format&fit=crop&w=300&q=80',
-      link: 'https://byjus.com/maths/',
-      subtopics: ['Algebra', 'Calculus', 'Trigonometry'],
-      quizLink: 'https://www.learncbse.in/cbse-class-12-maths-mcq/',
-      simulationLink: 'https://phet.colorado.edu/en/simulations/category/math',
-    },
-  ],
-  ICSE: [
-    {
-      name: 'Chemistry',
-      description: 'Learn chemical reactions and lab techniques with interactive labs.',
-      image: 'https://images.unsplash.com/photo-1560472354-b33ff0c44a43?ixlib=rb-4.0.3&auto=format&fit=crop&w=300&q=80',
-      link: 'https://www.cisce.org/publication-detail.aspx?Id=3',
-      subtopics: ['Organic Chemistry', 'Inorganic Chemistry', 'Physical Chemistry'],
-      quizLink: 'https://www.knowledgeboat.com/learn/icse-class-10-chemistry',
-      simulationLink: 'https://www.olabs.edu.in/?sub=73&brch=8',
-    },
-    {
-      name: 'History',
-      description: 'Uncover ancient civilizations and modern history with rich narratives.',
-      image: 'https://images.unsplash.com/photo-1600585154340-be6161a56a0c?ixlib=rb-4.0.3&auto=format&fit=crop&w=300&q=80',
-      link: 'https://www.khanacademy.org/humanities/world-history',
-      subtopics: ['Ancient India', 'World Wars', 'Modern History'],
-      quizLink: 'https://www.knowledgeboat.com/learn/icse-class-10-history-civics',
-      simulationLink: null,
-    },
-    {
-      name: 'Geography',
-      description: 'Study physical and human geography with maps and case studies.',
-      image: 'https://images.unsplash.com/photo-1521295123332-7c66cb995d77?ixlib=rb-4.0.3&auto=format&fit=crop&w=300&q=80',
-      link: 'https://www.nationalgeographic.org/education/',
-      subtopics: ['Topography', 'Climate', 'Population'],
-      quizLink: 'https://www.knowledgeboat.com/learn/icse-class-10-geography',
-      simulationLink: null,
-    },
-  ],
-  'State Board': [
-    {
-      name: 'Science',
-      description: 'Discover physics, chemistry, and biology tailored to state syllabi.',
-      image: 'https://images.unsplash.com/photo-1507413245164-6160d8298b31?ixlib=rb-4.0.3&auto=format&fit=crop&w=300&q=80',
-      link: 'https://www.tn.gov.in/school-education',
-      subtopics: ['Mechanics', 'Chemical Reactions', 'Cell Biology'],
-      quizLink: 'https://www.selfstudys.com/books/tamil-nadu/state-books',
-      simulationLink: 'https://phet.colorado.edu/en/simulations/category/new',
-    },
-    {
-      name: 'Social Studies',
-      description: 'Study history, civics, and geography with a regional focus.',
-      image: 'https://images.unsplash.com/photo-1507525428034-b723cf961d3e?ixlib=rb-4.0.3&auto=format&fit=crop&w=300&q=80',
-      link: 'https://www.education.gov.in/en',
-      subtopics: ['Indian History', 'Civics', 'Regional Geography'],
-      quizLink: 'https://www.selfstudys.com/books/tamil-nadu/state-books',
-      simulationLink: null,
-    },
-    {
-      name: 'English',
-      description: 'Enhance language skills with literature and grammar lessons.',
-      image: 'https://images.unsplash.com/photo-1456513080510-7bf3a84b82f8?ixlib=rb-4.0.3&auto=format&fit=crop&w=300&q=80',
-      link: 'https://www.britishcouncil.in/english',
-      subtopics: ['Prose', 'Poetry', 'Grammar'],
-      quizLink: 'https://www.selfstudys.com/books/tamil-nadu/state-books',
-      simulationLink: null,
-    },
-  ],
-};
-
-// Study tips for each board
-const studyTips = {
-  CBSE: [
-    'Focus on NCERT textbooks for core concepts.',
-    'Practice previous years’ papers from cbse.gov.in.',
-    'Use PhET simulations for hands-on learning.',
-  ],
-  ICSE: [
-    'Emphasize project work and practicals.',
-    'Refer to Selina textbooks for in-depth study.',
-    'Practice analytical questions from KnowledgeBoat.',
-  ],
-  'State Board': [
-    'Study state-specific textbooks thoroughly.',
-    'Use SelfStudys for regional question banks.',
-    'Watch Khan Academy videos for clarity.',
-  ],
-};
-
 function ExploreTopics() {
-  const { board } = useContext(BoardContext);
+  const { board, grade } = useContext(BoardContext);
+  const { syllabus, boards } = useSyllabus();
   const [filter, setFilter] = useState('All');
-  const [filteredTopics, setFilteredTopics] = useState(topicData[board]);
-  const [featuredTopic, setFeaturedTopic] = useState(topicData[board][0]);
 
-  // Update filtered topics and featured topic
+  // Subjects for the learner's board and class, or the nearest class the syllabus covers
+  const boardData = getBoard(syllabus, board) || boards[0];
+  const classData = getClass(boardData, grade);
+  const subjects = classData.subjects;
+  const filteredTopics = filter === 'All' ? subjects : subjects.filter((topic) => topic.category === filter);
+  const featuredTopic = subjects[0];
+
   useEffect(() => {
-    console.log('ExploreTopics rendered:', { board, filter });
-    const topics = filter === 'All'
-      ? topicData[board]
-      : topicData[board].filter((topic) => topic.name.toLowerCase().includes(filter.toLowerCase()));
-    setFilteredTopics(topics);
-    setFeaturedTopic(topicData[board][0]);
-  }, [board, filter]);
+    console.log('ExploreTopics rendered:', { board, grade, filter });
+  }, [board, grade, filter]);
 
   // Handle filter change
   const handleFilter = useCallback((category) => {
@@ -145,7 +37,7 @@ function ExploreTopics() {
   }, []);
 
   const filters = ['All', 'Science', 'Math', 'Humanities', 'Language'];
-  const otherBoards = Object.keys(topicData).filter((b) => b !== board);
+  const otherBoards = boards.filter((b) => b.id !== boardData.id);
 
   return (
     <div className="min-h-screen bg-gradient-to-r from-blue-600 via-indigo-700 to-purple-700 py-16 relative">
@@ -197,7 +89,7 @@ function ExploreTopics() {
               transition={{ duration: 0.7, delay: 0.3 }}
               className="text-blue-200 mt-2 text-lg"
             >
-              Discover Knowledge with {board}’s Spellbinding Subjects!
+              Discover Knowledge with {boardData.name}’s Spellbinding Subjects!
             </motion.p>
           </motion.div>
 
@@ -223,8 +115,12 @@ function ExploreTopics() {
               <div className="flex-1">
                 <p className="text-gray-800 mb-4">{featuredTopic.description}</p>
                 <ul className="list-disc list-inside text-gray-600 mb-4">
-                  {featuredTopic.subtopics.map((subtopic, index) => (
-                    <li key={index}>{subtopic}</li>
+                  {featuredTopic.chapters.map((chapter) => (
+                    <li key={chapter.id}>
+                      <Link to={chapterPath(boardData.id, featuredTopic.id, chapter.id)} className="hover:text-blue-600 hover:underline">
+                        {chapter.name}
+                      </Link>
+                    </li>
                   ))}
                 </ul>
                 <div className="flex gap-4">
@@ -238,18 +134,13 @@ function ExploreTopics() {
                   >
                     Learn More
                   </motion.button>
-                  {featuredTopic.quizLink && (
-                    <motion.button
-                      whileHover={{ scale: 1.03, boxShadow: '0 4px 12px rgba(0, 0, 0, 0.1)' }}
-                      whileTap={{ scale: 0.97 }}
-                      onClick={() => handleLinkClick(featuredTopic.quizLink)}
-                      className="px-4 py-2 bg-green-600 text-white rounded-lg font-semibold hover:bg-green-700"
-                      style={{ pointerEvents: 'auto' }}
-                      aria-label={`Take a quiz on ${featuredTopic.name}`}
-                    >
-                      Quick Quiz
-                    </motion.button>
-                  )}
+                  <Link
+                    to={quizPath(boardData.id, featuredTopic.id)}
+                    className="px-4 py-2 bg-green-600 text-white rounded-lg font-semibold hover:bg-green-700"
+                    aria-label={`Take a quiz on ${featuredTopic.name}`}
+                  >
+                    Quick Quiz
+                  </Link>
                 </div>
               </div>
             </div>
@@ -293,7 +184,14 @@ function ExploreTopics() {
             className="bg-white rounded-xl p-6 shadow-lg mb-8 border border-indigo-200/50"
             id="topics"
           >
-            <h2 className="text-2xl font-bold text-blue-600 mb-4">{board} Topics</h2>
+            <h2 className="text-2xl font-bold text-blue-600 mb-4">
+              {boardData.name} Class {classData.grade} Topics
+            </h2>
+            {!classData.exact && (
+              <p className="text-gray-600 text-sm mb-4">
+                Class {grade} is not in our syllabus yet, so these are the Class {classData.grade} subjects.
+              </p>
+            )}
             {filteredTopics.length === 0 ? (
               <p className="text-gray-600 text-center">No topics found for this filter.</p>
             ) : (
@@ -316,6 +214,15 @@ function ExploreTopics() {
                     />
                     <h3 className="text-lg font-semibold text-gray-800">{topic.name}</h3>
                     <p className="text-gray-600 text-sm mb-2">{topic.description}</p>
+                    <ul className="text-sm mb-2 space-y-1">
+                      {topic.chapters.map((chapter) => (
+                        <li key={chapter.id}>
+                          <Link to={chapterPath(boardData.id, topic.id, chapter.id)} className="text-gray-700 hover:text-blue-600 hover:underline">
+                            {chapter.name} →
+                          </Link>
+                        </li>
+                      ))}
+                    </ul>
                     <div className="flex gap-2">
                       <button
                         onClick={() => handleLinkClick(topic.link)}
@@ -324,15 +231,13 @@ function ExploreTopics() {
                       >
                         Learn More
                       </button>
-                      {topic.quizLink && (
-                        <button
-                          onClick={() => handleLinkClick(topic.quizLink)}
-                          className="text-green-600 text-sm underline"
-                          aria-label={`Take a quiz on ${topic.name}`}
-                        >
-                          Quiz
-                        </button>
-                      )}
+                      <Link
+                        to={quizPath(boardData.id, topic.id)}
+                        className="text-green-600 text-sm underline"
+                        aria-label={`Take a quiz on ${topic.name}`}
+                      >
+                        Quiz
+                      </Link>
                       {topic.simulationLink && (
                         <button
                           onClick={() => handleLinkClick(topic.simulationLink)}
@@ -359,39 +264,19 @@ function ExploreTopics() {
           >
             <h2 className="text-2xl font-bold text-blue-600 mb-4">Learning Resources</h2>
             <ul className="space-y-4">
-              <li>
-                <h3 className="text-lg font-semibold text-gray-800">Khan Academy Videos</h3>
-                <p className="text-gray-600">Watch engaging video lessons on {board} subjects.</p>
-                <button
-                  onClick={() => handleLinkClick('https://www.khanacademy.org')}
-                  className="text-blue-600 underline"
-                  aria-label="Visit Khan Academy"
-                >
-                  Explore Videos
-                </button>
-              </li>
-              <li>
-                <h3 className="text-lg font-semibold text-gray-800">NCERT Textbooks</h3>
-                <p className="text-gray-600">Access free PDF textbooks for {board} syllabus.</p>
-                <button
-                  onClick={() => handleLinkClick('https://www.ncert.nic.in/textbook.php')}
-                  className="text-blue-600 underline"
-                  aria-label="Download NCERT Textbooks"
-                >
-                  Download PDFs
-                </button>
-              </li>
-              <li>
-                <h3 className="text-lg font-semibold text-gray-800">BYJU’S Study Material</h3>
-                <p className="text-gray-600">Explore detailed notes and practice questions.</p>
-                <button
-                  onClick={() => handleLinkClick('https://byjus.com/')}
-                  className="text-blue-600 underline"
-                  aria-label="Visit BYJU’S"
-                >
-                  Study Now
-                </button>
-              </li>
+              {(boardData.resources || []).map((resource) => (
+                <li key={resource.url}>
+                  <h3 className="text-lg font-semibold text-gray-800">{resource.title}</h3>
+                  {resource.description && <p className="text-gray-600">{resource.description}</p>}
+                  <button
+                    onClick={() => handleLinkClick(resource.url)}
+                    className="text-blue-600 underline"
+                    aria-label={`Visit ${resource.title}`}
+                  >
+                    Open
+                  </button>
+                </li>
+              ))}
             </ul>
           </motion.section>
 
@@ -403,9 +288,9 @@ function ExploreTopics() {
             className="bg-white rounded-xl p-6 shadow-lg mb-8 border border-indigo-200/50"
             id="study-tips"
           >
-            <h2 className="text-2xl font-bold text-blue-600 mb-4">Study Tips for {board}</h2>
+            <h2 className="text-2xl font-bold text-blue-600 mb-4">Study Tips for {boardData.name}</h2>
             <ul className="list-disc list-inside text-gray-600 space-y-2">
-              {studyTips[board].map((tip, index) => (
+              {(boardData.studyTips || []).map((tip, index) => (
                 <li key={index}>{tip}</li>
               ))}
             </ul>
@@ -483,23 +368,23 @@ function ExploreTopics() {
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               {otherBoards.map((otherBoard) => (
                 <motion.div
-                  key={otherBoard}
+                  key={otherBoard.id}
                   initial={{ opacity: 0, y: 20 }}
                   animate={{ opacity: 1, y: 0 }}
                   transition={{ duration: 0.5, delay: 1.2 }}
                   whileHover={{ scale: 1.03, boxShadow: '0 4px 12px rgba(0, 0, 0, 0.1)' }}
                   className="p-4 bg-gray-50 rounded-lg border border-gray-200"
                   style={{ pointerEvents: 'auto' }}
-                  aria-label={`Explore ${otherBoard} topics`}
+                  aria-label={`Explore ${otherBoard.name} topics`}
                 >
-                  <h3 className="text-lg font-semibold text-gray-800">{otherBoard}</h3>
+                  <h3 className="text-lg font-semibold text-gray-800">{otherBoard.name}</h3>
                   <p className="text-gray-600 text-sm mb-2">
-                    Discover {otherBoard}’s exciting subjects and resources.
+                    Discover {otherBoard.name}’s exciting subjects and resources.
                   </p>
                   <button
-                    onClick={() => handleLinkClick(`https://www.${otherBoard.toLowerCase() === 'cbse' ? 'cbse.gov.in' : otherBoard.toLowerCase() === 'icse' ? 'cisce.org' : 'tn.gov.in/school-education'}`)}
+                    onClick={() => handleLinkClick(otherBoard.website)}
                     className="text-blue-600 text-sm underline"
-                    aria-label={`Learn more about ${otherBoard}`}
+                    aria-label={`Learn more about ${otherBoard.name}`}
                   >
                     Learn More
                   </button>
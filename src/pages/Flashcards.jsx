@@ -0,0 +1,186 @@
+import { useContext, useState } from 'react';
+import { motion } from 'framer-motion';
+import { FaSync, FaTrash } from 'react-icons/fa';
+import { BoardContext } from '../contexts/BoardContext';
+import useFlashcards from '../hooks/useFlashcards';
+import { REVIEW_GRADES } from '../utils/flashcards';
+import AnswerRenderer from '../components/AnswerRenderer';
+
+// Today's review queue plus the whole deck. Everything works from
+// localStorage; the sync status shows what has not reached the server yet.
+function Flashcards() {
+  const { board } = useContext(BoardContext);
+  const { cards, due, pending, syncing, add, review, remove, sync } = useFlashcards();
+  const [revealed, setRevealed] = useState(false);
+  const [reviewedToday, setReviewedToday] = useState(0);
+  const [front, setFront] = useState('');
+  const [back, setBack] = useState('');
+  const [search, setSearch] = useState('');
+
+  const card = due[0];
+
+  const grade = (quality) => {
+    review(card.id, quality);
+    setRevealed(false);
+    setReviewedToday((count) => count + 1);
+  };
+
+  const addManual = (e) => {
+    e.preventDefault();
+    if (!front.trim() || !back.trim()) return;
+    add([{ front, back, board }]);
+    setFront('');
+    setBack('');
+  };
+
+  const matching = cards.filter((item) =>
+    `${item.front} ${item.back}`.toLowerCase().includes(search.toLowerCase())
+  );
+
+  const panel = 'bg-white rounded-xl p-6 shadow-lg border border-indigo-200/50 mb-6';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-r from-blue-600 via-indigo-700 to-purple-700 py-16 relative">
+      <div className="absolute inset-0 bg-radial opacity-10 z-[-1]" />
+
+      <div className="container mx-auto px-4 relative z-10 max-w-3xl">
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.7 }}
+          className="text-center mb-8"
+        >
+          <h1 className="text-4xl font-bold text-white drop-shadow-md">Flashcards</h1>
+          <p className="text-blue-200 mt-2">
+            {due.length} due today · {cards.length} in your deck
+          </p>
+          <p className="text-blue-100 text-sm mt-1">
+            {typeof navigator !== 'undefined' && navigator.onLine === false
+              ? 'Offline. Reviews are saved on this device.'
+              : pending > 0
+                ? `${pending} change${pending > 1 ? 's' : ''} waiting to sync`
+                : 'All changes synced'}
+            <button onClick={sync} disabled={syncing} className="ml-2 underline disabled:opacity-50">
+              <FaSync className={`inline mr-1 ${syncing ? 'animate-spin' : ''}`} />
+              Sync now
+            </button>
+          </p>
+        </motion.div>
+
+        {/* Review */}
+        <section className={panel}>
+          {card ? (
+            <>
+              <p className="text-sm text-gray-500 mb-2">
+                Card {reviewedToday + 1} of {reviewedToday + due.length}
+              </p>
+              <div className="text-lg text-gray-800 mb-4">
+                <AnswerRenderer text={card.front} />
+              </div>
+              {revealed ? (
+                <>
+                  <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 mb-4">
+                    <AnswerRenderer text={card.back} />
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    {REVIEW_GRADES.map(({ label, quality, className }) => (
+                      <motion.button
+                        key={label}
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        onClick={() => grade(quality)}
+                        className={`px-4 py-2 rounded-lg text-white font-semibold ${className}`}
+                      >
+                        {label}
+                      </motion.button>
+                    ))}
+                  </div>
+                </>
+              ) : (
+                <motion.button
+                  whileHover={{ scale: 1.03 }}
+                  whileTap={{ scale: 0.97 }}
+                  onClick={() => setRevealed(true)}
+                  className="px-6 py-2 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700"
+                >
+                  Show Answer
+                </motion.button>
+              )}
+            </>
+          ) : (
+            <p className="text-gray-700 text-center">
+              {cards.length === 0
+                ? 'Your deck is empty. Save answers as flashcards from Ask Question or your history.'
+                : 'Nothing left to review today. Come back tomorrow!'}
+            </p>
+          )}
+        </section>
+
+        {/* Add a card */}
+        <section className={panel}>
+          <h2 className="text-xl font-semibold text-blue-600 mb-3">Add a Card</h2>
+          <form onSubmit={addManual} className="space-y-2">
+            <input
+              type="text"
+              value={front}
+              onChange={(e) => setFront(e.target.value)}
+              placeholder="Front: a question or term"
+              className="w-full p-3 border border-gray-300 rounded-md"
+            />
+            <textarea
+              value={back}
+              onChange={(e) => setBack(e.target.value)}
+              placeholder="Back: the answer"
+              rows={3}
+              className="w-full p-3 border border-gray-300 rounded-md"
+            />
+            <button
+              type="submit"
+              disabled={!front.trim() || !back.trim()}
+              className="px-4 py-2 rounded-lg bg-green-600 text-white font-semibold hover:bg-green-700 disabled:opacity-50"
+            >
+              Add Card
+            </button>
+          </form>
+        </section>
+
+        {/* Deck */}
+        {cards.length > 0 && (
+          <section className={panel}>
+            <h2 className="text-xl font-semibold text-blue-600 mb-3">Your Deck</h2>
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search cards..."
+              className="w-full p-2 mb-3 border border-gray-300 rounded-lg"
+              aria-label="Search flashcards"
+            />
+            <ul className="space-y-2 max-h-[500px] overflow-y-auto">
+              {matching.map((item) => (
+                <li key={item.id} className="flex justify-between items-start gap-3 p-3 bg-gray-50 rounded-lg border border-gray-200">
+                  <div className="min-w-0">
+                    <p className="text-gray-800 font-medium truncate">{item.front}</p>
+                    <p className="text-sm text-gray-500">
+                      Next review {new Date(item.dueAt).toLocaleDateString()}
+                      {item.board && ` · ${item.board}`}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => remove(item.id)}
+                    className="text-gray-400 hover:text-red-600"
+                    aria-label={`Delete card: ${item.front}`}
+                  >
+                    <FaTrash />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Flashcards;
@@ -3,6 +3,7 @@ import { motion, useAnimation } from 'framer-motion';
 import { useEffect, useState, useCallback, useContext } from 'react';
 import { useInView } from 'react-intersection-observer';
 import { BoardContext } from '../contexts/BoardContext';
+import useSyllabus from '../hooks/useSyllabus';
 
 // Debug render
 console.log('Home.jsx imported');
@@ -10,6 +11,7 @@ console.log('Home.jsx imported');
 function Home() {
   const navigate = useNavigate();
   const { board, setBoard } = useContext(BoardContext);
+  const { boards } = useSyllabus();
   const [testimonialIndex, setTestimonialIndex] = useState(0);
 
 
@@ -51,12 +53,10 @@ function Home() {
     setTestimonialIndex((prev) => (prev - 1 + testimonials.length) % testimonials.length);
   }, []);
 
-  const boards = ['CBSE', 'ICSE', 'State Board'];
-
   const features = [
     {
       title: 'Personalized Learning',
-      desc: 'Tailored explanations for CBSE, ICSE, and State Board syllabi.',
+      desc: 'Tailored explanations for CBSE, ICSE, state board, IB and Cambridge syllabi.',
       icon: '📚',
     },
     {
@@ -171,7 +171,7 @@ function Home() {
             animate={{ y: 0, opacity: 1 }}
             transition={{ delay: 0.4, duration: 0.6 }}
           >
-            Your AI-powered tutor for CBSE, ICSE, and State Board success.
+            Your AI-powered tutor for CBSE, ICSE, state board, IB and Cambridge success.
           </motion.p>
           <motion.div
             className="flex justify-center gap-4"
@@ -230,18 +230,18 @@ function Home() {
           >
             {boards.map((b) => (
               <motion.button
-                key={b}
-                onClick={() => handleBoardChange(b)}
+                key={b.id}
+                onClick={() => handleBoardChange(b.id)}
                 className={`px-6 py-3 rounded-lg font-semibold ${
-                  board === b ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-800'
+                  board === b.id ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-800'
                 }`}
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
                 variants={itemVariants}
-                aria-label={`Select ${b} board`}
+                aria-label={`Select ${b.name} board`}
                 style={{ pointerEvents: 'auto' }}
               >
-                {b}
+                {b.name}
               </motion.button>
             ))}
           </motion.div>
@@ -1,12 +1,18 @@
 import { useState, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
+import { useNavigate } from 'react-router-dom';
 import api from '../utils/api';
+import { fetchThreads } from '../utils/threads';
+import { fetchQuizResults } from '../utils/quiz';
 
 // Debug render
 console.log('LearningHistory.jsx imported');
 
 function LearningHistory() {
+  const navigate = useNavigate();
   const [history, setHistory] = useState([]);
+  const [threads, setThreads] = useState([]);
+  const [quizResults, setQuizResults] = useState([]);
   const [loading, setLoading] = useState(true);
 
 
@@ -20,6 +26,8 @@ function LearningHistory() {
     } catch (err) {
       console.error('Failed to fetch history:', err);
     }
+    setThreads(await fetchThreads());
+    setQuizResults(await fetchQuizResults());
     setLoading(false);
   }, []);
 
@@ -52,6 +60,24 @@ function LearningHistory() {
                   Recent Queries
                 </a>
               </li>
+              <li>
+                <a
+                  href="#conversations"
+                  className="text-gray-800 hover:text-blue-600"
+                  style={{ pointerEvents: 'auto' }}
+                >
+                  Conversations
+                </a>
+              </li>
+              <li>
+                <a
+                  href="#quizzes"
+                  className="text-gray-800 hover:text-blue-600"
+                  style={{ pointerEvents: 'auto' }}
+                >
+                  Quiz Results
+                </a>
+              </li>
             </ul>
           </div>
         </motion.aside>
@@ -121,6 +147,82 @@ function LearningHistory() {
               </div>
             )}
           </motion.div>
+
+          {/* Conversations Card */}
+          {threads.length > 0 && (
+            <motion.div
+              initial={{ opacity: 0, scale: 0.9 }}
+              animate={{ opacity: 1, scale: 1 }}
+              transition={{ duration: 0.7, delay: 0.3 }}
+              className="bg-white rounded-xl p-6 shadow-lg border border-indigo-200/50 mt-8"
+              id="conversations"
+            >
+              <h2 className="text-2xl font-bold text-blue-600 mb-4">Conversations</h2>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {threads.map((thread, index) => (
+                  <motion.button
+                    key={thread.id}
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ duration: 0.5, delay: 0.3 + index * 0.1 }}
+                    whileHover={{ scale: 1.03, boxShadow: '0 4px 12px rgba(0, 0, 0, 0.1)' }}
+                    onClick={() => navigate(`/ask?thread=${thread.id}`)}
+                    className="p-4 bg-gray-50 rounded-lg border border-gray-200 text-left"
+                    style={{ pointerEvents: 'auto' }}
+                    aria-label={`Reopen conversation: ${thread.title}`}
+                  >
+                    <div className="flex items-start gap-3">
+                      <span className="text-blue-600 text-lg">💬</span>
+                      <div>
+                        <p className="font-semibold text-gray-800">{thread.title}</p>
+                        <p className="text-sm text-gray-600">
+                          {Math.ceil(thread.turns.length / 2)} question{thread.turns.length > 2 ? 's' : ''} ·{' '}
+                          {thread.board} · {new Date(thread.updatedAt).toLocaleString()}
+                        </p>
+                      </div>
+                    </div>
+                  </motion.button>
+                ))}
+              </div>
+            </motion.div>
+          )}
+
+          {/* Quiz Results Card */}
+          {quizResults.length > 0 && (
+            <motion.div
+              initial={{ opacity: 0, scale: 0.9 }}
+              animate={{ opacity: 1, scale: 1 }}
+              transition={{ duration: 0.7, delay: 0.4 }}
+              className="bg-white rounded-xl p-6 shadow-lg border border-indigo-200/50 mt-8"
+              id="quizzes"
+            >
+              <h2 className="text-2xl font-bold text-blue-600 mb-4">Quiz Results</h2>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {quizResults.map((result, index) => (
+                  <motion.div
+                    key={result.id || index}
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ duration: 0.5, delay: 0.3 + index * 0.1 }}
+                    className="p-4 bg-gray-50 rounded-lg border border-gray-200"
+                    aria-label={`Quiz on ${result.chapter || result.subject}`}
+                  >
+                    <div className="flex items-start gap-3">
+                      <span className="text-blue-600 text-lg">📝</span>
+                      <div>
+                        <p className="font-semibold text-gray-800">
+                          {result.chapter || result.subject} · {result.correct}/{result.total} ({result.percent}%)
+                        </p>
+                        <p className="text-sm text-gray-600">
+                          {result.subject} · {result.board} · {new Date(result.createdAt).toLocaleString()}
+                        </p>
+                      </div>
+                    </div>
+                  </motion.div>
+                ))}
+              </div>
+            </motion.div>
+          )}
         </div>
       </div>
     </div>
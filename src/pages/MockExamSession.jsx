@@ -0,0 +1,350 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Link, useParams } from 'react-router-dom';
+import { FaClock, FaCompress, FaExpand } from 'react-icons/fa';
+import useCountdown from '../hooks/useCountdown';
+import { formatDuration } from '../utils/quiz';
+import {
+  autosaveAnswers,
+  beginSession,
+  clearSession,
+  loadSession,
+  resumeSession,
+  saveSession,
+  submitPaper,
+} from '../utils/exams';
+import AnswerRenderer from '../components/AnswerRenderer';
+
+const AUTOSAVE_INTERVAL_MS = 30 * 1000;
+
+// Fullscreen can be refused (an iframe without allowfullscreen, browser policy);
+// the paper then simply stays in the window
+const enterFullscreen = (element) =>
+  element?.requestFullscreen?.().catch((err) => console.error('Fullscreen was refused:', err));
+
+const exitFullscreen = () => {
+  if (!document.fullscreenElement) return;
+  document.exitFullscreen().catch((err) => console.error('Failed to exit fullscreen:', err));
+};
+
+// Writing one mock exam paper: instructions, then the paper fullscreen against
+// the clock with answers autosaved, then the AI's marks and feedback per question
+function MockExamSession() {
+  const { id } = useParams();
+  const [session, setSession] = useState(() => loadSession(id));
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [fullscreen, setFullscreen] = useState(false);
+  const [savedAt, setSavedAt] = useState(null);
+  const containerRef = useRef(null);
+  const unsavedRef = useRef(false); // answers changed since the last server autosave
+  const autoSubmittedRef = useRef(false);
+
+  const writing = !!session?.deadline && !session.result;
+  const remaining = useCountdown(writing ? session.deadline : null);
+
+  // Not started on this device, or already marked: ask the server
+  useEffect(() => {
+    if (session) return;
+    resumeSession(id)
+      .then(setSession)
+      .catch((err) => {
+        console.error('Failed to load exam paper:', err);
+        setError('Could not load this paper.');
+      });
+  }, [id, session]);
+
+  // Every change is kept locally at once; the server copy catches up periodically
+  useEffect(() => {
+    if (session && !session.result) saveSession(session);
+  }, [session]);
+
+  useEffect(() => {
+    if (!writing) return undefined;
+    const timer = setInterval(() => {
+      if (!unsavedRef.current) return;
+      unsavedRef.current = false;
+      autosaveAnswers(id, loadSession(id)?.answers || {})
+        .then(() => setSavedAt(new Date()))
+        .catch((err) => {
+          // Still only on this device; try again on the next tick
+          console.error('Failed to autosave exam answers:', err);
+          unsavedRef.current = true;
+        });
+    }, AUTOSAVE_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [id, writing]);
+
+  useEffect(() => {
+    const onChange = () => setFullscreen(document.fullscreenElement === containerRef.current);
+    document.addEventListener('fullscreenchange', onChange);
+    return () => document.removeEventListener('fullscreenchange', onChange);
+  }, []);
+
+  // Closing the tab mid-exam asks first; the answers are saved either way
+  useEffect(() => {
+    if (!writing) return undefined;
+    const onBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', onBeforeUnload);
+    return () => window.removeEventListener('beforeunload', onBeforeUnload);
+  }, [writing]);
+
+  const submit = useCallback(async () => {
+    setSubmitting(true);
+    setError('');
+    exitFullscreen();
+    try {
+      const result = await submitPaper(id, session.answers);
+      clearSession(id);
+      setSession((current) => ({ ...current, result }));
+    } catch (err) {
+      console.error('Failed to submit exam paper:', err);
+      setError('Your answers are saved, but marking failed. Please try submitting again.');
+    }
+    setSubmitting(false);
+  }, [id, session]);
+
+  // Time is up: hand the paper in once, as it stands
+  useEffect(() => {
+    if (writing && remaining === 0 && !autoSubmittedRef.current) {
+      autoSubmittedRef.current = true;
+      submit();
+    }
+  }, [writing, remaining, submit]);
+
+  const start = () => {
+    enterFullscreen(containerRef.current);
+    setSession(beginSession(session));
+  };
+
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) exitFullscreen();
+    else enterFullscreen(containerRef.current);
+  };
+
+  const answer = (questionId, value) => {
+    unsavedRef.current = true;
+    setSession((current) => ({ ...current, answers: { ...current.answers, [questionId]: value } }));
+  };
+
+  const confirmSubmit = () => {
+    const unanswered = session.paper.sections
+      .flatMap((section) => section.questions)
+      .filter((question) => !session.answers[question.id]?.toString().trim()).length;
+    const warning = unanswered > 0 ? `You have ${unanswered} unanswered question${unanswered > 1 ? 's' : ''}. ` : '';
+    if (window.confirm(`${warning}Submit your paper for marking? You cannot change answers afterwards.`)) submit();
+  };
+
+  const panel = 'bg-white rounded-xl p-6 shadow-lg border border-indigo-200/50 mb-6';
+
+  if (!session) {
+    return (
+      <div className="min-h-screen bg-gradient-to-r from-blue-600 via-indigo-700 to-purple-700 py-16">
+        <div className="container mx-auto px-4 max-w-3xl">
+          <div className={panel}>
+            {error ? (
+              <>
+                <p className="text-gray-700 mb-3">{error}</p>
+                <Link to="/exams" className="text-blue-600 underline">
+                  Back to Mock Exams
+                </Link>
+              </>
+            ) : (
+              <p className="text-gray-700">Loading paper...</p>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const { paper, answers, result } = session;
+  const totalMarks = paper.sections.reduce((sum, section) => sum + section.questions.length * section.marks, 0);
+  const marking = new Map((result?.questions || []).map((item) => [item.id, item]));
+  const locked = !writing || remaining === 0;
+  // Questions are numbered straight through the paper, not per section
+  const firstNumbers = paper.sections.reduce(
+    (numbers, section, index) => [...numbers, index === 0 ? 1 : numbers[index - 1] + paper.sections[index - 1].questions.length],
+    []
+  );
+
+  return (
+    <div className="min-h-screen bg-gradient-to-r from-blue-600 via-indigo-700 to-purple-700 py-16 relative">
+      <div className="absolute inset-0 bg-radial opacity-10 z-[-1]" />
+
+      <div
+        ref={containerRef}
+        className={`container mx-auto px-4 relative z-10 ${fullscreen ? 'max-w-none bg-white h-full overflow-y-auto py-6' : 'max-w-4xl'}`}
+      >
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.7 }}
+          className="text-center mb-8"
+        >
+          <h1 className={`text-3xl font-bold ${fullscreen ? 'text-gray-800' : 'text-white drop-shadow-md'}`}>
+            {paper.subject} Mock Exam
+          </h1>
+          <p className={fullscreen ? 'text-gray-600 mt-2' : 'text-blue-200 mt-2'}>
+            {paper.board} Class {paper.grade} · {paper.durationMinutes} minutes · {totalMarks} marks
+          </p>
+        </motion.div>
+
+        {/* Instructions */}
+        {!session.deadline && !result && (
+          <section className={panel}>
+            <h2 className="text-xl font-semibold text-blue-600 mb-3">Before you begin</h2>
+            <ul className="list-disc list-inside text-gray-700 space-y-1 mb-4">
+              <li>The paper opens fullscreen and the {paper.durationMinutes}-minute timer starts straight away.</li>
+              <li>Your answers are saved as you type, so a reload will not lose them.</li>
+              <li>When time runs out the paper is submitted automatically.</li>
+            </ul>
+            <ul className="text-sm text-gray-600 mb-4">
+              {paper.sections.map((section) => (
+                <li key={section.id}>
+                  {section.name}: {section.questions.length} × {section.marks} mark{section.marks > 1 ? 's' : ''}
+                </li>
+              ))}
+            </ul>
+            <motion.button
+              whileHover={{ scale: 1.03 }}
+              whileTap={{ scale: 0.97 }}
+              onClick={start}
+              className="px-6 py-2 rounded-lg bg-green-600 text-white font-semibold hover:bg-green-700"
+            >
+              Start Exam
+            </motion.button>
+          </section>
+        )}
+
+        {/* Exam bar */}
+        {writing && (
+          <div className="sticky top-0 z-20 bg-white rounded-lg shadow p-3 mb-6 flex flex-wrap justify-between items-center gap-3">
+            <span className={`font-semibold ${remaining <= 300 ? 'text-red-600' : 'text-gray-800'}`}>
+              <FaClock className="inline mr-1" />
+              {remaining !== null && formatDuration(remaining)}
+            </span>
+            <span className="text-sm text-gray-500">
+              {savedAt ? `Saved ${savedAt.toLocaleTimeString()}` : 'Saved on this device'}
+            </span>
+            <div className="flex gap-2">
+              <button
+                onClick={toggleFullscreen}
+                className="px-3 py-1 rounded-md text-sm text-gray-700 bg-gray-200 hover:bg-gray-300"
+                aria-label={fullscreen ? 'Exit fullscreen' : 'Fullscreen'}
+              >
+                {fullscreen ? <FaCompress /> : <FaExpand />}
+              </button>
+              <button
+                onClick={confirmSubmit}
+                disabled={submitting}
+                className="px-4 py-1 rounded-md text-sm font-semibold text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+              >
+                {submitting ? 'Marking...' : 'Submit Paper'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {error && session.deadline && <p className="text-red-600 bg-red-100 p-2 rounded mb-4">{error}</p>}
+
+        {/* Score */}
+        {result && (
+          <section className={`${panel} text-center`}>
+            <p className="text-5xl font-bold text-blue-600">
+              {result.score}/{result.totalMarks}
+            </p>
+            <p className="text-gray-700 mt-2">{result.percent}%</p>
+            {result.summary && (
+              <div className="text-left mt-4">
+                <AnswerRenderer text={result.summary} />
+              </div>
+            )}
+            <Link to="/exams" className="inline-block mt-4 text-blue-600 underline">
+              Back to Mock Exams
+            </Link>
+          </section>
+        )}
+
+        {/* Paper */}
+        {(writing || result) &&
+          paper.sections.map((section, sectionIndex) => (
+            <section key={section.id} className={panel}>
+              <h2 className="text-xl font-semibold text-blue-600 mb-1">{section.name}</h2>
+              <p className="text-sm text-gray-500 mb-4">
+                {section.marks} mark{section.marks > 1 ? 's' : ''} each
+              </p>
+              <ol className="space-y-6">
+                {section.questions.map((question, questionIndex) => {
+                  const number = firstNumbers[sectionIndex] + questionIndex;
+                  const marks = marking.get(question.id);
+                  return (
+                    <li key={question.id}>
+                      <div className="flex gap-2 text-gray-800">
+                        <span className="font-semibold">{number}.</span>
+                        <div className="flex-1">
+                          <AnswerRenderer text={question.prompt} />
+                        </div>
+                      </div>
+
+                      {section.type === 'mcq' ? (
+                        <div className="mt-2 space-y-1 pl-6">
+                          {question.options.map((option, index) => (
+                            <label key={index} className="flex items-center gap-2 text-gray-800">
+                              <input
+                                type="radio"
+                                name={question.id}
+                                checked={answers[question.id] === index}
+                                onChange={() => answer(question.id, index)}
+                                disabled={locked}
+                              />
+                              {option}
+                            </label>
+                          ))}
+                        </div>
+                      ) : (
+                        <textarea
+                          value={answers[question.id] || ''}
+                          onChange={(e) => answer(question.id, e.target.value)}
+                          readOnly={locked}
+                          rows={section.type === 'long' ? 8 : 3}
+                          className="mt-2 w-full p-3 border border-gray-300 rounded-md"
+                          aria-label={`Answer to question ${number}`}
+                        />
+                      )}
+
+                      {marks && (
+                        <div className="mt-2 p-3 bg-gray-50 rounded-lg border border-gray-200 text-sm">
+                          <p className="font-semibold text-gray-800">
+                            {marks.awarded}/{marks.marks} marks
+                          </p>
+                          {marks.feedback && <AnswerRenderer text={marks.feedback} />}
+                          {marks.rubric?.length > 0 && (
+                            <ul className="mt-2 space-y-1">
+                              {marks.rubric.map((point, index) => (
+                                <li key={index} className="flex justify-between gap-3 text-gray-700">
+                                  <span>{point.criterion}</span>
+                                  <span className="whitespace-nowrap">
+                                    {point.awarded}/{point.marks}
+                                  </span>
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </div>
+                      )}
+                    </li>
+                  );
+                })}
+              </ol>
+            </section>
+          ))}
+      </div>
+    </div>
+  );
+}
+
+export default MockExamSession;
@@ -0,0 +1,145 @@
+import { useContext, useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { useNavigate } from 'react-router-dom';
+import { FaClock, FaFileAlt } from 'react-icons/fa';
+import { BoardContext } from '../contexts/BoardContext';
+import useSyllabus from '../hooks/useSyllabus';
+import { getBoard, getClass } from '../utils/syllabus';
+import { createSession, fetchExamResults, generatePaper, patternTotals } from '../utils/exams';
+
+// Pick a subject and get a full paper in the board's own exam pattern
+function MockExams() {
+  const navigate = useNavigate();
+  const { board, grade } = useContext(BoardContext);
+  const { syllabus, boards } = useSyllabus();
+  const boardData = getBoard(syllabus, board) || boards[0];
+  const classData = getClass(boardData, grade);
+  const pattern = boardData.examPattern;
+  const [subjectId, setSubjectId] = useState(classData.subjects[0].id);
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState('');
+  const [results, setResults] = useState([]);
+
+  useEffect(() => {
+    fetchExamResults().then(setResults);
+  }, []);
+
+  // The subject list changes with the board and class
+  const subject = classData.subjects.find((s) => s.id === subjectId) || classData.subjects[0];
+
+  const createPaper = async () => {
+    setGenerating(true);
+    setError('');
+    try {
+      const paper = await generatePaper({
+        board: boardData.id,
+        grade: classData.grade,
+        subject: subject.name,
+        pattern,
+      });
+      createSession(paper);
+      navigate(`/exams/${paper.id}`);
+    } catch (err) {
+      console.error('Failed to generate exam paper:', err);
+      setError(err.response?.data?.message || 'Could not prepare a paper. Please try again.');
+      setGenerating(false);
+    }
+  };
+
+  const panel = 'bg-white rounded-xl p-6 shadow-lg border border-indigo-200/50 mb-6';
+  const totals = pattern && patternTotals(pattern);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-r from-blue-600 via-indigo-700 to-purple-700 py-16 relative">
+      <div className="absolute inset-0 bg-radial opacity-10 z-[-1]" />
+
+      <div className="container mx-auto px-4 relative z-10 max-w-3xl">
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.7 }}
+          className="text-center mb-8"
+        >
+          <h1 className="text-4xl font-bold text-white drop-shadow-md">Mock Exams</h1>
+          <p className="text-blue-200 mt-2">
+            Full {boardData.name} Class {classData.grade} papers, timed and marked like the real thing
+          </p>
+        </motion.div>
+
+        <section className={panel}>
+          {!pattern ? (
+            <p className="text-gray-700">Mock exams are not available for {boardData.name} yet.</p>
+          ) : (
+            <>
+              <label className="block text-sm font-medium text-gray-700 mb-4">
+                Subject
+                <select
+                  value={subject.id}
+                  onChange={(e) => setSubjectId(e.target.value)}
+                  className="mt-1 w-full p-3 border border-gray-300 rounded-md bg-white"
+                >
+                  {classData.subjects.map((s) => (
+                    <option key={s.id} value={s.id}>
+                      {s.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              <h2 className="text-lg font-semibold text-blue-600 mb-2">Paper pattern</h2>
+              <p className="text-sm text-gray-600 mb-2">
+                <FaClock className="inline mr-1" />
+                {pattern.durationMinutes} minutes · {totals.questions} questions · {totals.marks} marks
+              </p>
+              <table className="w-full text-sm mb-4">
+                <tbody>
+                  {pattern.sections.map((section) => (
+                    <tr key={section.id} className="border-t border-gray-200">
+                      <td className="py-2 text-gray-800">{section.name}</td>
+                      <td className="py-2 text-gray-600 text-right">
+                        {section.count} × {section.marks} mark{section.marks > 1 ? 's' : ''}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+              <motion.button
+                whileHover={{ scale: 1.03 }}
+                whileTap={{ scale: 0.97 }}
+                onClick={createPaper}
+                disabled={generating}
+                className="px-6 py-2 rounded-lg bg-green-600 text-white font-semibold hover:bg-green-700 disabled:opacity-50"
+              >
+                <FaFileAlt className="inline mr-2" />
+                {generating ? 'Setting your paper...' : 'Get My Paper'}
+              </motion.button>
+            </>
+          )}
+        </section>
+
+        {results.length > 0 && (
+          <section className={panel}>
+            <h2 className="text-xl font-semibold text-blue-600 mb-3">Past Attempts</h2>
+            <ul className="space-y-2">
+              {results.map((result) => (
+                <li key={result.paperId} className="flex justify-between gap-3 text-sm">
+                  <button onClick={() => navigate(`/exams/${result.paperId}`)} className="text-gray-800 hover:text-blue-600 text-left">
+                    {result.subject} · {result.board}
+                  </button>
+                  <span className="text-gray-600 whitespace-nowrap">
+                    {result.score}/{result.totalMarks} ({result.percent}%) ·{' '}
+                    {new Date(result.submittedAt).toLocaleDateString()}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MockExams;
@@ -0,0 +1,161 @@
+import { useContext, useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Link, useNavigate } from 'react-router-dom';
+import { AuthContext } from '../contexts/AuthContext';
+import { BoardContext } from '../contexts/BoardContext';
+import { fetchChildren, linkChild } from '../utils/family';
+
+function ParentDashboard() {
+  const navigate = useNavigate();
+  const { user, logout } = useContext(AuthContext);
+  const { board } = useContext(BoardContext);
+  const name = user?.name || user?.username || 'Parent';
+  const [children, setChildren] = useState([]);
+  const [code, setCode] = useState('');
+  const [linking, setLinking] = useState(false);
+  const [message, setMessage] = useState(null); // { type: 'error' | 'success', text }
+
+  useEffect(() => {
+    fetchChildren()
+      .then(setChildren)
+      .catch((err) => console.error('Failed to fetch children:', err));
+  }, []);
+
+  const handleLink = async (e) => {
+    e.preventDefault();
+    if (code.trim().length < 4) {
+      setMessage({ type: 'error', text: 'Enter the code shown on your child\'s dashboard.' });
+      return;
+    }
+    setLinking(true);
+    try {
+      const child = await linkChild(code);
+      setChildren((list) => [...list.filter((c) => c.id !== child.id), child]);
+      setMessage({ type: 'success', text: `Linked to ${child.name}.` });
+      setCode('');
+    } catch (err) {
+      console.error('Failed to link child:', err);
+      setMessage({
+        type: 'error',
+        text:
+          err.response?.data?.msg ||
+          (err.response?.status === 404 ? 'That code is not valid or has expired.' : 'Could not link the account.'),
+      });
+    }
+    setLinking(false);
+  };
+
+  const handleLogout = () => {
+    logout();
+    navigate('/login');
+  };
+
+  const options = [
+    { label: 'See What They Study', description: `The ${board} syllabus by subject`, path: '/explore' },
+    { label: 'Ask EduAI', description: 'Get help explaining a topic at home', path: '/ask' },
+  ];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-r from-blue-600 via-indigo-700 to-purple-700 py-16 relative">
+      <div className="absolute inset-0 bg-radial opacity-10 z-[-1]" />
+
+      <div className="container mx-auto px-4 relative z-10">
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.7 }}
+          className="text-center mb-8"
+        >
+          <h1 className="text-4xl font-bold text-white drop-shadow-md">Parent Dashboard</h1>
+          <p className="text-blue-200 mt-2">Welcome, {name}. Stay close to your child&apos;s learning.</p>
+        </motion.div>
+
+        <motion.div
+          initial={{ opacity: 0, scale: 0.9 }}
+          animate={{ opacity: 1, scale: 1 }}
+          transition={{ duration: 0.7, delay: 0.2 }}
+          className="bg-white rounded-xl p-8 shadow-lg max-w-3xl w-full mx-auto border border-indigo-200/50"
+        >
+          <div className="flex justify-between items-center mb-6">
+            <div>
+              <h3 className="text-xl font-semibold text-gray-800">Hello, {name}</h3>
+              <p className="text-gray-600 text-sm">Parent account · {board}</p>
+            </div>
+            <motion.button
+              whileHover={{ scale: 1.03 }}
+              whileTap={{ scale: 0.97 }}
+              onClick={handleLogout}
+              className="px-4 py-2 rounded-lg bg-red-600 text-white font-semibold hover:bg-red-700"
+              aria-label="Log out"
+            >
+              Logout
+            </motion.button>
+          </div>
+
+          {/* Children */}
+          <div className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+            <h3 className="text-lg font-semibold text-blue-600 mb-3">My Children</h3>
+            {children.length === 0 ? (
+              <p className="text-gray-600 text-sm mb-3">
+                Ask your child to open their dashboard, choose &quot;Get a Link Code&quot; and read you the code.
+              </p>
+            ) : (
+              <ul className="mb-3 space-y-2">
+                {children.map((child) => (
+                  <li key={child.id}>
+                    <Link
+                      to={`/parent/children/${child.id}`}
+                      className="flex justify-between items-center p-3 bg-white rounded-md border border-gray-200 hover:bg-gray-100"
+                    >
+                      <span className="font-medium text-gray-800">{child.name}</span>
+                      <span className="text-sm text-blue-600">View activity →</span>
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <form onSubmit={handleLink} className="flex gap-2">
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="Link code"
+                className="flex-1 p-2 border border-gray-300 rounded-md font-mono uppercase tracking-widest focus:outline-none focus:ring-2 focus:ring-blue-400"
+                aria-label="Child link code"
+              />
+              <motion.button
+                type="submit"
+                disabled={linking}
+                className="px-4 py-2 rounded-md bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50"
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+              >
+                {linking ? 'Linking...' : 'Link Child'}
+              </motion.button>
+            </form>
+            {message && (
+              <p className={`text-sm mt-2 ${message.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {options.map((option) => (
+              <motion.button
+                key={option.label}
+                whileHover={{ scale: 1.03 }}
+                whileTap={{ scale: 0.97 }}
+                onClick={() => navigate(option.path)}
+                className="bg-blue-600 text-white p-4 rounded-lg text-left hover:bg-blue-700"
+              >
+                <span className="block font-semibold">{option.label}</span>
+                <span className="block text-sm text-blue-100 mt-1">{option.description}</span>
+              </motion.button>
+            ))}
+          </div>
+        </motion.div>
+      </div>
+    </div>
+  );
+}
+
+export default ParentDashboard;
@@ -0,0 +1,355 @@
+import { useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Link, useParams } from 'react-router-dom';
+import { FaCheckCircle, FaClock, FaRedo, FaTimesCircle } from 'react-icons/fa';
+import { BoardContext } from '../contexts/BoardContext';
+import useSyllabus from '../hooks/useSyllabus';
+import useCountdown from '../hooks/useCountdown';
+import { chapterPath, findChapter, findSubject, getBoard } from '../utils/syllabus';
+import {
+  QUESTION_COUNTS,
+  QUESTION_TYPES,
+  SECONDS_PER_QUESTION,
+  describeAnswer,
+  formatDuration,
+  generateQuiz,
+  saveQuizResult,
+  scoreQuiz,
+} from '../utils/quiz';
+import AnswerRenderer from '../components/AnswerRenderer';
+
+// In-app practice quiz on a subject or chapter: pick the format, answer against
+// the clock, then review the score with explanations for anything missed
+function Quiz() {
+  const { board: boardId, subject: subjectId, chapter: chapterId } = useParams();
+  const { grade } = useContext(BoardContext);
+  const { syllabus } = useSyllabus();
+  const [phase, setPhase] = useState('setup'); // setup, loading, running, done
+  const [types, setTypes] = useState(QUESTION_TYPES.map((type) => type.id));
+  const [count, setCount] = useState(QUESTION_COUNTS[0]);
+  const [timed, setTimed] = useState(true);
+  const [questions, setQuestions] = useState([]);
+  const [responses, setResponses] = useState({}); // question id -> response
+  const [current, setCurrent] = useState(0);
+  const [deadline, setDeadline] = useState(null);
+  const [score, setScore] = useState(null);
+  const [error, setError] = useState('');
+  const startedAtRef = useRef(null);
+  const remaining = useCountdown(deadline);
+
+  const board = getBoard(syllabus, boardId);
+  const found = chapterId ? findChapter(board, subjectId, chapterId, grade) : findSubject(board, subjectId, grade);
+
+  const finish = useCallback(() => {
+    const result = scoreQuiz(questions, responses);
+    setScore(result);
+    setDeadline(null);
+    setPhase('done');
+    saveQuizResult({
+      board: board.id,
+      grade: found.classData.grade,
+      subject: found.subject.name,
+      chapter: found.chapter?.name || null,
+      correct: result.correct,
+      total: result.total,
+      percent: result.percent,
+      durationSeconds: Math.round((Date.now() - startedAtRef.current) / 1000),
+      questions: questions.map((question, index) => ({
+        ...question,
+        response: responses[question.id] ?? null,
+        correct: result.results[index],
+      })),
+    }).catch((err) => console.error('Failed to save quiz result:', err));
+  }, [questions, responses, board, found]);
+
+  // Time is up: submit whatever has been answered
+  useEffect(() => {
+    if (phase === 'running' && remaining === 0) finish();
+  }, [phase, remaining, finish]);
+
+  if (!found) {
+    return (
+      <div className="min-h-screen bg-gradient-to-r from-blue-600 via-indigo-700 to-purple-700 py-16">
+        <div className="container mx-auto px-4 max-w-3xl">
+          <div className="bg-white rounded-xl p-6 shadow-lg">
+            <p className="text-gray-700 mb-3">We could not find that subject in the {boardId} syllabus.</p>
+            <Link to="/explore" className="text-blue-600 underline">
+              Back to Explore Topics
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const { classData, subject, chapter } = found;
+  const title = chapter ? chapter.name : subject.name;
+
+  const start = async () => {
+    setPhase('loading');
+    setError('');
+    try {
+      const generated = await generateQuiz({
+        board: board.id,
+        grade: classData.grade,
+        subject: subject.name,
+        chapter: chapter?.name,
+        count,
+        types,
+      });
+      setQuestions(generated);
+      setResponses({});
+      setCurrent(0);
+      setScore(null);
+      startedAtRef.current = Date.now();
+      setDeadline(timed ? Date.now() + generated.length * SECONDS_PER_QUESTION * 1000 : null);
+      setPhase('running');
+    } catch (err) {
+      console.error('Failed to generate quiz:', err);
+      setError(err.response?.data?.message || err.message || 'Could not create a quiz. Please try again.');
+      setPhase('setup');
+    }
+  };
+
+  const toggleType = (id) =>
+    setTypes((selected) => (selected.includes(id) ? selected.filter((type) => type !== id) : [...selected, id]));
+
+  const respond = (questionId, value) => setResponses((all) => ({ ...all, [questionId]: value }));
+
+  const panel = 'bg-white rounded-xl p-6 shadow-lg border border-indigo-200/50 mb-6';
+  const question = questions[current];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-r from-blue-600 via-indigo-700 to-purple-700 py-16 relative">
+      <div className="absolute inset-0 bg-radial opacity-10 z-[-1]" />
+
+      <div className="container mx-auto px-4 relative z-10 max-w-3xl">
+        <Link
+          to={chapter ? chapterPath(board.id, subject.id, chapter.id) : '/explore'}
+          className="text-blue-100 hover:text-white"
+        >
+          ← {board.name} · {subject.name}
+        </Link>
+
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.7 }}
+          className="text-center my-8"
+        >
+          <h1 className="text-4xl font-bold text-white drop-shadow-md">Quiz: {title}</h1>
+          <p className="text-blue-200 mt-2">
+            {subject.name} · {board.name} Class {classData.grade}
+          </p>
+        </motion.div>
+
+        {(phase === 'setup' || phase === 'loading') && (
+          <section className={panel}>
+            <h2 className="text-xl font-semibold text-blue-600 mb-4">Set up your quiz</h2>
+            <fieldset className="mb-4">
+              <legend className="text-sm font-medium text-gray-700 mb-1">Question types</legend>
+              <div className="flex flex-wrap gap-4">
+                {QUESTION_TYPES.map((type) => (
+                  <label key={type.id} className="flex items-center gap-2 text-gray-800">
+                    <input type="checkbox" checked={types.includes(type.id)} onChange={() => toggleType(type.id)} />
+                    {type.label}
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+            <div className="flex flex-wrap items-center gap-6 mb-4">
+              <label className="text-sm font-medium text-gray-700">
+                Questions
+                <select
+                  value={count}
+                  onChange={(e) => setCount(Number(e.target.value))}
+                  className="ml-2 p-2 border border-gray-300 rounded-md bg-white"
+                >
+                  {QUESTION_COUNTS.map((n) => (
+                    <option key={n} value={n}>
+                      {n}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                <input type="checkbox" checked={timed} onChange={(e) => setTimed(e.target.checked)} />
+                Timed ({SECONDS_PER_QUESTION / 60} min per question)
+              </label>
+            </div>
+            {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+            <motion.button
+              whileHover={{ scale: 1.03 }}
+              whileTap={{ scale: 0.97 }}
+              onClick={start}
+              disabled={phase === 'loading' || types.length === 0}
+              className="px-6 py-2 rounded-lg bg-green-600 text-white font-semibold hover:bg-green-700 disabled:opacity-50"
+            >
+              {phase === 'loading' ? 'Writing your quiz...' : 'Start Quiz'}
+            </motion.button>
+          </section>
+        )}
+
+        {phase === 'running' && question && (
+          <section className={panel}>
+            <div className="flex justify-between items-center mb-4 text-sm text-gray-600">
+              <span>
+                Question {current + 1} of {questions.length}
+              </span>
+              {remaining !== null && (
+                <span className={`font-semibold ${remaining <= 30 ? 'text-red-600' : 'text-gray-800'}`}>
+                  <FaClock className="inline mr-1" />
+                  {formatDuration(remaining)}
+                </span>
+              )}
+            </div>
+            <div className="h-2 bg-gray-200 rounded-full mb-6">
+              <div
+                className="h-2 bg-blue-600 rounded-full"
+                style={{ width: `${((current + 1) / questions.length) * 100}%` }}
+              />
+            </div>
+
+            <div className="text-lg text-gray-800 mb-4">
+              <AnswerRenderer text={question.prompt} />
+            </div>
+
+            {question.type === 'mcq' && (
+              <div className="space-y-2">
+                {question.options.map((option, index) => (
+                  <label
+                    key={index}
+                    className={`flex items-center gap-3 p-3 rounded-lg border cursor-pointer ${
+                      responses[question.id] === index ? 'border-blue-600 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name={question.id}
+                      checked={responses[question.id] === index}
+                      onChange={() => respond(question.id, index)}
+                    />
+                    <span className="text-gray-800">{option}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {question.type === 'true-false' && (
+              <div className="flex gap-3">
+                {[true, false].map((value) => (
+                  <button
+                    key={String(value)}
+                    onClick={() => respond(question.id, value)}
+                    className={`px-6 py-2 rounded-lg font-semibold border ${
+                      responses[question.id] === value
+                        ? 'bg-blue-600 text-white border-blue-600'
+                        : 'bg-white text-gray-800 border-gray-300 hover:bg-gray-50'
+                    }`}
+                  >
+                    {value ? 'True' : 'False'}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {question.type === 'short' && (
+              <input
+                type="text"
+                value={responses[question.id] || ''}
+                onChange={(e) => respond(question.id, e.target.value)}
+                placeholder="Type your answer"
+                className="w-full p-3 border border-gray-300 rounded-md"
+              />
+            )}
+
+            <div className="flex justify-between mt-6">
+              <button
+                onClick={() => setCurrent((index) => index - 1)}
+                disabled={current === 0}
+                className="px-4 py-2 rounded-lg text-gray-700 bg-gray-200 hover:bg-gray-300 disabled:opacity-50"
+              >
+                Previous
+              </button>
+              {current < questions.length - 1 ? (
+                <button
+                  onClick={() => setCurrent((index) => index + 1)}
+                  className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700"
+                >
+                  Next
+                </button>
+              ) : (
+                <button onClick={finish} className="px-4 py-2 rounded-lg bg-green-600 text-white hover:bg-green-700">
+                  Submit Quiz
+                </button>
+              )}
+            </div>
+          </section>
+        )}
+
+        {phase === 'done' && score && (
+          <>
+            <section className={`${panel} text-center`}>
+              <p className="text-5xl font-bold text-blue-600">{score.percent}%</p>
+              <p className="text-gray-700 mt-2">
+                {score.correct} of {score.total} correct
+              </p>
+              <div className="flex justify-center gap-3 mt-4">
+                <motion.button
+                  whileHover={{ scale: 1.03 }}
+                  whileTap={{ scale: 0.97 }}
+                  onClick={start}
+                  className="px-4 py-2 rounded-lg bg-green-600 text-white font-semibold hover:bg-green-700"
+                >
+                  <FaRedo className="inline mr-2" />
+                  New Quiz
+                </motion.button>
+                <Link to="/history" className="px-4 py-2 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300">
+                  View History
+                </Link>
+              </div>
+            </section>
+
+            <section className={panel}>
+              <h2 className="text-xl font-semibold text-blue-600 mb-3">Review</h2>
+              <ol className="space-y-4">
+                {questions.map((item, index) => {
+                  const correct = score.results[index];
+                  return (
+                    <li key={item.id} className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                      <div className="flex items-start gap-2">
+                        {correct ? (
+                          <FaCheckCircle className="text-green-600 mt-1 shrink-0" />
+                        ) : (
+                          <FaTimesCircle className="text-red-600 mt-1 shrink-0" />
+                        )}
+                        <div className="flex-1">
+                          <AnswerRenderer text={item.prompt} />
+                          <p className="text-sm text-gray-700 mt-2">
+                            Your answer: {describeAnswer(item, responses[item.id])}
+                          </p>
+                          {!correct && (
+                            <>
+                              <p className="text-sm text-gray-700">Correct answer: {describeAnswer(item, item.answer)}</p>
+                              {item.explanation && (
+                                <div className="mt-2 text-sm">
+                                  <AnswerRenderer text={item.explanation} />
+                                </div>
+                              )}
+                            </>
+                          )}
+                        </div>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ol>
+            </section>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Quiz;
@@ -0,0 +1,82 @@
+import { useContext } from 'react';
+import { motion } from 'framer-motion';
+import { useNavigate } from 'react-router-dom';
+import { AuthContext } from '../contexts/AuthContext';
+import { BoardContext } from '../contexts/BoardContext';
+
+function TeacherDashboard() {
+  const navigate = useNavigate();
+  const { user, logout } = useContext(AuthContext);
+  const { board } = useContext(BoardContext);
+  const name = user?.name || user?.username || 'Teacher';
+
+  const handleLogout = () => {
+    logout();
+    navigate('/login');
+  };
+
+  const options = [
+    { label: 'My Classes', description: 'Create classes, share join codes and see rosters', path: '/teacher/classes' },
+    { label: 'Explore the Syllabus', description: `Browse ${board} subjects and chapters`, path: '/explore' },
+    { label: 'Prepare an Explanation', description: 'Ask EduAI to draft notes, diagrams or examples', path: '/ask' },
+    { label: 'Past Conversations', description: 'Reuse answers you have already generated', path: '/history' },
+  ];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-r from-blue-600 via-indigo-700 to-purple-700 py-16 relative">
+      <div className="absolute inset-0 bg-radial opacity-10 z-[-1]" />
+
+      <div className="container mx-auto px-4 relative z-10">
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.7 }}
+          className="text-center mb-8"
+        >
+          <h1 className="text-4xl font-bold text-white drop-shadow-md">Teacher Dashboard</h1>
+          <p className="text-blue-200 mt-2">Welcome, {name}. Plan lessons and support your students.</p>
+        </motion.div>
+
+        <motion.div
+          initial={{ opacity: 0, scale: 0.9 }}
+          animate={{ opacity: 1, scale: 1 }}
+          transition={{ duration: 0.7, delay: 0.2 }}
+          className="bg-white rounded-xl p-8 shadow-lg max-w-3xl w-full mx-auto border border-indigo-200/50"
+        >
+          <div className="flex justify-between items-center mb-6">
+            <div>
+              <h3 className="text-xl font-semibold text-gray-800">Hello, {name}</h3>
+              <p className="text-gray-600 text-sm">Teacher account · {board}</p>
+            </div>
+            <motion.button
+              whileHover={{ scale: 1.03 }}
+              whileTap={{ scale: 0.97 }}
+              onClick={handleLogout}
+              className="px-4 py-2 rounded-lg bg-red-600 text-white font-semibold hover:bg-red-700"
+              aria-label="Log out"
+            >
+              Logout
+            </motion.button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {options.map((option) => (
+              <motion.button
+                key={option.label}
+                whileHover={{ scale: 1.03 }}
+                whileTap={{ scale: 0.97 }}
+                onClick={() => navigate(option.path)}
+                className="bg-blue-600 text-white p-4 rounded-lg text-left hover:bg-blue-700"
+              >
+                <span className="block font-semibold">{option.label}</span>
+                <span className="block text-sm text-blue-100 mt-1">{option.description}</span>
+              </motion.button>
+            ))}
+          </div>
+        </motion.div>
+      </div>
+    </div>
+  );
+}
+
+export default TeacherDashboard;
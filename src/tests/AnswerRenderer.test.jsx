@@ -0,0 +1,28 @@
+import { render, screen } from '@testing-library/react';
+import AnswerRenderer from '../components/AnswerRenderer';
+
+describe('AnswerRenderer Component', () => {
+  test('renders markdown headings and tables', () => {
+    render(<AnswerRenderer text={'## Laws of Motion\n\n| Law | Idea |\n| --- | --- |\n| First | Inertia |'} />);
+    expect(screen.getByRole('heading', { name: 'Laws of Motion' })).toBeInTheDocument();
+    expect(screen.getByRole('table')).toBeInTheDocument();
+  });
+
+  test('renders LaTeX math with KaTeX', () => {
+    const { container } = render(<AnswerRenderer text={'Area is \\(\\pi r^2\\) and $$x^2 + y^2 = r^2$$'} />);
+    expect(container.querySelectorAll('.katex').length).toBeGreaterThan(0);
+  });
+
+  test('leaves math delimiters inside code as written', () => {
+    const { container } = render(<AnswerRenderer text={'Escape it as `\\(x\\)`:\n\n```latex\n\\[ a^2 \\]\n```'} />);
+    expect(container.querySelectorAll('.katex')).toHaveLength(0);
+    expect(container.textContent).toContain('\\(x\\)');
+    expect(container.textContent).toContain('\\[ a^2 \\]');
+  });
+
+  test('shows a diagram still streaming in as its source', () => {
+    const { container } = render(<AnswerRenderer text={'Flow:\n\n```mermaid\ngraph TD\nA-->'} streaming />);
+    expect(screen.queryByText('Drawing diagram...')).not.toBeInTheDocument();
+    expect(container.textContent).toContain('graph TD');
+  });
+});
@@ -1,13 +1,16 @@
 import { render, screen, fireEvent } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import Login from '../components/Auth/Login';
+import { AuthProvider } from '../contexts/AuthContext';
 
 describe('Login Component', () => {
   test('renders login form', () => {
     render(
-      <BrowserRouter>
-        <Login />
-      </BrowserRouter>
+      <AuthProvider>
+        <BrowserRouter>
+          <Login />
+        </BrowserRouter>
+      </AuthProvider>
     );
     expect(screen.getByText('Login to EduAI')).toBeInTheDocument();
     expect(screen.getByLabelText('Email')).toBeInTheDocument();
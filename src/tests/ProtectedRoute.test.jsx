@@ -0,0 +1,49 @@
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter, Routes, Route, useLocation } from 'react-router-dom';
+import ProtectedRoute from '../components/ProtectedRoute';
+import { AuthProvider } from '../contexts/AuthContext';
+
+function LoginProbe() {
+  const location = useLocation();
+  return <p>Login page, from {location.state?.from?.pathname}</p>;
+}
+
+const renderAt = (path) =>
+  render(
+    <AuthProvider>
+      <MemoryRouter initialEntries={[path]}>
+        <Routes>
+          <Route path="/login" element={<LoginProbe />} />
+          <Route path="/dashboard" element={<p>Student dashboard</p>} />
+          <Route element={<ProtectedRoute />}>
+            <Route path="/history" element={<p>History page</p>} />
+          </Route>
+          <Route element={<ProtectedRoute roles={['teacher']} />}>
+            <Route path="/teacher" element={<p>Teacher page</p>} />
+          </Route>
+        </Routes>
+      </MemoryRouter>
+    </AuthProvider>
+  );
+
+describe('ProtectedRoute Component', () => {
+  afterEach(() => localStorage.clear());
+
+  test('redirects to login and remembers the requested page', () => {
+    renderAt('/history');
+    expect(screen.getByText('Login page, from /history')).toBeInTheDocument();
+  });
+
+  test('renders the page when a token is stored', () => {
+    localStorage.setItem('token', 'abc');
+    renderAt('/history');
+    expect(screen.getByText('History page')).toBeInTheDocument();
+  });
+
+  test('sends other roles away from role-restricted pages', () => {
+    localStorage.setItem('token', 'abc');
+    localStorage.setItem('user', JSON.stringify({ role: 'student' }));
+    renderAt('/teacher');
+    expect(screen.getByText('Student dashboard')).toBeInTheDocument();
+  });
+});
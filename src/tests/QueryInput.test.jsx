@@ -7,5 +7,6 @@ describe('QueryInput Component', () => {
     expect(screen.getByPlaceholderText('Ask your question...')).toBeInTheDocument();
     expect(screen.getByText('Submit')).toBeInTheDocument();
     expect(screen.getByText('Speak')).toBeInTheDocument();
+    expect(screen.getByText('Photo')).toBeInTheDocument();
   });
 });
\ No newline at end of file
@@ -0,0 +1,21 @@
+import { patternTotals, subjectProgress } from '../utils/exams';
+import { getSyllabus } from '../utils/syllabus';
+
+describe('mock exams', () => {
+  test('CBSE pattern adds up to an 80-mark paper', () => {
+    const cbse = getSyllabus().boards.find((board) => board.id === 'CBSE');
+    expect(patternTotals(cbse.examPattern)).toEqual({ questions: 39, marks: 80 });
+  });
+
+  test('tracks latest, previous and best score per subject', () => {
+    const progress = subjectProgress([
+      { subject: 'Science', percent: 70, submittedAt: '2026-03-01T10:00:00Z' },
+      { subject: 'Mathematics', percent: 55, submittedAt: '2026-03-02T10:00:00Z' },
+      { subject: 'Science', percent: 62, submittedAt: '2026-03-05T10:00:00Z' },
+    ]);
+    expect(progress).toEqual([
+      expect.objectContaining({ subject: 'Science', latest: 62, previous: 70, best: 70, attempts: 2 }),
+      expect.objectContaining({ subject: 'Mathematics', latest: 55, previous: null, best: 55, attempts: 1 }),
+    ]);
+  });
+});
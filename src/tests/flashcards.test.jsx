@@ -0,0 +1,42 @@
+import { addCards, createCard, dueCards, readCards, reviewCard } from '../utils/flashcards';
+import { clearSession, saveSession } from '../utils/session';
+
+const now = new Date(2026, 0, 10, 15, 0);
+const daysAfter = (card, from) => Math.round((new Date(card.dueAt) - new Date(2026, 0, from)) / 86400000);
+
+describe('flashcard scheduling', () => {
+  test('new cards are due straight away', () => {
+    const card = createCard({ front: 'F = ?', back: 'ma', board: 'CBSE' }, now);
+    expect(dueCards([card], now)).toHaveLength(1);
+  });
+
+  test('good answers space reviews out 1, 6, then ease-times days', () => {
+    let card = createCard({ front: 'F = ?', back: 'ma' }, now);
+    card = reviewCard(card, 4, now);
+    expect(daysAfter(card, 10)).toBe(1);
+    card = reviewCard(card, 4, now);
+    expect(daysAfter(card, 10)).toBe(6);
+    card = reviewCard(card, 4, now);
+    expect(card.interval).toBe(15);
+    expect(dueCards([card], now)).toHaveLength(0);
+  });
+
+  test('a lapse resets the card and lowers its ease', () => {
+    let card = createCard({ front: 'F = ?', back: 'ma' }, now);
+    card = reviewCard(reviewCard(card, 5, now), 5, now);
+    const lapsed = reviewCard(card, 1, now);
+    expect(lapsed).toMatchObject({ repetitions: 0, interval: 1 });
+    expect(lapsed.ease).toBeLessThan(card.ease);
+    expect(lapsed.ease).toBeGreaterThanOrEqual(1.3);
+  });
+
+  test('each account on a device has its own deck', () => {
+    saveSession({ token: 'a', user: { id: 'asha' } });
+    addCards([{ front: 'F = ?', back: 'ma' }]);
+    saveSession({ token: 'b', user: { id: 'ravi' } });
+    expect(readCards()).toHaveLength(0);
+    saveSession({ token: 'a', user: { id: 'asha' } });
+    expect(readCards()).toHaveLength(1);
+    clearSession();
+  });
+});
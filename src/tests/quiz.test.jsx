@@ -0,0 +1,30 @@
+import { describeAnswer, isCorrect, scoreQuiz } from '../utils/quiz';
+
+const questions = [
+  { id: 'q1', type: 'mcq', prompt: 'Unit of force?', options: ['Joule', 'Newton', 'Watt'], answer: 1 },
+  { id: 'q2', type: 'true-false', prompt: 'Light travels faster than sound.', answer: true },
+  { id: 'q3', type: 'short', prompt: 'Chemical symbol of sodium?', answer: 'Na', accepted: ['sodium (Na)'] },
+];
+
+describe('quiz scoring', () => {
+  test('short answers ignore case, spacing and punctuation', () => {
+    expect(isCorrect(questions[2], ' na ')).toBe(true);
+    expect(isCorrect(questions[2], 'Sodium (Na).')).toBe(true);
+    expect(isCorrect(questions[2], 'K')).toBe(false);
+  });
+
+  test('unanswered questions count as wrong', () => {
+    expect(scoreQuiz(questions, { q1: 1, q3: 'Na' })).toEqual({
+      correct: 2,
+      total: 3,
+      percent: 67,
+      results: [true, false, true],
+    });
+  });
+
+  test('describes answers for review', () => {
+    expect(describeAnswer(questions[0], 1)).toBe('Newton');
+    expect(describeAnswer(questions[1], false)).toBe('False');
+    expect(describeAnswer(questions[2], undefined)).toBe('No answer');
+  });
+});
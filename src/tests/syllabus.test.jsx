@@ -0,0 +1,36 @@
+import { getBoard, getClass, getSyllabus, groupBoards, validateSyllabus } from '../utils/syllabus';
+
+describe('syllabus', () => {
+  test('bundled syllabus passes validation', () => {
+    expect(validateSyllabus(getSyllabus())).toEqual([]);
+  });
+
+  test('reports missing and duplicated entries with their path', () => {
+    const errors = validateSyllabus({
+      boards: [
+        { id: 'CBSE', name: 'CBSE', classes: [] },
+        { id: 'CBSE', name: 'CBSE again', classes: [{ grade: 10, subjects: [] }] },
+      ],
+    });
+    expect(errors).toContain('boards[0].classes must be a non-empty array');
+    expect(errors).toContain('boards[1].id "CBSE" is duplicated');
+    expect(errors).toContain('boards[1].classes[0].subjects must be a non-empty array');
+  });
+
+  test('falls back to the nearest class the board covers', () => {
+    const cbse = getBoard(getSyllabus(), 'CBSE');
+    expect(getClass(cbse, 10)).toMatchObject({ grade: 10, exact: true });
+    expect(getClass(cbse, 11)).toMatchObject({ exact: false });
+    expect(getClass(cbse, 6)).toMatchObject({ grade: 10, exact: false });
+  });
+
+  test('resolves legacy board ids through aliases', () => {
+    expect(getBoard(getSyllabus(), 'State Board')).toMatchObject({ id: 'Tamil Nadu', group: 'State' });
+  });
+
+  test('groups every registered board', () => {
+    const groups = groupBoards(getSyllabus().boards);
+    expect(groups.map(({ group }) => group)).toEqual(['National', 'State', 'International']);
+    expect(groups.flatMap(({ boards }) => boards)).toHaveLength(getSyllabus().boards.length);
+  });
+});
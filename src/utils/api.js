@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { API_BASE_URL } from '../config/env';
+import { clearSession, getAccessToken, getRefreshToken, saveSession } from './session';
 
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -8,9 +9,47 @@ const api = axios.create({
   },
 });
 
+// Auth endpoints answer 401 for bad credentials or tokens; that is not an expired session
+const AUTH_ENDPOINTS = [
+  '/auth/login',
+  '/auth/register',
+  '/auth/refresh',
+  '/auth/forgot-password',
+  '/auth/reset-password',
+  '/auth/verify-email',
+  '/auth/resend-verification',
+];
+
+let refreshing = null;
+
+// Swap the refresh token for a new access token. Concurrent callers share one
+// request. Resolves to the new access token; rejects (and logs out) when the
+// session cannot be renewed.
+export const refreshSession = () => {
+  if (!refreshing) {
+    const refreshToken = getRefreshToken();
+    refreshing = (refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken }).then((res) => {
+          saveSession(res.data);
+          return res.data.token;
+        })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .catch((err) => {
+        console.error('Session refresh failed:', err.response?.data || err.message);
+        clearSession('expired');
+        throw err;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('token');
+    const token = getAccessToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -21,10 +60,22 @@ api.interceptors.request.use(
 
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    console.error('API error:', error.response?.data || error.message);
+  async (error) => {
+    const { config, response } = error;
+    const isAuthRequest = AUTH_ENDPOINTS.some((path) => config?.url?.startsWith(path));
+    // Retry once with a fresh token when a logged-in request comes back unauthorised
+    if (response?.status === 401 && config && !config._retried && !isAuthRequest && getAccessToken()) {
+      config._retried = true;
+      try {
+        await refreshSession();
+      } catch {
+        return Promise.reject(error);
+      }
+      return api(config);
+    }
+    console.error('API error:', response?.data || error.message);
     return Promise.reject(error);
   }
 );
 
-export default api;
\ No newline at end of file
+export default api;
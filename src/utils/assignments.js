@@ -0,0 +1,63 @@
+import api from './api';
+import { streamQuery } from './streamQuery';
+
+// An assignment is { id, classroomId, title, questions: [{ text }], dueAt,
+// board, mediaTypes, status? }. Students answer in AskQuestion, where the AI
+// is limited to hints; teachers review submissions here.
+
+export const MEDIA_TYPES = ['text', 'image', 'video'];
+
+export const fetchAssignments = async ({ classroomId } = {}) => {
+  const res = await api.get('/assignments', { params: classroomId ? { classroom: classroomId } : {} });
+  return res.data;
+};
+
+export const fetchAssignment = async (id) => {
+  const res = await api.get(`/assignments/${id}`);
+  return res.data;
+};
+
+export const createAssignment = async (assignment) => {
+  const res = await api.post('/assignments', assignment);
+  return res.data;
+};
+
+// `answers` is one { answer } per question, in order; `threadId` links the hint conversation
+export const submitAssignment = async (id, { answers, threadId }) => {
+  const res = await api.post(`/assignments/${id}/submissions`, { answers, threadId });
+  return res.data;
+};
+
+export const fetchSubmissions = async (id) => {
+  const res = await api.get(`/assignments/${id}/submissions`);
+  return res.data;
+};
+
+// AI-suggested marks: { score, feedback, questions: [{ score, feedback }] }.
+// The teacher reviews and edits it before anything reaches the student.
+export const suggestGrade = async (assignmentId, submissionId) => {
+  const res = await api.post(`/assignments/${assignmentId}/submissions/${submissionId}/suggest-grade`);
+  return res.data;
+};
+
+export const saveGrade = async (assignmentId, submissionId, grade) => {
+  const res = await api.patch(`/assignments/${assignmentId}/submissions/${submissionId}`, { grade });
+  return res.data;
+};
+
+export const isOverdue = (assignment) => !!assignment.dueAt && new Date(assignment.dueAt) < new Date();
+
+// Ask the AI for practice questions on a topic, one per numbered line
+export const suggestQuestions = async ({ topic, board, grade, count = 5 }) => {
+  const { text } = await streamQuery({
+    query:
+      `Write ${count} homework questions for Grade ${grade} ${board} students on: ${topic}. ` +
+      'Reply with a numbered list of questions only, one per line, without answers.',
+    board,
+    mediaType: 'text',
+  });
+  return (text || '')
+    .split('\n')
+    .map((line) => /^\s*\d+[.)]\s*(.+)$/.exec(line)?.[1].trim())
+    .filter(Boolean);
+};
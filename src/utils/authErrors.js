@@ -0,0 +1,19 @@
+// Helpers for reading the auth API's error responses ({ msg, code }).
+
+// Classify a failed reset or verification token: 'expired', 'invalid' or
+// 'error' for anything else (network, server)
+export const tokenError = (err) => {
+  const { status, data } = err.response || {};
+  if (data?.code === 'TOKEN_EXPIRED' || status === 410) return 'expired';
+  if (data?.code === 'TOKEN_INVALID' || status === 404) return 'invalid';
+  return 'error';
+};
+
+// Seconds the server asked us to wait after a 429, if it said
+export const retryAfterSeconds = (err) => {
+  if (err.response?.status !== 429) return null;
+  const header = Number(err.response.headers?.['retry-after']);
+  return Number.isFinite(header) && header > 0 ? header : 60;
+};
+
+export const errorMessage = (err, fallback) => err.response?.data?.msg || fallback;
@@ -0,0 +1,49 @@
+import api from './api';
+
+// A classroom is { id, name, board, grade, joinCode, archived, studentCount }.
+// The /classrooms list is scoped by role: a teacher's own classes, or the
+// classes a student has joined.
+
+export const fetchClassrooms = async ({ includeArchived = false } = {}) => {
+  const res = await api.get('/classrooms', { params: includeArchived ? { archived: true } : {} });
+  return res.data;
+};
+
+export const fetchClassroom = async (id) => {
+  const res = await api.get(`/classrooms/${id}`);
+  return res.data;
+};
+
+export const createClassroom = async ({ name, board, grade }) => {
+  const res = await api.post('/classrooms', { name, board, grade });
+  return res.data;
+};
+
+export const setClassroomArchived = async (id, archived) => {
+  const res = await api.patch(`/classrooms/${id}`, { archived });
+  return res.data;
+};
+
+// Join codes are shown in upper case and typed however the student likes
+export const normalizeJoinCode = (code) => code.replace(/[\s-]/g, '').toUpperCase();
+
+export const joinClassroom = async (code) => {
+  const res = await api.post('/classrooms/join', { code: normalizeJoinCode(code) });
+  return res.data;
+};
+
+// Enrolled students, each with their latest questions from /history
+export const fetchRoster = async (id, { recent = 5 } = {}) => {
+  const res = await api.get(`/classrooms/${id}/students`);
+  return Promise.all(
+    res.data.map(async (student) => {
+      try {
+        const history = await api.get('/history', { params: { student: student.id, limit: recent } });
+        return { ...student, recentActivity: history.data.slice(0, recent) };
+      } catch (err) {
+        console.error(`Failed to fetch history for student ${student.id}:`, err);
+        return { ...student, recentActivity: null };
+      }
+    })
+  );
+};
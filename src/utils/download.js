@@ -0,0 +1,15 @@
+// Save a URL (data: or blob:) as a file through a temporary link
+export const downloadUrl = (href, filename) => {
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = filename;
+  link.click();
+};
+
+// The object URL is revoked only after the click has been handled; revoking it
+// straight away cancels the download in Firefox and Safari
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  downloadUrl(url, filename);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
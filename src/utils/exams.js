@@ -0,0 +1,102 @@
+import api from './api';
+
+// A mock exam paper follows its board's `examPattern` (see utils/syllabus.js):
+//   { id, board, grade, subject, durationMinutes, startedAt?,
+//     sections: [{ id, name, type, marks, questions: [{ id, prompt, options? }] }] }
+// While it is being written the session { paper, answers, deadline } lives in
+// localStorage so a reload or a dropped connection does not lose anything.
+
+const SESSION_PREFIX = 'examSession:';
+
+export const patternTotals = (pattern) => ({
+  questions: pattern.sections.reduce((sum, section) => sum + section.count, 0),
+  marks: pattern.sections.reduce((sum, section) => sum + section.count * section.marks, 0),
+});
+
+export const generatePaper = async ({ board, grade, subject, pattern }) => {
+  const res = await api.post('/exams/papers', { board, grade, subject, pattern });
+  return res.data;
+};
+
+export const loadSession = (paperId) => {
+  try {
+    return JSON.parse(localStorage.getItem(`${SESSION_PREFIX}${paperId}`));
+  } catch {
+    return null;
+  }
+};
+
+export const saveSession = (session) =>
+  localStorage.setItem(`${SESSION_PREFIX}${session.paper.id}`, JSON.stringify({ ...session, savedAt: new Date().toISOString() }));
+
+export const clearSession = (paperId) => localStorage.removeItem(`${SESSION_PREFIX}${paperId}`);
+
+// A generated paper waits on its instructions page; the clock only starts
+// when the student begins writing
+export const createSession = (paper) => {
+  const session = { paper, answers: {}, deadline: null };
+  saveSession(session);
+  return session;
+};
+
+export const beginSession = (session, now = Date.now()) => {
+  const started = { ...session, deadline: now + session.paper.durationMinutes * 60 * 1000 };
+  saveSession(started);
+  api
+    .post(`/exams/papers/${session.paper.id}/start`, { startedAt: new Date(now).toISOString() })
+    .catch((err) => console.error('Failed to record exam start:', err));
+  return started;
+};
+
+// A paper opened on another device, or after it was marked: the server keeps
+// its start time, the last autosaved answers and any `result`
+export const resumeSession = async (paperId) => {
+  const res = await api.get(`/exams/papers/${paperId}`);
+  const { answers, result, ...paper } = res.data;
+  const deadline = paper.startedAt ? new Date(paper.startedAt).getTime() + paper.durationMinutes * 60 * 1000 : null;
+  const session = { paper, answers: answers || {}, deadline, result: result || null };
+  if (!session.result) saveSession(session);
+  return session;
+};
+
+export const autosaveAnswers = async (paperId, answers) => {
+  await api.put(`/exams/papers/${paperId}/answers`, { answers });
+};
+
+// The AI marks each answer against the paper's rubric:
+//   { paperId, board, subject, score, totalMarks, percent, summary, submittedAt,
+//     questions: [{ id, awarded, marks, feedback, rubric: [{ criterion, marks, awarded }] }] }
+export const submitPaper = async (paperId, answers) => {
+  const res = await api.post(`/exams/papers/${paperId}/submit`, { answers });
+  return res.data;
+};
+
+export const fetchExamResults = async () => {
+  try {
+    const res = await api.get('/exams/results');
+    return res.data;
+  } catch (err) {
+    console.error('Failed to fetch exam results:', err);
+    return [];
+  }
+};
+
+// Latest, best and previous mock exam percentages per subject, most recently
+// attempted subject first
+export const subjectProgress = (results) => {
+  const bySubject = new Map();
+  [...results]
+    .sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt))
+    .forEach((result) => {
+      const entry = bySubject.get(result.subject) || { subject: result.subject, attempts: 0, best: 0 };
+      bySubject.set(result.subject, {
+        ...entry,
+        attempts: entry.attempts + 1,
+        previous: entry.latest ?? null,
+        latest: result.percent,
+        best: Math.max(entry.best, result.percent),
+        lastAt: result.submittedAt,
+      });
+    });
+  return [...bySubject.values()].sort((a, b) => new Date(b.lastAt) - new Date(a.lastAt));
+};
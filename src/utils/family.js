@@ -0,0 +1,158 @@
+import api from './api';
+
+// Parent/child links. A student creates a short-lived link code and the parent
+// enters it, the same way students join a classroom. Linked parents can read
+// the child's history and set controls: { dailyLimitMinutes, allowedHours:
+// { start: 'HH:MM', end: 'HH:MM' }, weeklyDigest }, where null means no limit.
+
+const CONTROLS_PREFIX = 'parentalControls:';
+const USAGE_PREFIX = 'usage:';
+
+export const createLinkCode = async () => {
+  const res = await api.post('/family/link-code');
+  return res.data; // { code, expiresAt }
+};
+
+export const linkChild = async (code) => {
+  const res = await api.post('/family/children', { code: code.replace(/[\s-]/g, '').toUpperCase() });
+  return res.data;
+};
+
+export const fetchChildren = async () => {
+  const res = await api.get('/family/children');
+  return res.data;
+};
+
+export const unlinkChild = async (id) => {
+  await api.delete(`/family/children/${id}`);
+};
+
+export const fetchChildHistory = async (id, { limit = 200 } = {}) => {
+  const res = await api.get('/history', { params: { student: id, limit } });
+  return res.data;
+};
+
+// Minutes of use per day, as reported by the child's sessions: [{ date, minutes }]
+export const fetchChildUsage = async (id, { days = 28 } = {}) => {
+  const res = await api.get(`/family/children/${id}/usage`, { params: { days } });
+  return res.data;
+};
+
+export const fetchChildControls = async (id) => {
+  const res = await api.get(`/family/children/${id}/controls`);
+  return res.data;
+};
+
+export const saveChildControls = async (id, controls) => {
+  const res = await api.put(`/family/children/${id}/controls`, controls);
+  return res.data;
+};
+
+// Student side: the controls set by linked parents. The last copy is kept so a
+// failed request does not lift the limits. Cache and usage are per user, since
+// siblings often share a device.
+export const fetchOwnControls = async (userId) => {
+  try {
+    const res = await api.get('/family/controls');
+    localStorage.setItem(`${CONTROLS_PREFIX}${userId}`, JSON.stringify(res.data));
+    return res.data;
+  } catch (err) {
+    console.error('Failed to fetch parental controls:', err);
+    return getCachedControls(userId);
+  }
+};
+
+export const getCachedControls = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(`${CONTROLS_PREFIX}${userId}`));
+  } catch {
+    return null;
+  }
+};
+
+// Local calendar day as YYYY-MM-DD
+export const dayKey = (date = new Date()) => date.toLocaleDateString('en-CA');
+
+const usageKey = (userId, date) => `${USAGE_PREFIX}${userId}:${dayKey(date)}`;
+
+export const getUsageMinutes = (userId, date = new Date()) => Number(localStorage.getItem(usageKey(userId, date))) || 0;
+
+export const addUsageMinute = (userId) => {
+  const minutes = getUsageMinutes(userId) + 1;
+  localStorage.setItem(usageKey(userId, new Date()), String(minutes));
+  return minutes;
+};
+
+// Sent as the page is hidden or closed too, so the request is kept alive past unload
+export const reportUsage = (minutes) =>
+  api
+    .post('/family/usage', { date: dayKey(), minutes }, { adapter: 'fetch', fetchOptions: { keepalive: true } })
+    .catch((err) => console.error('Failed to report usage:', err));
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Allowed hours may wrap past midnight, e.g. 20:00 to 06:00
+export const isWithinAllowedHours = (allowedHours, now = new Date()) => {
+  if (!allowedHours?.start || !allowedHours?.end) return true;
+  const current = now.getHours() * 60 + now.getMinutes();
+  const start = toMinutes(allowedHours.start);
+  const end = toMinutes(allowedHours.end);
+  return start <= end ? current >= start && current < end : current >= start || current < end;
+};
+
+// Why the session is blocked right now, or null
+export const controlsBlock = (controls, usedMinutes, now = new Date()) => {
+  if (!controls) return null;
+  if (!isWithinAllowedHours(controls.allowedHours, now)) return 'hours';
+  if (controls.dailyLimitMinutes != null && usedMinutes >= controls.dailyLimitMinutes) return 'limit';
+  return null;
+};
+
+const itemDate = (item) => new Date(item.createdAt || item.timestamp);
+
+// Consecutive days with at least one question, ending today or yesterday
+export const activityStreak = (history, now = new Date()) => {
+  const days = new Set(history.map((item) => dayKey(itemDate(item))));
+  const cursor = new Date(now);
+  if (!days.has(dayKey(cursor))) cursor.setDate(cursor.getDate() - 1);
+  let streak = 0;
+  while (days.has(dayKey(cursor))) {
+    streak += 1;
+    cursor.setDate(cursor.getDate() - 1);
+  }
+  return streak;
+};
+
+// Questions, minutes and subjects between `from` (inclusive) and `to`
+export const summarizeActivity = (history, usage, { from, to }) => {
+  const questions = history.filter((item) => itemDate(item) >= from && itemDate(item) < to);
+  const minutes = usage
+    .filter((entry) => entry.date >= dayKey(from) && entry.date < dayKey(to))
+    .reduce((sum, entry) => sum + entry.minutes, 0);
+  const subjects = {};
+  // Chapter pages send `topic: { subject, ... }` with the question and the
+  // backend stores it on the history item; anything asked outside a chapter
+  // only has the subject the backend tags it with, if any
+  questions.forEach((item) => {
+    const subject = item.topic?.subject || item.subject || 'General';
+    subjects[subject] = (subjects[subject] || 0) + 1;
+  });
+  return { questions: questions.length, minutes, subjects };
+};
+
+// One summary per week, most recent first, with weeks starting on Monday
+export const weeklyDigests = (history, usage, { weeks = 4, now = new Date() } = {}) => {
+  const monday = new Date(now);
+  monday.setHours(0, 0, 0, 0);
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return Array.from({ length: weeks }, (_, i) => {
+    const from = new Date(monday);
+    from.setDate(from.getDate() - 7 * i);
+    const to = new Date(from);
+    to.setDate(to.getDate() + 7);
+    return { from, ...summarizeActivity(history, usage, { from, to }) };
+  });
+};
@@ -0,0 +1,35 @@
+import api from './api';
+
+// Ratings and mistake reports on answers, used to audit answer quality.
+// Answers are identified by the `queryId` and `responseId` that streamQuery
+// keeps on the assistant turn; answers saved before that only carry the
+// history record's `_id`.
+
+export const FEEDBACK_CATEGORIES = [
+  { id: 'factually-wrong', label: 'Factually wrong' },
+  { id: 'off-syllabus', label: 'Off-syllabus' },
+  { id: 'unclear', label: 'Unclear' },
+  { id: 'inappropriate', label: 'Inappropriate' },
+];
+
+export const answerIds = (turn, threadId) => ({
+  queryId: turn.queryId || turn._id || null,
+  responseId: turn.responseId || turn._id || turn.id || null,
+  threadId: threadId || null,
+});
+
+// `rating` is 'up', 'down', or null to take a rating back
+export const rateAnswer = async (turn, threadId, rating) => {
+  const res = await api.post('/feedback', { ...answerIds(turn, threadId), type: 'rating', rating });
+  return res.data;
+};
+
+export const reportMistake = async (turn, threadId, { category, comment }) => {
+  const res = await api.post('/feedback', {
+    ...answerIds(turn, threadId),
+    type: 'report',
+    category,
+    comment: comment.trim(),
+  });
+  return res.data;
+};
@@ -0,0 +1,208 @@
+import api from './api';
+import { getStoredUser } from './session';
+import { streamQuery } from './streamQuery';
+
+// A card is { id, front, back, board, source?: { query, threadId? }, ease,
+// interval (days), repetitions, dueAt, createdAt, updatedAt, deleted?, dirty? }.
+// localStorage is the working copy so reviews work offline; `dirty` cards are
+// pushed on the next sync and deleted ones stay as tombstones until then.
+// The deck is stored per user, since siblings often share a device.
+
+const STORAGE_PREFIX = 'flashcards:';
+const SYNCED_AT_PREFIX = 'flashcardsSyncedAt:';
+
+const deckKeys = () => {
+  const user = getStoredUser();
+  const owner = user?.id || user?._id || user?.email || 'guest';
+  return { cards: `${STORAGE_PREFIX}${owner}`, syncedAt: `${SYNCED_AT_PREFIX}${owner}` };
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+
+// Buttons shown after revealing a card, mapped to SM-2 quality (0-5)
+export const REVIEW_GRADES = [
+  { label: 'Again', quality: 1, className: 'bg-red-600 hover:bg-red-700' },
+  { label: 'Hard', quality: 3, className: 'bg-yellow-600 hover:bg-yellow-700' },
+  { label: 'Good', quality: 4, className: 'bg-green-600 hover:bg-green-700' },
+  { label: 'Easy', quality: 5, className: 'bg-blue-600 hover:bg-blue-700' },
+];
+
+export const readCards = (keys = deckKeys()) => {
+  try {
+    return JSON.parse(localStorage.getItem(keys.cards)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const listeners = new Set();
+
+const writeCards = (cards, keys = deckKeys()) => {
+  localStorage.setItem(keys.cards, JSON.stringify(cards));
+  // A sync that finishes after switching accounts must not show the old deck
+  if (keys.cards === deckKeys().cards) listeners.forEach((listener) => listener(cards));
+};
+
+// Called with the full card list whenever it changes; returns an unsubscribe
+export const subscribeCards = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+export const createCard = ({ front, back, board, source }, now = new Date()) => ({
+  id: `card-${now.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+  front: front.trim(),
+  back: back.trim(),
+  board,
+  source: source || null,
+  ease: 2.5,
+  interval: 0,
+  repetitions: 0,
+  dueAt: startOfDay(now).toISOString(),
+  createdAt: now.toISOString(),
+  updatedAt: now.toISOString(),
+  dirty: true,
+});
+
+// SM-2: a lapse (quality < 3) starts the card over; otherwise the gap grows
+// 1 day, 6 days, then by the card's ease, which drifts with each answer
+export const reviewCard = (card, quality, now = new Date()) => {
+  const ease = Math.max(MIN_EASE, card.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  let repetitions;
+  let interval;
+  if (quality < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions = card.repetitions + 1;
+    interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(card.interval * ease);
+  }
+  const due = startOfDay(now);
+  due.setDate(due.getDate() + interval);
+  return {
+    ...card,
+    ease,
+    interval,
+    repetitions,
+    dueAt: due.toISOString(),
+    lastReviewedAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    dirty: true,
+  };
+};
+
+// Cards due today or earlier, oldest first
+export const dueCards = (cards, now = new Date()) => {
+  const endOfToday = startOfDay(now).getTime() + DAY_MS;
+  return cards
+    .filter((card) => !card.deleted && new Date(card.dueAt).getTime() < endOfToday)
+    .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+};
+
+export const addCards = (drafts) => {
+  const created = drafts.map((draft) => createCard(draft));
+  writeCards([...created, ...readCards()]);
+  return created;
+};
+
+export const saveReview = (cardId, quality) =>
+  writeCards(readCards().map((card) => (card.id === cardId ? reviewCard(card, quality) : card)));
+
+export const deleteCard = (cardId) =>
+  writeCards(
+    readCards().map((card) =>
+      card.id === cardId ? { ...card, deleted: true, dirty: true, updatedAt: new Date().toISOString() } : card
+    )
+  );
+
+// Server changes win only over cards that have not been edited here since
+const mergeCards = (local, remote) => {
+  const byId = new Map(local.map((card) => [card.id, card]));
+  remote.forEach((card) => {
+    const mine = byId.get(card.id);
+    if (!mine || !mine.dirty || new Date(card.updatedAt) > new Date(mine.updatedAt)) {
+      byId.set(card.id, { ...card, dirty: false });
+    }
+  });
+  return [...byId.values()].filter((card) => !(card.deleted && !card.dirty));
+};
+
+const pushAndPull = async () => {
+  // Pinned for the whole round trip, so the result lands in the deck it came from
+  const keys = deckKeys();
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return readCards(keys);
+  const pending = readCards(keys).filter((card) => card.dirty);
+  try {
+    const res = await api.post('/flashcards/sync', {
+      cards: pending.map((card) => {
+        const rest = { ...card };
+        delete rest.dirty;
+        return rest;
+      }),
+      since: localStorage.getItem(keys.syncedAt),
+    });
+    // Only clear `dirty` on cards that were not changed again while the request was out
+    const sent = new Map(pending.map((card) => [card.id, card.updatedAt]));
+    const local = readCards(keys).map((card) =>
+      sent.get(card.id) === card.updatedAt ? { ...card, dirty: false } : card
+    );
+    const merged = mergeCards(local, res.data?.cards || []);
+    localStorage.setItem(keys.syncedAt, res.data?.syncedAt || new Date().toISOString());
+    writeCards(merged, keys);
+    return merged;
+  } catch (err) {
+    console.error('Failed to sync flashcards:', err);
+    return readCards(keys);
+  }
+};
+
+let inFlight = null;
+let queued = null;
+
+// Push local changes and pull the server's since the last sync. Offline or
+// failed syncs leave everything dirty for next time. Calls made while a sync
+// is running share one follow-up sync instead of racing it.
+export const syncCards = () => {
+  if (inFlight) {
+    queued = queued || inFlight.then(() => {
+      queued = null;
+      return syncCards();
+    });
+    return queued;
+  }
+  inFlight = pushAndPull().finally(() => {
+    inFlight = null;
+  });
+  return inFlight;
+};
+
+// Ask the AI to split an answer into question/answer cards
+export const generateCards = async ({ query, answer, board, count = 5 }) => {
+  const { text } = await streamQuery({
+    query:
+      `Turn this explanation into up to ${count} flashcards for revision.\n\n` +
+      `Question: ${query}\n\nAnswer: ${answer.slice(0, 4000)}\n\n` +
+      'Reply with one card per pair of lines, "Q: <question>" then "A: <short answer>", and nothing else.',
+    board,
+    mediaType: 'text',
+  });
+  const cards = [];
+  let front = null;
+  (text || '').split('\n').forEach((line) => {
+    const question = /^\s*Q:\s*(.+)$/i.exec(line);
+    const reply = /^\s*A:\s*(.+)$/i.exec(line);
+    if (question) front = question[1].trim();
+    else if (reply && front) {
+      cards.push({ front, back: reply[1].trim() });
+      front = null;
+    }
+  });
+  return cards;
+};
@@ -0,0 +1,336 @@
+// Parsing and geometry for the molecule viewer. Everything ends up as
+// { atoms: [{ element, position: [x, y, z] }], bonds: [{ a, b, order }], cell? }
+// with positions in ångström.
+
+// CPK colour, covalent and van der Waals radii (Å), valence electrons and usual valences
+export const ELEMENTS = {
+  H: { color: '#ffffff', covalent: 0.31, vdw: 1.2, electrons: 1, valences: [1] },
+  B: { color: '#ffb5b5', covalent: 0.84, vdw: 1.92, electrons: 3, valences: [3] },
+  C: { color: '#909090', covalent: 0.76, vdw: 1.7, electrons: 4, valences: [4] },
+  N: { color: '#3050f8', covalent: 0.71, vdw: 1.55, electrons: 5, valences: [3, 5] },
+  O: { color: '#ff0d0d', covalent: 0.66, vdw: 1.52, electrons: 6, valences: [2] },
+  F: { color: '#90e050', covalent: 0.57, vdw: 1.47, electrons: 7, valences: [1] },
+  Na: { color: '#ab5cf2', covalent: 1.66, vdw: 2.27, electrons: 1, valences: [1] },
+  Mg: { color: '#8aff00', covalent: 1.41, vdw: 1.73, electrons: 2, valences: [2] },
+  Al: { color: '#bfa6a6', covalent: 1.21, vdw: 1.84, electrons: 3, valences: [3] },
+  Si: { color: '#f0c8a0', covalent: 1.11, vdw: 2.1, electrons: 4, valences: [4] },
+  P: { color: '#ff8000', covalent: 1.07, vdw: 1.8, electrons: 5, valences: [3, 5] },
+  S: { color: '#ffff30', covalent: 1.05, vdw: 1.8, electrons: 6, valences: [2, 4, 6] },
+  Cl: { color: '#1ff01f', covalent: 1.02, vdw: 1.75, electrons: 7, valences: [1] },
+  K: { color: '#8f40d4', covalent: 2.03, vdw: 2.75, electrons: 1, valences: [1] },
+  Ca: { color: '#3dff00', covalent: 1.76, vdw: 2.31, electrons: 2, valences: [2] },
+  Fe: { color: '#e06633', covalent: 1.32, vdw: 2.0, electrons: 2, valences: [2, 3] },
+  Cu: { color: '#c88033', covalent: 1.32, vdw: 1.4, electrons: 1, valences: [1, 2] },
+  Zn: { color: '#7d80b0', covalent: 1.22, vdw: 1.39, electrons: 2, valences: [2] },
+  Br: { color: '#a62929', covalent: 1.2, vdw: 1.85, electrons: 7, valences: [1] },
+  I: { color: '#940094', covalent: 1.39, vdw: 1.98, electrons: 7, valences: [1] },
+};
+
+const UNKNOWN_ELEMENT = { color: '#ff1493', covalent: 0.8, vdw: 1.6, electrons: 4, valences: [] };
+
+export const elementInfo = (symbol) => ELEMENTS[symbol] || UNKNOWN_ELEMENT;
+
+const distance = (p, q) => Math.hypot(p[0] - q[0], p[1] - q[1], p[2] - q[2]);
+
+// Connect atoms closer than the sum of their covalent radii (plus tolerance)
+const inferBonds = (atoms, cutoff) => {
+  const bonds = [];
+  for (let a = 0; a < atoms.length; a++) {
+    for (let b = a + 1; b < atoms.length; b++) {
+      const limit =
+        cutoff || (elementInfo(atoms[a].element).covalent + elementInfo(atoms[b].element).covalent) * 1.2;
+      if (distance(atoms[a].position, atoms[b].position) <= limit) bonds.push({ a, b, order: 1 });
+    }
+  }
+  return bonds;
+};
+
+// ---- SMILES-lite ---------------------------------------------------------
+// Supports the organic subset (B C N O P S F Cl Br I and aromatic b c n o p s),
+// [bracket] atoms with H counts and charges, branches, ring closures, - = # :
+// bonds and '.' for separate fragments. Stereo marks (@ / \) are ignored.
+
+const SMILES_TOKEN = /(\[[^\]]+\]|Cl|Br|[BCNOPSFI]|[bcnops]|[()=#\-:.\\/]|%\d{2}|\d)/g;
+
+export const parseSmiles = (smiles) => {
+  const atoms = [];
+  const bonds = [];
+  const branchStack = [];
+  const rings = {};
+  let previous = null;
+  let pendingOrder = null;
+
+  const tokens = smiles.trim().match(SMILES_TOKEN) || [];
+  if (tokens.join('') !== smiles.trim()) {
+    throw new Error('Unsupported characters in SMILES string');
+  }
+
+  const bondOrder = (a, b) => {
+    if (pendingOrder !== null) return pendingOrder;
+    return atoms[a].aromatic && atoms[b].aromatic ? 1.5 : 1;
+  };
+
+  tokens.forEach((token) => {
+    if (token === '(') {
+      branchStack.push(previous);
+    } else if (token === ')') {
+      previous = branchStack.pop();
+    } else if (token === '.') {
+      previous = null;
+    } else if ('-=#:'.includes(token)) {
+      pendingOrder = { '-': 1, '=': 2, '#': 3, ':': 1.5 }[token];
+    } else if (token === '/' || token === '\\') {
+      // cis/trans marks carry no connectivity
+    } else if (/^(%\d{2}|\d)$/.test(token)) {
+      const ring = token.replace('%', '');
+      if (rings[ring] === undefined) {
+        rings[ring] = { atom: previous, order: pendingOrder };
+      } else {
+        const open = rings[ring];
+        pendingOrder = pendingOrder ?? open.order;
+        bonds.push({ a: open.atom, b: previous, order: bondOrder(open.atom, previous) });
+        delete rings[ring];
+      }
+      pendingOrder = null;
+    } else {
+      let atom;
+      if (token.startsWith('[')) {
+        const match = /^\[(\d*)([A-Z][a-z]?|[bcnops])(@*)(H\d?)?([+-]+\d*)?\]$/.exec(token);
+        if (!match) throw new Error(`Cannot read atom ${token}`);
+        const symbol = match[2];
+        atom = {
+          element: symbol[0].toUpperCase() + symbol.slice(1),
+          aromatic: symbol === symbol.toLowerCase(),
+          explicitH: match[4] ? Number(match[4].slice(1) || 1) : 0,
+          charge: match[5] || '',
+          bracket: true,
+        };
+      } else {
+        atom = {
+          element: token[0].toUpperCase() + token.slice(1),
+          aromatic: token === token.toLowerCase(),
+          bracket: false,
+        };
+      }
+      atoms.push(atom);
+      const index = atoms.length - 1;
+      if (previous !== null) bonds.push({ a: previous, b: index, order: bondOrder(previous, index) });
+      previous = index;
+      pendingOrder = null;
+    }
+  });
+
+  if (Object.keys(rings).length > 0) throw new Error('Unclosed ring in SMILES string');
+  if (atoms.length === 0) throw new Error('Empty SMILES string');
+
+  // Fill in the hydrogens SMILES leaves implicit
+  const heavyCount = atoms.length;
+  for (let i = 0; i < heavyCount; i++) {
+    const atom = atoms[i];
+    let hydrogens = atom.explicitH || 0;
+    if (!atom.bracket) {
+      const used = Math.floor(bonds.filter((b) => b.a === i || b.b === i).reduce((sum, b) => sum + b.order, 0));
+      const valence = elementInfo(atom.element).valences.find((v) => v >= used);
+      hydrogens = valence === undefined ? 0 : valence - used;
+    }
+    for (let h = 0; h < hydrogens; h++) {
+      atoms.push({ element: 'H' });
+      bonds.push({ a: i, b: atoms.length - 1, order: 1 });
+    }
+  }
+
+  return {
+    atoms: atoms.map(({ element, charge }) => ({ element, ...(charge && { charge }) })),
+    bonds,
+  };
+};
+
+// ---- XYZ -----------------------------------------------------------------
+
+export const parseXYZ = (text) => {
+  let lines = text.trim().split(/\r?\n/);
+  if (/^\d+$/.test(lines[0].trim())) lines = lines.slice(2);
+  const atoms = lines
+    .map((line) => line.trim().split(/\s+/))
+    .filter((parts) => parts.length >= 4)
+    .map(([element, x, y, z]) => ({ element, position: [Number(x), Number(y), Number(z)] }));
+  if (atoms.length === 0 || atoms.some((a) => a.position.some(Number.isNaN))) {
+    throw new Error('Cannot read XYZ coordinates');
+  }
+  return { atoms, bonds: inferBonds(atoms) };
+};
+
+// ---- JSON ----------------------------------------------------------------
+// Molecules: { atoms: [{ element, x, y, z } | { element, position }], bonds: [[a, b, order?] | { a, b, order }] }
+// Crystals:  { cell: [a, b, c], basis: [{ element, position: [fx, fy, fz] }], repeat?: [nx, ny, nz], bondCutoff? }
+
+const parseCrystal = ({ cell, basis, repeat = [2, 2, 2], bondCutoff }) => {
+  const [a, b, c] = cell;
+  const atoms = [];
+  const seen = new Set();
+  for (let i = 0; i <= repeat[0]; i++) {
+    for (let j = 0; j <= repeat[1]; j++) {
+      for (let k = 0; k <= repeat[2]; k++) {
+        basis.forEach(({ element, position: [fx, fy, fz] }) => {
+          const frac = [fx + i, fy + j, fz + k];
+          // Keep atoms on the far faces so the block looks closed, but nothing beyond it
+          if (frac[0] > repeat[0] + 1e-6 || frac[1] > repeat[1] + 1e-6 || frac[2] > repeat[2] + 1e-6) return;
+          const key = frac.map((f) => f.toFixed(4)).join(',');
+          if (seen.has(key)) return;
+          seen.add(key);
+          atoms.push({ element, position: [frac[0] * a, frac[1] * b, frac[2] * c] });
+        });
+      }
+    }
+  }
+  return { atoms, bonds: bondCutoff === 0 ? [] : inferBonds(atoms, bondCutoff), cell: { size: cell, repeat } };
+};
+
+export const parseMoleculeJSON = (input) => {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  if (data.cell && data.basis) return parseCrystal(data);
+  if (!Array.isArray(data.atoms)) throw new Error('Molecule JSON needs an atoms list');
+
+  const atoms = data.atoms.map((atom) => {
+    const position = atom.position || (atom.x !== undefined ? [atom.x, atom.y, atom.z || 0] : null);
+    return { element: atom.element, ...(position && { position }) };
+  });
+  const bonds = data.bonds
+    ? data.bonds.map((bond) =>
+        Array.isArray(bond) ? { a: bond[0], b: bond[1], order: bond[2] || 1 } : { order: 1, ...bond }
+      )
+    : null;
+
+  if (atoms.every((atom) => atom.position)) return { atoms, bonds: bonds || inferBonds(atoms) };
+  if (!bonds) throw new Error('Molecule JSON without coordinates needs a bonds list');
+  return { atoms, bonds };
+};
+
+// ---- Geometry --------------------------------------------------------------
+
+// VSEPR angle at an atom: steric number from neighbours plus lone pairs,
+// squeezed 2.5° per lone pair (water 104.5°, ammonia 107°)
+const idealAngle = (molecule, index, neighbours) => {
+  const atom = molecule.atoms[index];
+  const bonded = molecule.bonds
+    .filter((b) => b.a === index || b.b === index)
+    .reduce((sum, b) => sum + b.order, 0);
+  const lonePairs = Math.max(0, Math.floor((elementInfo(atom.element).electrons - bonded) / 2));
+  const steric = neighbours + (atom.element === 'H' ? 0 : lonePairs);
+  const hasTriple = molecule.bonds.some((b) => (b.a === index || b.b === index) && b.order === 3);
+  if (steric <= 2 || hasTriple) return 180;
+  if (steric === 3) return 120 - lonePairs * 2.5;
+  return 109.5 - lonePairs * 2.5;
+};
+
+// Seeded so the same molecule always lays out the same way
+const seededRandom = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647 - 0.5;
+};
+
+const LAYOUT_STEPS = 2000;
+const REPULSION = 0.3;
+
+// Give coordinates to molecules that arrive without them (SMILES, bare JSON).
+// A small force layout pulls bonded atoms to covalent distances and 1-3 pairs
+// to the distance their VSEPR angle implies, and pushes everything else apart.
+export const layoutMolecule = (molecule) => {
+  const { atoms, bonds } = molecule;
+  if (atoms.every((atom) => atom.position)) return molecule;
+
+  const neighbours = atoms.map(() => []);
+  bonds.forEach(({ a, b }) => {
+    neighbours[a].push(b);
+    neighbours[b].push(a);
+  });
+
+  const bondLength = (a, b, order = 1) =>
+    (elementInfo(atoms[a].element).covalent + elementInfo(atoms[b].element).covalent) * (order >= 2 ? 0.87 : 1);
+
+  const springs = bonds.map(({ a, b, order }) => ({ a, b, length: bondLength(a, b, order), strength: 1 }));
+  atoms.forEach((_, center) => {
+    const list = neighbours[center];
+    const angle = (idealAngle(molecule, center, list.length) * Math.PI) / 180;
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const d1 = bondLength(center, list[i]);
+        const d2 = bondLength(center, list[j]);
+        const length = Math.sqrt(d1 * d1 + d2 * d2 - 2 * d1 * d2 * Math.cos(angle));
+        springs.push({ a: list[i], b: list[j], length, strength: 1 });
+      }
+    }
+  });
+  const connected = new Set(springs.map(({ a, b }) => `${Math.min(a, b)}-${Math.max(a, b)}`));
+
+  const random = seededRandom(atoms.length * 7919 + bonds.length);
+  const positions = atoms.map(() => [random() * 3, random() * 3, random() * 3]);
+
+  for (let step = 0; step < LAYOUT_STEPS; step++) {
+    const forces = atoms.map(() => [0, 0, 0]);
+    const push = (a, b, amount) => {
+      const delta = [0, 1, 2].map((k) => positions[b][k] - positions[a][k]);
+      const length = Math.hypot(...delta) || 1e-3;
+      for (let k = 0; k < 3; k++) {
+        forces[a][k] -= (delta[k] / length) * amount;
+        forces[b][k] += (delta[k] / length) * amount;
+      }
+    };
+    springs.forEach(({ a, b, length, strength }) => {
+      push(a, b, -(distance(positions[a], positions[b]) - length) * strength);
+    });
+    for (let a = 0; a < atoms.length; a++) {
+      for (let b = a + 1; b < atoms.length; b++) {
+        if (connected.has(`${a}-${b}`)) continue;
+        // Soft spheres: only atoms crowding each other get pushed apart
+        const d = distance(positions[a], positions[b]);
+        const minimum = (elementInfo(atoms[a].element).vdw + elementInfo(atoms[b].element).vdw) * 0.75;
+        if (d < minimum) push(a, b, (minimum - d) * REPULSION);
+      }
+    }
+    const rate = 0.2 * (1 - step / LAYOUT_STEPS) + 0.01;
+    positions.forEach((p, i) => {
+      for (let k = 0; k < 3; k++) p[k] += Math.max(-0.5, Math.min(0.5, forces[i][k] * rate));
+    });
+  }
+
+  return { ...molecule, estimated: true, atoms: atoms.map((atom, i) => ({ ...atom, position: positions[i] })) };
+};
+
+// Angles between each pair of bonds meeting at an atom. Laid-out molecules only
+// approximate their geometry, so they report the VSEPR angle instead of the measured one.
+export const bondAngles = (molecule) => {
+  const { atoms, bonds } = molecule;
+  const angles = [];
+  atoms.forEach((atom, center) => {
+    const list = bonds.filter((b) => b.a === center || b.b === center).map((b) => (b.a === center ? b.b : b.a));
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const u = [0, 1, 2].map((k) => atoms[list[i]].position[k] - atom.position[k]);
+        const v = [0, 1, 2].map((k) => atoms[list[j]].position[k] - atom.position[k]);
+        const cos = (u[0] * v[0] + u[1] * v[1] + u[2] * v[2]) / (Math.hypot(...u) * Math.hypot(...v));
+        const degrees = molecule.estimated
+          ? idealAngle(molecule, center, list.length)
+          : (Math.acos(Math.max(-1, Math.min(1, cos))) * 180) / Math.PI;
+        angles.push({ atom: center, between: [list[i], list[j]], degrees });
+      }
+    }
+  });
+  return angles;
+};
+
+// Accepts { format: 'smiles' | 'xyz' | 'json', data }, a JSON object, or raw text
+// (XYZ if it has coordinate lines, JSON if it starts with '{', otherwise SMILES)
+export const parseMolecule = (input) => {
+  if (input && typeof input === 'object' && input.format) {
+    const parsers = { smiles: parseSmiles, xyz: parseXYZ, json: parseMoleculeJSON };
+    const parser = parsers[input.format.toLowerCase()];
+    if (!parser) throw new Error(`Unknown molecule format: ${input.format}`);
+    return layoutMolecule(parser(input.data));
+  }
+  if (typeof input === 'object') return layoutMolecule(parseMoleculeJSON(input));
+  const text = String(input).trim();
+  if (text.startsWith('{')) return layoutMolecule(parseMoleculeJSON(text));
+  if (/^[A-Z][a-z]?\s+-?[\d.]+\s+-?[\d.]+\s+-?[\d.]+/m.test(text)) return parseXYZ(text);
+  return layoutMolecule(parseSmiles(text));
+};
@@ -0,0 +1,58 @@
+import { createWorker } from 'tesseract.js';
+// Worker and WASM core are bundled by Vite and the English model is served at
+// /tesseract by the ocrLangData plugin in vite.config.js, all from our own
+// origin, so OCR never reaches out to a CDN.
+import workerPath from 'tesseract.js/dist/worker.min.js?url';
+import coreSimdPath from 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js?url';
+import corePath from 'tesseract.js-core/tesseract-core-lstm.wasm.js?url';
+
+// The worker fetches `${langPath}/eng.traineddata.gz`; it runs from /assets, so
+// the directory has to be an absolute URL
+const LANG_PATH = new URL(`${import.meta.env.BASE_URL}tesseract`, window.location.origin).href;
+
+// Smallest module using a SIMD instruction (same probe as wasm-feature-detect)
+const SIMD_PROBE = new Uint8Array([
+  0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11,
+]);
+
+let workerPromise = null;
+let progressListener = null;
+
+const loadWorker = () =>
+  createWorker('eng', 1, {
+    workerPath,
+    corePath: WebAssembly.validate(SIMD_PROBE) ? coreSimdPath : corePath,
+    langPath: LANG_PATH,
+    gzip: true,
+    workerBlobURL: false,
+    cacheMethod: 'none',
+    logger: (message) => progressListener?.(message),
+  });
+
+// Extract text from an image (Blob, File, canvas or data URL).
+// `onProgress` receives values between 0 and 1 while recognition runs.
+export const recognizeText = async (image, onProgress) => {
+  if (!workerPromise) {
+    workerPromise = loadWorker().catch((err) => {
+      workerPromise = null;
+      throw err;
+    });
+  }
+  progressListener = (message) => {
+    if (message.status === 'recognizing text') onProgress?.(message.progress);
+  };
+  try {
+    const worker = await workerPromise;
+    const { data } = await worker.recognize(image);
+    return data.text.trim();
+  } finally {
+    progressListener = null;
+  }
+};
+
+export const terminateOcr = async () => {
+  if (!workerPromise) return;
+  const worker = await workerPromise;
+  workerPromise = null;
+  await worker.terminate();
+};
@@ -0,0 +1,221 @@
+// Expression parsing for the function plotter. Expressions are compiled to
+// plain closures rather than passed to eval, since they come from answers and
+// from whatever the student types.
+
+const FUNCTIONS = {
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  sinh: Math.sinh,
+  cosh: Math.cosh,
+  tanh: Math.tanh,
+  sec: (v) => 1 / Math.cos(v),
+  cosec: (v) => 1 / Math.sin(v),
+  csc: (v) => 1 / Math.sin(v),
+  cot: (v) => 1 / Math.tan(v),
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  round: Math.round,
+  sign: Math.sign,
+};
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const TOKEN = /\s*(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+|[a-z_][a-z0-9_]*|\*\*|[-+*/^(),])/iy;
+
+const tokenize = (text) => {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < text.length) {
+    if (!text.slice(TOKEN.lastIndex).trim()) break;
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(text);
+    if (!match) throw new Error(`Unexpected "${text.slice(start).trim()[0]}" in ${text}`);
+    tokens.push(match[1] === '**' ? '^' : match[1]);
+  }
+  return tokens;
+};
+
+const isNumber = (token) => /^[\d.]/.test(token);
+const isName = (token) => /^[a-z_]/i.test(token);
+
+// Recursive descent over: sum -> product -> unary -> power -> call/atom.
+// A number, name or bracket directly after another factor multiplies (2x, 3sin(x), (x+1)(x-1)).
+const parseTokens = (tokens) => {
+  let position = 0;
+  const variables = new Set();
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (token) => {
+    if (next() !== token) throw new Error(`Expected "${token}"`);
+  };
+
+  const sum = () => {
+    let left = product();
+    while (peek() === '+' || peek() === '-') {
+      const op = next();
+      const l = left;
+      const r = product();
+      left = op === '+' ? (s) => l(s) + r(s) : (s) => l(s) - r(s);
+    }
+    return left;
+  };
+
+  const startsFactor = (token) => token !== undefined && (isNumber(token) || isName(token) || token === '(');
+
+  const product = () => {
+    let left = unary();
+    for (;;) {
+      const token = peek();
+      if (token === '*' || token === '/') {
+        next();
+        const l = left;
+        const r = unary();
+        left = token === '*' ? (s) => l(s) * r(s) : (s) => l(s) / r(s);
+      } else if (startsFactor(token)) {
+        const l = left;
+        const r = power();
+        left = (s) => l(s) * r(s);
+      } else {
+        return left;
+      }
+    }
+  };
+
+  const unary = () => {
+    if (peek() === '-') {
+      next();
+      const operand = unary();
+      return (s) => -operand(s);
+    }
+    if (peek() === '+') next();
+    return power();
+  };
+
+  // Right associative, and binds tighter than unary minus: -x^2 is -(x^2)
+  const power = () => {
+    const base = atom();
+    if (peek() !== '^') return base;
+    next();
+    const exponent = unary();
+    return (s) => base(s) ** exponent(s);
+  };
+
+  const atom = () => {
+    const token = next();
+    if (token === undefined) throw new Error('Expression ended early');
+    if (token === '(') {
+      const inner = sum();
+      expect(')');
+      return inner;
+    }
+    if (isNumber(token)) {
+      const value = Number(token);
+      return () => value;
+    }
+    if (isName(token)) {
+      const name = token.toLowerCase();
+      if (FUNCTIONS[name]) {
+        // sin x and sin^2 x are common in textbooks; only the bracketed form is supported
+        expect('(');
+        const argument = sum();
+        expect(')');
+        const fn = FUNCTIONS[name];
+        return (s) => fn(argument(s));
+      }
+      if (name in CONSTANTS) {
+        const value = CONSTANTS[name];
+        return () => value;
+      }
+      variables.add(token);
+      return (s) => s[token];
+    }
+    throw new Error(`Unexpected "${token}"`);
+  };
+
+  const evaluate = sum();
+  if (position < tokens.length) throw new Error(`Unexpected "${tokens[position]}"`);
+  return { evaluate, variables };
+};
+
+// Compile an expression such as "a*sin(2x) + 1". The result evaluates against
+// a scope object ({ x, a }) and lists the free variables it needs.
+export const compileExpression = (text) => {
+  const { evaluate, variables } = parseTokens(tokenize(text));
+  return {
+    text,
+    variables: [...variables],
+    evaluate: (scope) => {
+      const value = evaluate(scope);
+      return Number.isFinite(value) ? value : NaN;
+    },
+  };
+};
+
+export const CURVE_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2'];
+const DEFAULT_RANGE = [-10, 10];
+const DEFAULT_PARAMETER = { value: 1, min: -10, max: 10 };
+
+const RANGE = /^\[\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*\]$/;
+const PARAMETER = /^(-?[\d.]+)(?:\s*\[\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*\])?$/;
+
+// Parse the body of a ```plot block. One statement per line (or separated by ';'):
+//   y = a*sin(x)        a curve; "f(x) = ..." or a bare expression works too
+//   a = 2 [0, 5]        a parameter slider with its starting value and range
+//   x = [-10, 10]       the visible x (or y) range
+// Lines starting with '#' are comments.
+export const parsePlotSpec = (text) => {
+  const curves = [];
+  const parameters = {};
+  let xRange = DEFAULT_RANGE;
+  let yRange = null;
+
+  text
+    .split(/[\n;]/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .forEach((line) => {
+      const [left, ...rest] = line.split('=');
+      const name = rest.length ? left.trim() : null;
+      const right = rest.join('=').trim();
+
+      if ((name === 'x' || name === 'y') && RANGE.test(right)) {
+        const [, min, max] = RANGE.exec(right);
+        if (name === 'x') xRange = [Number(min), Number(max)];
+        else yRange = [Number(min), Number(max)];
+        return;
+      }
+      if (name && /^[a-z_]\w*$/i.test(name) && name !== 'x' && name !== 'y' && PARAMETER.test(right)) {
+        const [, value, min, max] = PARAMETER.exec(right);
+        const start = Number(value);
+        parameters[name] = min === undefined
+          ? { value: start, min: Math.min(DEFAULT_PARAMETER.min, start), max: Math.max(DEFAULT_PARAMETER.max, start) }
+          : { value: start, min: Number(min), max: Number(max) };
+        return;
+      }
+
+      const expression = name ? right : line;
+      const label = name && /^(y|[a-z]\w*\(x\))$/i.test(name) ? `${name} = ${expression}` : `y = ${expression}`;
+      curves.push({ ...compileExpression(expression), label, color: CURVE_COLORS[curves.length % CURVE_COLORS.length] });
+    });
+
+  // Any unknown besides x becomes a slider
+  curves.forEach((curve) => {
+    curve.variables
+      .filter((name) => name !== 'x' && !parameters[name])
+      .forEach((name) => {
+        parameters[name] = { ...DEFAULT_PARAMETER };
+      });
+  });
+
+  return { curves, parameters, xRange, yRange };
+};
@@ -0,0 +1,102 @@
+import api from './api';
+
+// A quiz question is one of:
+//   { id, type: 'mcq', prompt, options: [string], answer: <option index>, explanation }
+//   { id, type: 'true-false', prompt, answer: boolean, explanation }
+//   { id, type: 'short', prompt, answer: string, accepted?: [string], explanation }
+// Responses use the same shape as `answer`.
+
+export const QUESTION_TYPES = [
+  { id: 'mcq', label: 'Multiple choice' },
+  { id: 'true-false', label: 'True / false' },
+  { id: 'short', label: 'Short answer' },
+];
+
+export const QUESTION_COUNTS = [5, 10, 15];
+
+export const SECONDS_PER_QUESTION = 60;
+
+const isValidQuestion = (question) => {
+  if (!question || typeof question.prompt !== 'string' || !question.prompt.trim()) return false;
+  switch (question.type) {
+    case 'mcq':
+      return (
+        Array.isArray(question.options) &&
+        question.options.length >= 2 &&
+        Number.isInteger(question.answer) &&
+        question.answer >= 0 &&
+        question.answer < question.options.length
+      );
+    case 'true-false':
+      return typeof question.answer === 'boolean';
+    case 'short':
+      return typeof question.answer === 'string' && question.answer.trim() !== '';
+    default:
+      return false;
+  }
+};
+
+// Ask the API for a fresh quiz on a subject, or one chapter of it. Malformed
+// questions are dropped rather than shown half-broken.
+export const generateQuiz = async ({ board, grade, subject, chapter, count, types }) => {
+  const res = await api.post('/quizzes/generate', { board, grade, subject, chapter, count, types });
+  const questions = (res.data?.questions || []).filter(isValidQuestion);
+  if (questions.length === 0) throw new Error('The quiz came back empty. Please try again.');
+  return questions.map((question, index) => ({ ...question, id: question.id || `q${index + 1}` }));
+};
+
+// Case, punctuation and spacing do not count against a short answer
+const normalizeAnswer = (text) =>
+  String(text ?? '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}.]+/gu, ' ')
+    .replace(/\.+\s*$/, '')
+    .trim();
+
+export const isCorrect = (question, response) => {
+  if (response === undefined || response === null || response === '') return false;
+  if (question.type === 'short') {
+    const given = normalizeAnswer(response);
+    return [question.answer, ...(question.accepted || [])].some((answer) => normalizeAnswer(answer) === given);
+  }
+  return response === question.answer;
+};
+
+// `responses` is keyed by question id; unanswered questions count as wrong
+export const scoreQuiz = (questions, responses) => {
+  const results = questions.map((question) => isCorrect(question, responses[question.id]));
+  const correct = results.filter(Boolean).length;
+  return {
+    correct,
+    total: questions.length,
+    percent: questions.length > 0 ? Math.round((correct / questions.length) * 100) : 0,
+    results,
+  };
+};
+
+// Human-readable form of an answer or response, e.g. for the review list
+export const describeAnswer = (question, value) => {
+  if (value === undefined || value === null || value === '') return 'No answer';
+  if (question.type === 'mcq') return question.options[value];
+  if (question.type === 'true-false') return value ? 'True' : 'False';
+  return value;
+};
+
+export const formatDuration = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+// Finished quizzes appear in LearningHistory alongside questions and conversations
+export const saveQuizResult = async (result) => {
+  const res = await api.post('/quizzes/results', result);
+  return res.data;
+};
+
+export const fetchQuizResults = async () => {
+  try {
+    const res = await api.get('/quizzes/results');
+    return res.data;
+  } catch (err) {
+    console.error('Failed to fetch quiz results:', err);
+    return [];
+  }
+};
@@ -0,0 +1,74 @@
+// The stored login: access token, refresh token and user profile. api.js and
+// streamQuery.js read tokens from here; AuthContext subscribes so the UI
+// follows refreshes and logouts that happen inside a request.
+
+const TOKEN_KEY = 'token';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+const USER_KEY = 'user';
+
+const listeners = new Set();
+
+export const getAccessToken = () => localStorage.getItem(TOKEN_KEY);
+export const getRefreshToken = () => localStorage.getItem(REFRESH_TOKEN_KEY);
+
+export const getStoredUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY));
+  } catch {
+    return null;
+  }
+};
+
+export const getSession = () => ({
+  token: getAccessToken(),
+  refreshToken: getRefreshToken(),
+  user: getStoredUser(),
+});
+
+const notify = (reason) => {
+  const session = getSession();
+  listeners.forEach((listener) => listener(session, reason));
+};
+
+// Store whatever the auth endpoint returned. A refresh may omit the refresh
+// token or user, in which case the stored ones are kept.
+export const saveSession = ({ token, refreshToken, user }) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  if (user) localStorage.setItem(USER_KEY, JSON.stringify(user));
+  notify('login');
+};
+
+// `reason` is 'logout' when the user asked for it and 'expired' when the session ran out
+export const clearSession = (reason = 'logout') => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+  notify(reason);
+};
+
+export const subscribeSession = (listener) => {
+  listeners.add(listener);
+  // Logging in or out in another tab shows up as a storage event
+  const onStorage = (e) => {
+    if (e.key === null || [TOKEN_KEY, REFRESH_TOKEN_KEY, USER_KEY].includes(e.key)) {
+      listener(getSession(), getAccessToken() ? 'login' : 'logout');
+    }
+  };
+  window.addEventListener('storage', onStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', onStorage);
+  };
+};
+
+// Expiry time in ms of a JWT, or null for tokens that are not JWTs or carry no `exp`
+export const tokenExpiry = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const { exp } = JSON.parse(atob(payload));
+    return typeof exp === 'number' ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,115 @@
+import { QUERY_STREAM_URL } from '../config/env';
+import api, { refreshSession } from './api';
+import { getAccessToken } from './session';
+
+// Parse one Server-Sent Events block into { event, data }
+const parseEvent = (block) => {
+  let event = 'message';
+  const data = [];
+  block.split(/\r?\n/).forEach((line) => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+  });
+  if (data.length === 0) return null;
+  try {
+    return { event, data: JSON.parse(data.join('\n')) };
+  } catch {
+    return { event, data: { delta: data.join('\n') } };
+  }
+};
+
+// The backend saves each answer as a history record and sends back its `_id`;
+// newer responses name the query and response separately. Either way the ids
+// are kept on the result so feedback and regenerate can point at the answer.
+const withAnswerIds = (data) => ({
+  ...data,
+  queryId: data.queryId ?? data._id ?? null,
+  responseId: data.responseId ?? data._id ?? null,
+});
+
+// POST a query and stream the answer. `onDelta` receives each text chunk as it
+// arrives; the resolved value is the final response ({ text, visual, video, ... }).
+// Aborting through `signal` rejects with an AbortError.
+export const streamQuery = async (payload, { onDelta, signal } = {}) => {
+  const send = () => {
+    const token = getAccessToken();
+    return fetch(QUERY_STREAM_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: JSON.stringify(payload),
+      signal,
+    });
+  };
+
+  let res = await send();
+  // Same silent refresh as the axios instance: renew the token once and retry
+  if (res.status === 401 && getAccessToken()) {
+    await refreshSession();
+    res = await send();
+  }
+
+  // No streaming endpoint on this backend yet: ask the plain /query instead
+  if (res.status === 404 || res.status === 405) {
+    const { data } = await api.post('/query', payload, { signal }).catch((err) => {
+      // Callers tell a stopped answer apart by the fetch-style AbortError
+      throw signal?.aborted ? new DOMException('The request was aborted.', 'AbortError') : err;
+    });
+    if (data.text) onDelta?.(data.text);
+    return withAnswerIds(data);
+  }
+
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error || body.msg || `Request failed with status ${res.status}`);
+  }
+
+  // Backends without streaming support answer with plain JSON
+  if (!res.headers.get('Content-Type')?.includes('text/event-stream') || !res.body) {
+    const data = await res.json();
+    if (data.text) onDelta?.(data.text);
+    return withAnswerIds(data);
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = { text: '' };
+
+  const handleBlock = (block) => {
+    const parsed = parseEvent(block);
+    if (!parsed) return;
+    if (parsed.event === 'error') {
+      throw new Error(parsed.data.error || 'Stream failed');
+    }
+    if (parsed.event === 'done') {
+      result = withAnswerIds({ ...result, ...parsed.data, text: parsed.data.text ?? result.text });
+      return;
+    }
+    if (parsed.data.delta) {
+      result.text += parsed.data.delta;
+      onDelta?.(parsed.data.delta);
+    }
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(handleBlock);
+  }
+
+  // Proxies may drop the blank line after the last event; it still counts
+  buffer += decoder.decode();
+  if (buffer.trim()) handleBlock(buffer);
+
+  return result;
+};
+
+export default streamQuery;
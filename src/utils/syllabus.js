@@ -0,0 +1,209 @@
+import api from './api';
+import { SYLLABUS_URL } from '../config/env';
+import { BOARD_GROUPS, BOARD_REGISTRY } from '../config/boards';
+
+// The syllabus is one tree: board -> class -> subject -> chapter -> topic.
+//
+//   { boards: [{ id, name, group, aliases?: [string], website,
+//     suggestions?: [string], studyTips?: [string],
+//     resources?: [{ title, description, url }],
+//     examPattern?: { durationMinutes, sections: [{ id, name, type, count, marks }] },
+//     classes: [{ grade, subjects: [{ id, name,
+//     category, description, image, link, simulationLink,
+//     chapters: [{ id, name, topics: [string], summary?, formulas?: [latex] }] }] }] }] }
+//
+// A board's `id` is what BoardContext stores; `aliases` are older ids that
+// still resolve to it. The bundled boards come from config/boards.js; when
+// VITE_SYLLABUS_URL is set the API copy replaces them once loaded.
+
+const bundledSyllabus = { boards: BOARD_REGISTRY };
+
+export const SUBJECT_CATEGORIES = ['Science', 'Math', 'Humanities', 'Language'];
+
+// How a mock exam question is answered: pick an option, or write a short or long answer
+export const EXAM_QUESTION_TYPES = ['mcq', 'short', 'long'];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Check `items` is an array of objects with unique string `key`s, reporting into `errors`
+const checkList = (items, path, key, errors) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    errors.push(`${path} must be a non-empty array`);
+    return [];
+  }
+  const seen = new Set();
+  // Non-objects become {} so later checks keep the right indices in their paths
+  return items.map((item, index) => {
+    const at = `${path}[${index}]`;
+    if (!item || typeof item !== 'object') {
+      errors.push(`${at} must be an object`);
+      return {};
+    }
+    if (seen.has(item[key])) errors.push(`${at}.${key} "${item[key]}" is duplicated`);
+    seen.add(item[key]);
+    return item;
+  });
+};
+
+// Every problem found, e.g. "boards[0].classes must be a non-empty array";
+// an empty array means the syllabus is valid
+export const validateSyllabus = (syllabus) => {
+  const errors = [];
+  checkList(syllabus?.boards, 'boards', 'id', errors).forEach((board, b) => {
+    const boardPath = `boards[${b}]`;
+    if (!isNonEmptyString(board.id)) errors.push(`${boardPath}.id must be a string`);
+    if (!isNonEmptyString(board.name)) errors.push(`${boardPath}.name must be a string`);
+    if (!BOARD_GROUPS.includes(board.group)) {
+      errors.push(`${boardPath}.group must be one of ${BOARD_GROUPS.join(', ')}`);
+    }
+    ['aliases', 'suggestions', 'studyTips'].forEach((field) => {
+      if (board[field] !== undefined && !(Array.isArray(board[field]) && board[field].every(isNonEmptyString))) {
+        errors.push(`${boardPath}.${field} must be an array of strings`);
+      }
+    });
+    if (board.resources !== undefined) {
+      if (!Array.isArray(board.resources)) {
+        errors.push(`${boardPath}.resources must be an array`);
+      } else {
+        board.resources.forEach((resource, r) => {
+          if (!isNonEmptyString(resource?.title) || !isNonEmptyString(resource?.url)) {
+            errors.push(`${boardPath}.resources[${r}] must have a title and url`);
+          }
+        });
+      }
+    }
+    if (board.examPattern !== undefined) {
+      const patternPath = `${boardPath}.examPattern`;
+      if (!(board.examPattern?.durationMinutes > 0)) errors.push(`${patternPath}.durationMinutes must be a positive number`);
+      checkList(board.examPattern?.sections, `${patternPath}.sections`, 'id', errors).forEach((section, s) => {
+        const sectionPath = `${patternPath}.sections[${s}]`;
+        if (!isNonEmptyString(section.name)) errors.push(`${sectionPath}.name must be a string`);
+        if (!EXAM_QUESTION_TYPES.includes(section.type)) {
+          errors.push(`${sectionPath}.type must be one of ${EXAM_QUESTION_TYPES.join(', ')}`);
+        }
+        if (!Number.isInteger(section.count) || section.count < 1) errors.push(`${sectionPath}.count must be a whole number`);
+        if (!(section.marks > 0)) errors.push(`${sectionPath}.marks must be a positive number`);
+      });
+    }
+    checkList(board.classes, `${boardPath}.classes`, 'grade', errors).forEach((classData, c) => {
+      const classPath = `${boardPath}.classes[${c}]`;
+      if (!Number.isInteger(classData.grade) || classData.grade < 1 || classData.grade > 12) {
+        errors.push(`${classPath}.grade must be a whole number from 1 to 12`);
+      }
+      checkList(classData.subjects, `${classPath}.subjects`, 'id', errors).forEach((subject, s) => {
+        const subjectPath = `${classPath}.subjects[${s}]`;
+        if (!isNonEmptyString(subject.id)) errors.push(`${subjectPath}.id must be a string`);
+        if (!isNonEmptyString(subject.name)) errors.push(`${subjectPath}.name must be a string`);
+        if (!SUBJECT_CATEGORIES.includes(subject.category)) {
+          errors.push(`${subjectPath}.category must be one of ${SUBJECT_CATEGORIES.join(', ')}`);
+        }
+        checkList(subject.chapters, `${subjectPath}.chapters`, 'id', errors).forEach((chapter, ch) => {
+          const chapterPath = `${subjectPath}.chapters[${ch}]`;
+          if (!isNonEmptyString(chapter.id)) errors.push(`${chapterPath}.id must be a string`);
+          if (!isNonEmptyString(chapter.name)) errors.push(`${chapterPath}.name must be a string`);
+          if (!Array.isArray(chapter.topics) || !chapter.topics.every(isNonEmptyString)) {
+            errors.push(`${chapterPath}.topics must be an array of strings`);
+          }
+          if (chapter.summary !== undefined && !isNonEmptyString(chapter.summary)) {
+            errors.push(`${chapterPath}.summary must be a string`);
+          }
+          if (chapter.formulas !== undefined && !(Array.isArray(chapter.formulas) && chapter.formulas.every(isNonEmptyString))) {
+            errors.push(`${chapterPath}.formulas must be an array of strings`);
+          }
+        });
+      });
+    });
+  });
+  return errors;
+};
+
+const bundledErrors = validateSyllabus(bundledSyllabus);
+if (bundledErrors.length > 0) console.error('Bundled syllabus is invalid:', bundledErrors);
+
+let current = bundledSyllabus;
+let loading = null;
+
+// The syllabus as known right now: the API copy once loaded, otherwise the bundled one
+export const getSyllabus = () => current;
+
+// Fetch the API copy once per page load. An unreachable or invalid API copy is
+// logged and the bundled syllabus stays in use.
+export const loadSyllabus = () => {
+  if (!SYLLABUS_URL) return Promise.resolve(current);
+  if (!loading) {
+    loading = api
+      .get(SYLLABUS_URL)
+      .then((res) => {
+        const errors = validateSyllabus(res.data);
+        if (errors.length > 0) {
+          console.error('Ignoring invalid syllabus from the API:', errors);
+        } else {
+          current = res.data;
+        }
+        return current;
+      })
+      .catch((err) => {
+        console.error('Failed to load syllabus:', err);
+        return current;
+      });
+  }
+  return loading;
+};
+
+export const getBoards = (syllabus) => syllabus.boards;
+
+export const getBoard = (syllabus, boardId) =>
+  syllabus.boards.find((board) => board.id === boardId) ||
+  syllabus.boards.find((board) => board.aliases?.includes(boardId));
+
+// Boards bucketed by group for pickers, e.g. [{ group: 'State', boards: [...] }]
+export const groupBoards = (boards) =>
+  BOARD_GROUPS.map((group) => ({ group, boards: boards.filter((board) => board.group === group) })).filter(
+    ({ boards: inGroup }) => inGroup.length > 0
+  );
+
+// The class closest to `grade` that the board has data for; `exact` is false
+// when the learner's own class is not covered yet
+export const getClass = (board, grade) => {
+  if (!board) return null;
+  const match = board.classes.reduce((best, classData) =>
+    Math.abs(classData.grade - grade) < Math.abs(best.grade - grade) ? classData : best
+  );
+  return { ...match, exact: match.grade === grade };
+};
+
+export const getSubject = (classData, subjectId) => classData?.subjects.find((subject) => subject.id === subjectId);
+
+export const getChapter = (subject, chapterId) => subject?.chapters.find((chapter) => chapter.id === chapterId);
+
+// Locate a subject by id in the class nearest the learner's `grade` that has it
+export const findSubject = (board, subjectId, grade) => {
+  if (!board) return null;
+  const classes = [...board.classes].sort((a, b) => Math.abs(a.grade - grade) - Math.abs(b.grade - grade));
+  for (const classData of classes) {
+    const subject = getSubject(classData, subjectId);
+    if (subject) return { classData, subject };
+  }
+  return null;
+};
+
+// Locate a chapter by subject and chapter id. The same subject id can appear in
+// several classes, so the class nearest the learner's `grade` is tried first.
+export const findChapter = (board, subjectId, chapterId, grade) => {
+  if (!board) return null;
+  const classes = [...board.classes].sort((a, b) => Math.abs(a.grade - grade) - Math.abs(b.grade - grade));
+  for (const classData of classes) {
+    const subject = getSubject(classData, subjectId);
+    const chapter = getChapter(subject, chapterId);
+    if (chapter) return { classData, subject, chapter };
+  }
+  return null;
+};
+
+// In-app page for a chapter, e.g. /explore/Tamil%20Nadu/science/laws-of-motion
+export const chapterPath = (boardId, subjectId, chapterId) =>
+  `/explore/${encodeURIComponent(boardId)}/${subjectId}/${chapterId}`;
+
+// In-app quiz on a whole subject, or on one chapter when `chapterId` is given
+export const quizPath = (boardId, subjectId, chapterId) =>
+  `/quiz/${encodeURIComponent(boardId)}/${subjectId}${chapterId ? `/${chapterId}` : ''}`;
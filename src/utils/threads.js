@@ -0,0 +1,71 @@
+import api from './api';
+
+const STORAGE_KEY = 'threads';
+const MAX_LOCAL_THREADS = 50;
+
+const readLocal = () => JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+
+// Attached photos are kept on the server only; they would quickly fill localStorage
+const writeLocal = (threads) => {
+  const trimmed = threads.slice(0, MAX_LOCAL_THREADS).map((thread) => ({
+    ...thread,
+    turns: thread.turns.map((turn) => {
+      const rest = { ...turn };
+      delete rest.image;
+      return rest;
+    }),
+  }));
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(trimmed));
+};
+
+// A thread is a titled list of turns: { role: 'user' | 'assistant', text, visual?, video? }
+export const createThread = (board) => ({
+  id: `thread-${Date.now()}`,
+  title: '',
+  board,
+  turns: [],
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString(),
+});
+
+// Prior turns in the shape the /query endpoint expects as conversation context
+export const toContext = (thread) =>
+  thread.turns
+    .filter((turn) => turn.text)
+    .map((turn) => ({ role: turn.role, content: turn.text }));
+
+export const fetchThreads = async () => {
+  try {
+    const res = await api.get('/threads');
+    return res.data;
+  } catch (err) {
+    console.error('Failed to fetch threads, using local copy:', err);
+    return readLocal();
+  }
+};
+
+export const fetchThread = async (id) => {
+  try {
+    const res = await api.get(`/threads/${id}`);
+    return res.data;
+  } catch (err) {
+    console.error('Failed to fetch thread, using local copy:', err);
+    return readLocal().find((thread) => thread.id === id) || null;
+  }
+};
+
+export const saveThread = async (thread) => {
+  const saved = { ...thread, updatedAt: new Date().toISOString() };
+  writeLocal([saved, ...readLocal().filter((t) => t.id !== saved.id)]);
+  try {
+    await api.put(`/threads/${saved.id}`, saved);
+  } catch (err) {
+    console.error('Failed to save thread:', err);
+  }
+  return saved;
+};
+
+export const clearThreads = () => {
+  localStorage.removeItem(STORAGE_KEY);
+  return api.delete('/threads').catch((err) => console.error('Failed to clear threads:', err));
+};
@@ -1,14 +1,191 @@
 import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { CSS2DObject, CSS2DRenderer } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
 
-export const initThreeJS = () => {
+// Attach an HTML label that follows `object` around the scene
+export const addLabel = (object, text, offset = [0, 0, 0]) => {
+  const element = document.createElement('div');
+  element.textContent = text;
+  element.className = 'px-1 rounded bg-white/80 text-xs text-gray-800 pointer-events-none';
+  const label = new CSS2DObject(element);
+  label.position.set(...offset);
+  object.add(label);
+  return label;
+};
+
+// Free GPU memory held by everything under `root`
+export const disposeObject = (root) => {
+  root.traverse((child) => {
+    child.geometry?.dispose();
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    materials.forEach((material) => {
+      if (!material) return;
+      Object.values(material).forEach((value) => value?.isTexture && value.dispose());
+      material.dispose();
+    });
+    if (child.isCSS2DObject) child.element.remove();
+  });
+};
+
+const toVector = (value, fallback = [0, 0, 0]) => new THREE.Vector3(...(value || fallback));
+
+const materialFor = (item) =>
+  new THREE.MeshStandardMaterial({
+    color: item.color || '#3b82f6',
+    opacity: item.opacity ?? 1,
+    transparent: item.opacity !== undefined && item.opacity < 1,
+    side: THREE.DoubleSide,
+  });
+
+// Geometry for each `shape` a JSON scene description may use
+const shapeBuilders = {
+  sphere: (item) => new THREE.SphereGeometry(item.radius || 1, 32, 16),
+  box: (item) => new THREE.BoxGeometry(...(item.size || [1, 1, 1])),
+  cylinder: (item) => new THREE.CylinderGeometry(item.radius || 1, item.radius || 1, item.height || 2, 32),
+  cone: (item) => new THREE.ConeGeometry(item.radius || 1, item.height || 2, 32),
+  torus: (item) => new THREE.TorusGeometry(item.radius || 1, item.tube || 0.3, 16, 64),
+  // Solid of revolution: `profile` is a list of [x, y] points rotated about the y axis
+  lathe: (item) => new THREE.LatheGeometry((item.profile || []).map(([x, y]) => new THREE.Vector2(x, y)), 64),
+};
+
+// Build a Three.js group from a JSON description such as
+// { objects: [{ shape: 'sphere', radius: 1, position: [0, 0, 0], color: '#f00', label: 'Sun' },
+//             { shape: 'orbit', radius: 5 }, { shape: 'line', points: [[0,0,0], [1,1,1]] }] }
+// Objects with `orbit: { radius, period }` circle the origin; see animateScene.
+export const buildSceneFromJSON = (description) => {
+  const group = new THREE.Group();
+
+  (description.objects || []).forEach((item) => {
+    let object;
+    if (item.shape === 'orbit') {
+      const curve = new THREE.EllipseCurve(0, 0, item.radius || 1, item.radiusY || item.radius || 1);
+      const points = curve.getPoints(128).map((p) => new THREE.Vector3(p.x, 0, p.y));
+      object = new THREE.LineLoop(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({ color: item.color || '#9ca3af' })
+      );
+    } else if (item.shape === 'line') {
+      object = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints((item.points || []).map((p) => toVector(p))),
+        new THREE.LineBasicMaterial({ color: item.color || '#111827' })
+      );
+    } else if (shapeBuilders[item.shape]) {
+      object = new THREE.Mesh(shapeBuilders[item.shape](item), materialFor(item));
+    } else {
+      console.warn('Unknown shape in scene description:', item.shape);
+      return;
+    }
+
+    object.position.copy(toVector(item.position));
+    if (item.rotation) object.rotation.set(...item.rotation);
+    if (item.orbit) object.userData.orbit = { radius: item.orbit.radius || 1, period: item.orbit.period || 10 };
+    if (item.label) addLabel(object, item.label, [0, (item.radius || 0.5) + 0.3, 0]);
+    group.add(object);
+  });
+
+  return group;
+};
+
+// Move orbiting objects to where they should be `elapsed` seconds in
+export const animateScene = (root, elapsed) => {
+  root.traverse((child) => {
+    const orbit = child.userData.orbit;
+    if (!orbit) return;
+    const angle = (elapsed / orbit.period) * Math.PI * 2;
+    child.position.set(Math.cos(angle) * orbit.radius, child.position.y, Math.sin(angle) * orbit.radius);
+  });
+};
+
+export const loadGLTF = (url) =>
+  new Promise((resolve, reject) => {
+    new GLTFLoader().load(url, (gltf) => resolve(gltf.scene), undefined, reject);
+  });
+
+// Point the camera so the whole object fits in view
+export const frameObject = (camera, controls, object) => {
+  const box = new THREE.Box3().setFromObject(object);
+  if (box.isEmpty()) return;
+  const center = box.getCenter(new THREE.Vector3());
+  const radius = box.getSize(new THREE.Vector3()).length() / 2 || 1;
+  const distance = radius / Math.sin(THREE.MathUtils.degToRad(camera.fov / 2));
+  camera.position.copy(center).add(new THREE.Vector3(0.6, 0.5, 1).normalize().multiplyScalar(distance));
+  camera.near = distance / 100;
+  camera.far = distance * 100;
+  camera.updateProjectionMatrix();
+  controls.target.copy(center);
+  controls.update();
+};
+
+// Set up renderer, camera, lights and orbit controls inside `container`.
+// The viewer follows the container's size and must be released with dispose().
+export const createViewer = (container, { background = '#f9fafb' } = {}) => {
   const scene = new THREE.Scene();
-  const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-  const renderer = new THREE.WebGLRenderer();
-  renderer.setSize(400, 300);
-  const geometry = new THREE.BoxGeometry();
-  const material = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
-  const cube = new THREE.Mesh(geometry, material);
-  scene.add(cube);
-  camera.position.z = 5;
-  return { scene, camera, renderer, cube };
-};
\ No newline at end of file
+  scene.background = new THREE.Color(background);
+  scene.add(new THREE.AmbientLight(0xffffff, 0.7));
+  const light = new THREE.DirectionalLight(0xffffff, 1.5);
+  light.position.set(5, 10, 7);
+  scene.add(light);
+
+  const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 1000);
+  camera.position.set(0, 2, 8);
+
+  const renderer = new THREE.WebGLRenderer({ antialias: true, preserveDrawingBuffer: true });
+  renderer.setPixelRatio(window.devicePixelRatio);
+  container.appendChild(renderer.domElement);
+
+  const labelRenderer = new CSS2DRenderer();
+  labelRenderer.domElement.style.position = 'absolute';
+  labelRenderer.domElement.style.top = '0';
+  labelRenderer.domElement.style.pointerEvents = 'none';
+  container.appendChild(labelRenderer.domElement);
+
+  const controls = new OrbitControls(camera, renderer.domElement);
+  controls.enableDamping = true;
+
+  const resize = () => {
+    const width = container.clientWidth || 1;
+    const height = container.clientHeight || 1;
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    renderer.setSize(width, height);
+    labelRenderer.setSize(width, height);
+  };
+  resize();
+  const observer = new ResizeObserver(resize);
+  observer.observe(container);
+
+  let content = null;
+  const clock = new THREE.Clock();
+  let frame = requestAnimationFrame(function render() {
+    frame = requestAnimationFrame(render);
+    if (content) animateScene(content, clock.getElapsedTime());
+    controls.update();
+    renderer.render(scene, camera);
+    labelRenderer.render(scene, camera);
+  });
+
+  const setContent = (object) => {
+    if (content) {
+      scene.remove(content);
+      disposeObject(content);
+    }
+    content = object;
+    if (object) {
+      scene.add(object);
+      frameObject(camera, controls, object);
+    }
+  };
+
+  const dispose = () => {
+    cancelAnimationFrame(frame);
+    observer.disconnect();
+    setContent(null);
+    controls.dispose();
+    renderer.dispose();
+    renderer.domElement.remove();
+    labelRenderer.domElement.remove();
+  };
+
+  return { scene, camera, renderer, controls, setContent, dispose };
+};
@@ -1,10 +1,35 @@
+import { readFileSync } from 'node:fs'
+import { createRequire } from 'node:module'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import queryStreamStub from './mock/queryStreamStub'
+
+const require = createRequire(import.meta.url)
+
+// The OCR model ships in @tesseract.js-data/eng; tesseract.js fetches it as
+// <langPath>/eng.traineddata.gz, so it is served under that exact name from
+// our own origin (src/utils/ocr.js) instead of the CDN
+const ocrLangData = () => {
+  const fileName = 'tesseract/eng.traineddata.gz'
+  const source = require.resolve('@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz')
+  return {
+    name: 'ocr-lang-data',
+    configureServer(server) {
+      server.middlewares.use(`/${fileName}`, (req, res) => {
+        res.setHeader('Content-Type', 'application/octet-stream')
+        res.end(readFileSync(source))
+      })
+    },
+    generateBundle() {
+      this.emitFile({ type: 'asset', fileName, source: readFileSync(source) })
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), queryStreamStub(), ocrLangData()],
   server: {
     port: 5173,
   },